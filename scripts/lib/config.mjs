@@ -0,0 +1,112 @@
+/*
+  Config file with named profiles, e.g. a personal and a work account:
+
+    {
+      "defaults": { "timezone": "Europe/Berlin", "dimensions": ["editors"] },
+      "profiles": {
+        "personal": { "url": "https://wakapi.example.com", "api_key": { "file": "~/.secrets/wakapi" }, "out_dir": "~/wakapi/personal" },
+        "work": { "provider": "wakatime", "api_key": { "env": "WORK_WAKATIME_KEY" }, "out_dir": "~/wakapi/work" }
+      }
+    }
+
+  Every key is a WAKAPI_* setting in lower case without the prefix
+  ("out_dir" → WAKAPI_OUT_DIR). Arrays become comma lists, booleans 1/0.
+  Any value may be { "env": NAME } or { "file": PATH } instead; api_key
+  must be one of those so secrets never sit in the config file itself.
+  Relative paths are resolved against the config file's directory.
+
+  Each profile is turned into an env-like object for getConfig(). With a
+  single profile the real environment overrides the file; with several,
+  the file wins so one exported WAKAPI_URL cannot redirect every profile.
+*/
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const SECRET_KEYS = new Set(['WAKAPI_API_KEY']);
+const PATH_KEYS = new Set(['WAKAPI_OUT_DIR', 'WAKAPI_SQLITE_PATH', 'WAKAPI_DIGEST_TEMPLATES', 'WAKAPI_GOALS', 'WAKAPI_RULES', 'WAKAPI_PRIVACY_MAP']);
+
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+    this.exitCode = 2;
+  }
+}
+
+function expandHome(p) {
+  return p === '~' || p.startsWith('~/') ? path.join(os.homedir(), p.slice(1)) : p;
+}
+
+function readSecretFile(file, baseDir = process.cwd()) {
+  const resolved = path.resolve(baseDir, expandHome(file));
+  try {
+    return fs.readFileSync(resolved, 'utf8').trim();
+  } catch (e) {
+    throw new ConfigError(`Cannot read secret file ${resolved}: ${e.code || e.message}`);
+  }
+}
+
+function settingValue(name, value, { baseDir, env, where }) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    if (typeof value.env === 'string') {
+      if (env[value.env] == null) throw new ConfigError(`${where}: environment variable ${value.env} is not set`);
+      return env[value.env];
+    }
+    if (typeof value.file === 'string') return readSecretFile(value.file, baseDir);
+    throw new ConfigError(`${where}: expected a value, { "env": NAME } or { "file": PATH }`);
+  }
+  if (SECRET_KEYS.has(name)) {
+    throw new ConfigError(`${where}: do not put secrets in the config file; use { "file": PATH } or { "env": NAME }`);
+  }
+  if (Array.isArray(value)) return value.join(',');
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (PATH_KEYS.has(name) && typeof value === 'string') return path.resolve(baseDir, expandHome(value));
+  return String(value);
+}
+
+function profileEnv(settings, { known, baseDir, env, where }) {
+  const out = {};
+  for (const [key, value] of Object.entries(settings || {})) {
+    const name = `WAKAPI_${key.toUpperCase()}`;
+    if (!known.includes(name)) throw new ConfigError(`${where}: unknown setting "${key}"`);
+    if (value == null) continue;
+    out[name] = settingValue(name, value, { baseDir, env, where: `${where}.${key}` });
+  }
+  return out;
+}
+
+function loadProfiles(file, { only = [], known, env = process.env }) {
+  // Returns [{ name, env }] in file order, limited to `only` when given.
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new ConfigError(`Cannot read config file ${file}: ${e.code === 'ENOENT' ? 'not found' : e.message}`);
+  }
+  if (!doc?.profiles || typeof doc.profiles !== 'object' || !Object.keys(doc.profiles).length) {
+    throw new ConfigError(`${file}: expected a "profiles" object with at least one profile`);
+  }
+
+  const names = Object.keys(doc.profiles);
+  const unknown = only.filter(n => !names.includes(n));
+  if (unknown.length) throw new ConfigError(`Unknown profile(s): ${unknown.join(', ')} (defined: ${names.join(', ')})`);
+  const selected = only.length ? names.filter(n => only.includes(n)) : names;
+
+  const baseDir = path.dirname(path.resolve(file));
+  const defaults = profileEnv(doc.defaults, { known, baseDir, env, where: 'defaults' });
+  const fromEnv = Object.fromEntries(Object.entries(env)
+    .filter(([k]) => k.startsWith('WAKAPI_') && !['WAKAPI_CONFIG', 'WAKAPI_PROFILE'].includes(k)));
+
+  return selected.map(name => {
+    const own = { ...defaults, ...profileEnv(doc.profiles[name], { known, baseDir, env, where: `profiles.${name}` }) };
+    return { name, env: selected.length === 1 ? { ...own, ...fromEnv } : { ...fromEnv, ...own } };
+  });
+}
+
+export {
+  ConfigError,
+  readSecretFile,
+  loadProfiles,
+};
@@ -0,0 +1,213 @@
+/*
+  CSV reader/writer (RFC 4180) and key-based upsert.
+  mergeRowsByKeys is format-agnostic and shared with the JSON sinks.
+
+  A dialect is { delimiter, decimalComma, bom, crlf, numeric }:
+    delimiter     field separator (default ",")
+    decimalComma  write numeric values as 1,5 instead of 1.5
+    bom           prefix written files with a UTF-8 BOM (for Excel)
+    crlf          end lines with \r\n instead of \n
+    numeric(col)  which columns hold numbers (default: all)
+  Reading strips a BOM, accepts \n, \r\n and \r, handles quoted delimiters,
+  quotes and newlines, sniffs the delimiter from the header line and, when
+  that delimiter is not ",", turns decimal commas in numeric columns back
+  into dots. With "," a field like "1,5" can only be quoted text.
+*/
+
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+
+import { directWriter } from './files.mjs';
+import { migrateRows, backupFile } from './schema.mjs';
+
+const BOM = '\uFEFF';
+const DELIMITERS = [',', ';', '\t', '|'];
+
+function csvEscape(value, delimiter = ',') {
+  if (value === null || value === undefined) return '';
+  const s = String(value);
+  if (s.includes(delimiter) || /["\n\r]/.test(s)) return `"${s.replaceAll('"', '""')}"`;
+  return s;
+}
+
+function rowsToCsv(header, rows, dialect = {}) {
+  const { delimiter = ',', decimalComma = false, bom = false, crlf = false, numeric = () => true } = dialect;
+  const decimal = (col, v) =>
+    decimalComma && numeric(col) && /^-?\d+\.\d+$/.test(String(v)) ? String(v).replace('.', ',') : v;
+
+  const lines = [];
+  lines.push(header.map(h => csvEscape(h, delimiter)).join(delimiter));
+  for (const r of rows) lines.push(r.map((v, i) => csvEscape(decimal(header[i], v), delimiter)).join(delimiter));
+  const eol = crlf ? '\r\n' : '\n';
+  return (bom ? BOM : '') + lines.join(eol) + eol;
+}
+
+async function readCsv(file) {
+  try {
+    const content = await fsp.readFile(file, 'utf8');
+    return content;
+  } catch (e) {
+    if (e && e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+function sniffDelimiter(text, preferred = ',') {
+  const firstLine = text.replace(/^\uFEFF/, '').split(/\r?\n|\r/, 1)[0];
+  if (firstLine.includes(preferred)) return preferred;
+  return DELIMITERS.find(d => firstLine.includes(d)) ?? preferred;
+}
+
+function createCsvParser({ delimiter = ',' } = {}) {
+  // Incremental state machine: write() accepts arbitrary chunks (a quoted
+  // field, a "" escape or a \r\n pair may be split across chunks) and returns
+  // the records completed so far; end() flushes the last record.
+  let field = '';
+  let record = [];
+  let inQuotes = false;
+  let afterQuote = false; // just closed a quoted section; a second " is an escaped quote
+  let afterCR = false; // swallow the \n of a \r\n pair
+  let started = false;
+  let quoted = false;
+
+  const endRecord = (out) => {
+    record.push(field);
+    // Blank lines are not records.
+    if (!(record.length === 1 && record[0] === '' && !quoted)) out.push(record);
+    field = '';
+    record = [];
+    quoted = false;
+  };
+
+  return {
+    write(chunk) {
+      const out = [];
+      let i = 0;
+      if (!started) {
+        started = true;
+        if (chunk.startsWith(BOM)) i = 1;
+      }
+      for (; i < chunk.length; i++) {
+        const ch = chunk[i];
+        if (afterCR) {
+          afterCR = false;
+          if (ch === '\n') continue;
+        }
+        if (inQuotes) {
+          if (ch === '"') { inQuotes = false; afterQuote = true; }
+          else field += ch;
+          continue;
+        }
+        if (ch === '"') {
+          if (afterQuote) { field += '"'; inQuotes = true; afterQuote = false; }
+          else if (field === '') { inQuotes = true; quoted = true; }
+          else field += ch;
+          continue;
+        }
+        afterQuote = false;
+        if (ch === delimiter) { record.push(field); field = ''; }
+        else if (ch === '\n') endRecord(out);
+        else if (ch === '\r') { endRecord(out); afterCR = true; }
+        else field += ch;
+      }
+      return out;
+    },
+
+    end() {
+      if (inQuotes) throw new Error('Malformed CSV: unterminated quoted field');
+      const out = [];
+      if (field !== '' || record.length || quoted) endRecord(out);
+      return out;
+    },
+  };
+}
+
+function recordsToTable(records, delimiter, { numeric = () => true } = {}) {
+  const decimalCommas = delimiter !== ',';
+  const header = records[0] ?? [];
+  const rows = [];
+  for (let r = 1; r < records.length; r++) {
+    const rec = records[r];
+    const obj = {};
+    header.forEach((h, idx) => {
+      const v = rec[idx] ?? '';
+      obj[h] = decimalCommas && numeric(h) && /^-?\d+,\d+$/.test(v) ? v.replace(',', '.') : v;
+    });
+    rows.push(obj);
+  }
+  return { header, rows };
+}
+
+function parseCsvSimple(content, dialect = {}) {
+  const delimiter = sniffDelimiter(content, dialect.delimiter);
+  const parser = createCsvParser({ delimiter });
+  const records = parser.write(content);
+  for (const rec of parser.end()) records.push(rec);
+  return recordsToTable(records, delimiter, dialect);
+}
+
+async function readCsvFile(file, dialect = {}) {
+  // Streams the file through the parser; returns null when it does not exist.
+  let parser;
+  let delimiter;
+  const records = [];
+  try {
+    for await (const chunk of fs.createReadStream(file, { encoding: 'utf8' })) {
+      delimiter ??= sniffDelimiter(chunk, dialect.delimiter);
+      parser ??= createCsvParser({ delimiter });
+      for (const rec of parser.write(chunk)) records.push(rec);
+    }
+  } catch (e) {
+    if (e && e.code === 'ENOENT') return null;
+    throw e;
+  }
+  if (!parser) return { header: [], rows: [] };
+  for (const rec of parser.end()) records.push(rec);
+  return recordsToTable(records, delimiter, dialect);
+}
+
+function mergeRowsByKeys(rows, keyCols, newRows, { replace } = {}) {
+  // `replace` drops existing rows first (e.g. all ranks of a re-synced date),
+  // so a shorter top list does not leave stale rows behind.
+  if (replace) rows = rows.filter(r => !replace(r));
+
+  const key = (r) => keyCols.map(k => r[k]).join('||');
+  const idx = new Map(rows.map(r => [key(r), r]));
+  for (const nr of newRows) idx.set(key(nr), nr);
+
+  const merged = Array.from(idx.values());
+  // stable sort by date (or rollup period) then rank if present
+  const when = (r) => r.date ?? r.period;
+  merged.sort((a, b) => {
+    if (when(a) && when(b) && when(a) !== when(b)) return when(a) < when(b) ? -1 : 1;
+    if (a.rank && b.rank) return Number(a.rank) - Number(b.rank);
+    return 0;
+  });
+  return merged;
+}
+
+async function upsertCsvByKeys(file, header, keyCols, newRows, { replace, history, dialect, writer = directWriter } = {}) {
+  const existing = await readCsvFile(writer.source(file), dialect);
+  let rows = [];
+  let migrated = false;
+  if (existing && existing.header.length) {
+    // Older layouts are migrated to `header`; unknown layouts throw instead of being overwritten.
+    ({ rows, migrated } = migrateRows(file, existing.header, existing.rows, header, history));
+  }
+  const merged = mergeRowsByKeys(rows, keyCols, newRows, { replace });
+
+  const csv = rowsToCsv(header, merged.map(r => header.map(h => r[h] ?? '')), dialect);
+  if (migrated) await backupFile(file);
+  await writer.write(file, csv);
+}
+
+export {
+  csvEscape,
+  rowsToCsv,
+  readCsv,
+  createCsvParser,
+  parseCsvSimple,
+  readCsvFile,
+  mergeRowsByKeys,
+  upsertCsvByKeys,
+};
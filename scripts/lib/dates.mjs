@@ -0,0 +1,70 @@
+/*
+  Day labels and the rounding every output shares.
+
+  Dates are YYYY-MM-DD labels, already in the configured timezone. All
+  arithmetic is calendar arithmetic on the label itself in UTC, so neither
+  the host's timezone nor DST can move a day.
+
+  toHours    seconds → hours, 2 decimals (the *_hours columns)
+  percentOf  share of a total in percent, 2 decimals in the daily files;
+             rollups and reports pass 1
+*/
+
+function isYmd(s) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return false;
+  const [y, m, d] = s.split('-').map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  return dt.getUTCFullYear() === y && dt.getUTCMonth() === m - 1 && dt.getUTCDate() === d;
+}
+
+function addDays(ymd, n) {
+  // Day overflow rolls into the next month or year (and back for negative n).
+  const [y, m, d] = ymd.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + n)).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  // Whole days from `from` to `to`; negative when `to` is earlier.
+  const utc = (ymd) => Date.parse(`${ymd}T00:00:00Z`);
+  return Math.round((utc(to) - utc(from)) / 86_400_000);
+}
+
+function weekday(ymd) {
+  // ISO weekday with Monday = 0 … Sunday = 6.
+  return (new Date(`${ymd}T00:00:00Z`).getUTCDay() + 6) % 7;
+}
+
+function eachDate(from, to) {
+  const out = [];
+  for (let d = from; d <= to; d = addDays(d, 1)) out.push(d);
+  return out;
+}
+
+function chunkDateRange(from, to, chunkDays) {
+  const chunks = [];
+  for (let start = from; start <= to; start = addDays(start, chunkDays)) {
+    const end = addDays(start, chunkDays - 1);
+    chunks.push([start, end < to ? end : to]);
+  }
+  return chunks;
+}
+
+function toHours(seconds) {
+  return Math.round((seconds / 3600) * 100) / 100;
+}
+
+function percentOf(seconds, totalSeconds, decimals = 2) {
+  const scale = 10 ** decimals;
+  return totalSeconds > 0 ? Math.round((seconds / totalSeconds) * (100 * scale)) / scale : 0;
+}
+
+export {
+  isYmd,
+  addDays,
+  daysBetween,
+  weekday,
+  eachDate,
+  chunkDateRange,
+  toHours,
+  percentOf,
+};
@@ -0,0 +1,141 @@
+/*
+  Human-readable digest of the stored days, as Markdown and standalone HTML.
+
+  The data comes from report --digest (see digestData() in the main script);
+  this module only formats it. Templates are plain files with {{name}}
+  placeholders:
+
+    templates/digest.md     Markdown, e.g. for a chat message
+    templates/digest.html   a self-contained page with inline CSS
+
+  WAKAPI_DIGEST_TEMPLATES (or --templates) names a directory whose digest.md
+  and/or digest.html replace the built-in ones; a file it lacks falls back to
+  the default. Every placeholder is listed in PLACEHOLDERS; an unknown one is
+  a ConfigError so a typo does not silently end up in the output.
+*/
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { ConfigError } from './config.mjs';
+
+const DEFAULT_TEMPLATES = fileURLToPath(new URL('../templates/', import.meta.url));
+const DIGEST_FILES = { markdown: 'digest.md', html: 'digest.html' };
+const BAR_WIDTH = 20;
+
+const PLACEHOLDERS = [
+  'date', 'today', 'yesterday', 'today_delta',
+  'week', 'week_start', 'week_total', 'week_active_days', 'week_delta',
+  'streak_current', 'streak_longest', 'projects', 'languages',
+];
+
+function formatDuration(seconds) {
+  // 5400 → "1h 30m"; under an hour just minutes.
+  const minutes = Math.round(Math.abs(seconds) / 60);
+  const text = minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+  return seconds < 0 && minutes ? `-${text}` : text;
+}
+
+function formatDelta(seconds) {
+  return seconds > 0 ? `+${formatDuration(seconds)}` : seconds < 0 ? formatDuration(seconds) : '±0m';
+}
+
+function barLength(seconds, max) {
+  // Scaled to the largest item; anything above zero gets at least one block.
+  if (!(max > 0) || !(seconds > 0)) return 0;
+  return Math.max(1, Math.round((seconds / max) * BAR_WIDTH));
+}
+
+function textChart(items) {
+  // A fenced block so chat clients keep the columns aligned.
+  if (!items.length) return '_No activity._';
+  const max = items[0].seconds;
+  const nameWidth = Math.max(...items.map(x => x.name.length));
+  const times = items.map(x => formatDuration(x.seconds));
+  const timeWidth = Math.max(...times.map(t => t.length));
+  const lines = items.map((x, i) => {
+    const bar = '█'.repeat(barLength(x.seconds, max)).padEnd(BAR_WIDTH, '░');
+    return `${x.name.padEnd(nameWidth)}  ${bar}  ${times[i].padStart(timeWidth)}  ${x.percent}%`;
+  });
+  return ['```', ...lines, '```'].join('\n');
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function htmlChart(items) {
+  if (!items.length) return '<p class="empty">No activity.</p>';
+  const max = items[0].seconds;
+  const rows = items.map(x => {
+    const width = max > 0 ? Math.round((x.seconds / max) * 1000) / 10 : 0;
+    return `<tr><th>${escapeHtml(x.name)}</th><td class="bar"><span style="width: ${width}%"></span></td>`
+      + `<td>${formatDuration(x.seconds)}</td><td>${x.percent}%</td></tr>`;
+  });
+  return ['<table class="chart">', ...rows, '</table>'].join('\n');
+}
+
+function digestValues(data) {
+  // Placeholder values shared by both formats, before escaping.
+  return {
+    date: data.date,
+    today: formatDuration(data.today.seconds),
+    yesterday: formatDuration(data.yesterday.seconds),
+    today_delta: formatDelta(data.today.seconds - data.yesterday.seconds),
+    week: data.week.period,
+    week_start: data.week.start,
+    week_total: formatDuration(data.week.seconds),
+    week_active_days: String(data.week.active_days),
+    week_delta: formatDelta(data.week.seconds - data.week.previous_seconds),
+    streak_current: String(data.streak.current),
+    streak_longest: String(data.streak.longest),
+  };
+}
+
+function renderTemplate(template, values, name) {
+  return template.replace(/\{\{\s*([\w-]+)\s*\}\}/g, (match, key) => {
+    if (!Object.hasOwn(values, key)) {
+      throw new ConfigError(`Unknown placeholder {{${key}}} in ${name} (known: ${PLACEHOLDERS.join(', ')})`);
+    }
+    return values[key];
+  });
+}
+
+async function readTemplate(dir, file) {
+  // Returns [content, path] from `dir` when it has the file, else the built-in one.
+  if (dir) {
+    const custom = path.join(dir, file);
+    try {
+      return [await fs.readFile(custom, 'utf8'), custom];
+    } catch (e) {
+      if (!e || e.code !== 'ENOENT') throw e;
+    }
+  }
+  const builtIn = path.join(DEFAULT_TEMPLATES, file);
+  return [await fs.readFile(builtIn, 'utf8'), builtIn];
+}
+
+async function renderDigest(data, { templatesDir } = {}) {
+  // Resolves to { markdown, html }.
+  const values = digestValues(data);
+  const [mdTemplate, mdName] = await readTemplate(templatesDir, DIGEST_FILES.markdown);
+  const [htmlTemplate, htmlName] = await readTemplate(templatesDir, DIGEST_FILES.html);
+
+  const markdown = renderTemplate(mdTemplate, {
+    ...values, projects: textChart(data.projects), languages: textChart(data.languages),
+  }, mdName);
+  const html = renderTemplate(htmlTemplate, {
+    ...Object.fromEntries(Object.entries(values).map(([k, v]) => [k, escapeHtml(v)])),
+    projects: htmlChart(data.projects), languages: htmlChart(data.languages),
+  }, htmlName);
+  return { markdown, html };
+}
+
+export {
+  DIGEST_FILES,
+  PLACEHOLDERS,
+  formatDuration,
+  textChart,
+  renderDigest,
+};
@@ -0,0 +1,198 @@
+/*
+  Crash- and concurrency-safe file handling.
+
+  writeFileAtomic   write to a temp file next to the target, then rename it
+                    over the target, so readers never see a half-written file.
+                    An optional mode is set on the temp file before writing.
+  createStagedWriter
+                    collect several writes as temp files and rename them all
+                    at commit(); rollback() removes them and leaves every
+                    target untouched.
+  acquireLock       advisory lock file in the output directory, so two
+                    overlapping runs (e.g. cron + manual) do not interleave.
+
+  Writers share one shape: { source(file), write(file, content) }. `source`
+  is the path to read the current content from, which inside a staged
+  writer may be a temp file that has not been committed yet.
+*/
+
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+const LOCK_FILE = '.wakapi-sync.lock';
+const LOCK_STALE_MS = 6 * 60 * 60 * 1000;
+
+class LockError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LockError';
+    this.exitCode = 75; // temporary: the other run will finish
+  }
+}
+
+function tempPath(file) {
+  return `${file}.${process.pid}.tmp`;
+}
+
+async function writeTemp(file, content, { mode } = {}) {
+  // With `mode`, the temp file has it before any content is written, so the
+  // target never shows up with wider permissions, not even for a moment.
+  const tmp = tempPath(file);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const fh = await fs.open(tmp, 'w', mode);
+  try {
+    if (mode !== undefined) await fh.chmod(mode); // a leftover temp file keeps its old mode
+    await fh.writeFile(content, 'utf8');
+    await fh.sync();
+  } finally {
+    await fh.close();
+  }
+  return tmp;
+}
+
+async function writeFileAtomic(file, content, { mode } = {}) {
+  const tmp = await writeTemp(file, content, { mode });
+  try {
+    await fs.rename(tmp, file);
+  } catch (e) {
+    await fs.rm(tmp, { force: true });
+    throw e;
+  }
+}
+
+const directWriter = {
+  source: (file) => file,
+  write: writeFileAtomic,
+};
+
+function createStagedWriter() {
+  const staged = new Map(); // target → temp file
+
+  return {
+    source: (file) => staged.get(file) ?? file,
+
+    async write(file, content) {
+      staged.set(file, await writeTemp(file, content));
+    },
+
+    async commit() {
+      // Every temp file is complete before the first rename, so a failure
+      // while staging never leaves a mix of old and new files behind.
+      for (const [file, tmp] of staged) await fs.rename(tmp, file);
+      staged.clear();
+    },
+
+    async rollback() {
+      for (const tmp of staged.values()) await fs.rm(tmp, { force: true });
+      staged.clear();
+    },
+  };
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+async function readLock(file) {
+  try {
+    const [content, stat] = await Promise.all([fs.readFile(file, 'utf8'), fs.stat(file)]);
+    let owner = {};
+    try {
+      owner = JSON.parse(content);
+    } catch {
+      // A lock from a crashed writer may be empty; judge it by age alone.
+    }
+    return { owner, mtimeMs: stat.mtimeMs };
+  } catch (e) {
+    if (e && e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+function isStale({ owner, mtimeMs }, staleMs) {
+  // On this host the owner's pid tells us for sure; for a lock written by
+  // another machine (shared or synced directory) only its age does.
+  if (owner.host === os.hostname() && Number.isInteger(owner.pid)) return !isAlive(owner.pid);
+  return Date.now() - mtimeMs > staleMs;
+}
+
+function describeOwner(owner) {
+  return owner.pid ? `pid ${owner.pid} on ${owner.host}, since ${owner.started}` : 'unknown owner';
+}
+
+async function inspectLock(dir, { staleMs = LOCK_STALE_MS } = {}) {
+  // For diagnostics: null when unlocked, else { file, owner, stale }.
+  const file = path.join(dir, LOCK_FILE);
+  const held = await readLock(file);
+  return held && { file, owner: held.owner, stale: isStale(held, staleMs) };
+}
+
+async function takeOver(file, held) {
+  // Moves the stale lock aside under a name of our own and only drops it if
+  // it is still the lock we judged stale. A plain rm could delete a lock that
+  // another run took over since we read it; this way that lock is put back.
+  const aside = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.stale`;
+  try {
+    await fs.rename(file, aside);
+  } catch (e) {
+    if (e.code === 'ENOENT') return false; // someone else moved it first
+    throw e;
+  }
+  const moved = await readLock(aside);
+  const same = moved && moved.mtimeMs === held.mtimeMs && JSON.stringify(moved.owner) === JSON.stringify(held.owner);
+  if (!same) {
+    try {
+      await fs.link(aside, file);
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+  }
+  await fs.rm(aside, { force: true });
+  return same;
+}
+
+async function acquireLock(dir, { staleMs = LOCK_STALE_MS } = {}) {
+  // Returns an async release(). Throws LockError while another live run holds the lock.
+  const file = path.join(dir, LOCK_FILE);
+  const owner = { pid: process.pid, host: os.hostname(), started: new Date().toISOString() };
+  await fs.mkdir(dir, { recursive: true });
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await fs.writeFile(file, JSON.stringify(owner) + '\n', { flag: 'wx' });
+      break;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+
+    const held = await readLock(file);
+    if (!held) continue;
+    if (attempt > 0 || !isStale(held, staleMs)) {
+      throw new LockError(`Another sync is running (${file}: ${describeOwner(held.owner)}). Remove the file if that run is gone.`);
+    }
+    if (await takeOver(file, held)) console.error(`[wakapi-sync] Removed stale lock ${file}`);
+  }
+
+  return async function release() {
+    const held = await readLock(file);
+    if (held?.owner.pid === owner.pid && held.owner.started === owner.started) await fs.rm(file, { force: true });
+  };
+}
+
+export {
+  LockError,
+  LOCK_FILE,
+  writeFileAtomic,
+  directWriter,
+  createStagedWriter,
+  describeOwner,
+  inspectLock,
+  acquireLock,
+};
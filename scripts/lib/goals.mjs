@@ -0,0 +1,97 @@
+/*
+  Coding goals, read from the JSON file named by WAKAPI_GOALS:
+
+    [
+      { "name": "daily", "period": "day", "min_hours": 2 },
+      { "name": "no-overtime", "period": "week", "max_hours": 40 },
+      { "name": "side-project", "period": "week", "project": "alpha", "min_hours": 5 },
+      { "name": "go", "period": "day", "language": "Go", "min_hours": 0.5, "max_hours": 4 }
+    ]
+
+  A goal needs a unique name, a period (day, or ISO week), and min_hours
+  and/or max_hours. It counts the day's total unless scoped to one project
+  or language. A file with { "goals": [...] } is accepted too.
+
+  Status of a goal for one period:
+    missed   over max_hours, or under min_hours once the period is over
+    pending  the period is still running and the outcome can still change
+    met      everything else
+*/
+
+import fs from 'node:fs';
+
+import { ConfigError } from './config.mjs';
+
+const GOAL_PERIODS = ['day', 'week'];
+const GOAL_MISSED_EXIT_CODE = 5;
+
+function validateGoal(goal, i, file) {
+  const where = `${file}: goal ${goal?.name ? `"${goal.name}"` : i + 1}`;
+  if (!goal || typeof goal !== 'object' || Array.isArray(goal)) throw new ConfigError(`${where} must be an object`);
+  if (typeof goal.name !== 'string' || !goal.name.trim()) throw new ConfigError(`${where} needs a "name"`);
+  if (!GOAL_PERIODS.includes(goal.period)) {
+    throw new ConfigError(`${where} has an invalid "period": ${goal.period} (expected ${GOAL_PERIODS.join(' or ')})`);
+  }
+  for (const bound of ['min_hours', 'max_hours']) {
+    if (goal[bound] != null && !(typeof goal[bound] === 'number' && goal[bound] >= 0)) {
+      throw new ConfigError(`${where} has an invalid "${bound}" (expected a non-negative number): ${goal[bound]}`);
+    }
+  }
+  if (goal.min_hours == null && goal.max_hours == null) throw new ConfigError(`${where} needs "min_hours" and/or "max_hours"`);
+  if (goal.min_hours != null && goal.max_hours != null && goal.min_hours > goal.max_hours) {
+    throw new ConfigError(`${where} has "min_hours" above "max_hours"`);
+  }
+  if (goal.project != null && goal.language != null) throw new ConfigError(`${where} may set "project" or "language", not both`);
+  for (const key of ['project', 'language']) {
+    if (goal[key] != null && (typeof goal[key] !== 'string' || !goal[key])) throw new ConfigError(`${where} has an invalid "${key}"`);
+  }
+  return {
+    name: goal.name.trim(),
+    period: goal.period,
+    min_hours: goal.min_hours ?? null,
+    max_hours: goal.max_hours ?? null,
+    project: goal.project ?? null,
+    language: goal.language ?? null,
+  };
+}
+
+function loadGoals(file) {
+  // Synchronous like readSecretFile(), so getConfig() stays synchronous.
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e instanceof SyntaxError) throw new ConfigError(`Invalid JSON in WAKAPI_GOALS file ${file}: ${e.message}`);
+    throw new ConfigError(`Cannot read WAKAPI_GOALS file ${file}: ${e.code || e.message}`);
+  }
+  const list = Array.isArray(data) ? data : data?.goals;
+  if (!Array.isArray(list)) throw new ConfigError(`${file} must hold an array of goals (or { "goals": [...] })`);
+
+  const goals = list.map((goal, i) => validateGoal(goal, i, file));
+  const names = goals.map(g => g.name);
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate) throw new ConfigError(`${file}: goal name "${duplicate}" is used twice`);
+  return goals;
+}
+
+function goalScope(goal) {
+  // The scope column of goals.csv: total, project:<name> or language:<name>.
+  if (goal.project != null) return `project:${goal.project}`;
+  if (goal.language != null) return `language:${goal.language}`;
+  return 'total';
+}
+
+function goalStatus(goal, seconds, complete) {
+  if (goal.max_hours != null && seconds > goal.max_hours * 3600) return 'missed';
+  if (goal.min_hours != null && seconds < goal.min_hours * 3600) return complete ? 'missed' : 'pending';
+  // A max can still be exceeded until the period ends.
+  return complete || goal.max_hours == null ? 'met' : 'pending';
+}
+
+export {
+  GOAL_PERIODS,
+  GOAL_MISSED_EXIT_CODE,
+  loadGoals,
+  goalScope,
+  goalStatus,
+};
@@ -0,0 +1,191 @@
+/*
+  JSON-over-HTTP with timeouts, retries and typed errors.
+
+  Retried (exponential backoff with jitter, up to `retries` times):
+    network errors, timeouts, 5xx, and 429 (waiting for Retry-After when
+    the server sends one).
+  Not retried:
+    401/403 → AuthError, 404 → NotFoundError, other 4xx → HttpError.
+
+  Every error carries an `exitCode` so a scheduler can tell a bad API key
+  (fix the config) from a flaky server (try again later). An `api_key`
+  query parameter is masked in every message and error.
+*/
+
+const EXIT_CODES = {
+  ERROR: 1,
+  AUTH: 3,
+  NOT_FOUND: 4,
+  TEMPORARY: 75, // EX_TEMPFAIL from sysexits.h: safe to retry later
+};
+
+const DEFAULTS = {
+  timeoutMs: 30_000,
+  retries: 3,
+  backoffMs: 1_000,
+  maxBackoffMs: 30_000,
+  maxRetryAfterMs: 5 * 60_000,
+};
+
+class HttpError extends Error {
+  constructor(message, { status, url, body, retryAfter, exitCode = EXIT_CODES.ERROR, cause } = {}) {
+    super(message, { cause });
+    this.name = 'HttpError';
+    this.status = status;
+    this.url = url;
+    this.body = body;
+    this.retryAfter = retryAfter;
+    this.exitCode = exitCode;
+  }
+}
+
+class AuthError extends HttpError {
+  constructor(message, details) {
+    super(message, { ...details, exitCode: EXIT_CODES.AUTH });
+    this.name = 'AuthError';
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(message, details) {
+    super(message, { ...details, exitCode: EXIT_CODES.NOT_FOUND });
+    this.name = 'NotFoundError';
+  }
+}
+
+class ServerError extends HttpError {
+  constructor(message, details) {
+    super(message, { ...details, exitCode: EXIT_CODES.TEMPORARY });
+    this.name = 'ServerError';
+  }
+}
+
+class RateLimitError extends HttpError {
+  constructor(message, details) {
+    super(message, { ...details, exitCode: EXIT_CODES.TEMPORARY });
+    this.name = 'RateLimitError';
+  }
+}
+
+class NetworkError extends HttpError {
+  constructor(message, details) {
+    super(message, { ...details, exitCode: EXIT_CODES.TEMPORARY });
+    this.name = 'NetworkError';
+  }
+}
+
+class TimeoutError extends NetworkError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'TimeoutError';
+  }
+}
+
+function redactUrl(url) {
+  return String(url).replace(/([?&]api_key=)[^&#]*/gi, '$1***');
+}
+
+function errorForStatus(res, url, body) {
+  const message = `HTTP ${res.status} ${res.statusText} for ${url}${body ? `\n${body.slice(0, 500)}` : ''}`;
+  const details = { status: res.status, url, body, retryAfter: res.headers.get('retry-after') };
+  if (res.status === 401 || res.status === 403) return new AuthError(message, details);
+  if (res.status === 404) return new NotFoundError(message, details);
+  if (res.status === 429) return new RateLimitError(message, details);
+  if (res.status >= 500) return new ServerError(message, details);
+  return new HttpError(message, details);
+}
+
+function parseRetryAfter(value, now = Date.now()) {
+  // Either delta-seconds or an HTTP date; returns milliseconds or null.
+  if (value == null || value === '') return null;
+  if (/^\d+(\.\d+)?$/.test(value.trim())) return Number(value) * 1000;
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+function backoffDelay(attempt, { backoffMs, maxBackoffMs }, random = Math.random) {
+  // Exponential with "equal jitter": half fixed, half random, so parallel
+  // clients spread out without ever retrying immediately.
+  const cap = Math.min(maxBackoffMs, backoffMs * 2 ** attempt);
+  return cap / 2 + random() * (cap / 2);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function fetchOnce(target, { method, headers, body, timeoutMs, fetch, parse }) {
+  const url = redactUrl(target);
+  let res;
+  let text;
+  try {
+    // The signal also covers reading the body, so a server that stalls mid-response times out too.
+    const signal = AbortSignal.timeout(timeoutMs);
+    res = await fetch(target, { method, headers, body, signal });
+    text = await res.text();
+  } catch (e) {
+    if (e?.name === 'TimeoutError' || e?.name === 'AbortError') {
+      throw new TimeoutError(`Timed out after ${timeoutMs / 1000}s for ${url}`, { url, cause: e });
+    }
+    const reason = e?.cause?.code || e?.cause?.message || e?.message;
+    throw new NetworkError(`Request failed for ${url}: ${reason}`, { url, cause: e });
+  }
+
+  if (!res.ok) throw errorForStatus(res, url, text);
+  if (!parse) return text;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new HttpError(`Invalid JSON from ${url}: ${e.message}`, { status: res.status, url, body: text, cause: e });
+  }
+}
+
+async function httpJson(url, options = {}) {
+  const opts = { ...DEFAULTS, fetch: globalThis.fetch, sleep, random: Math.random, parse: true, ...options };
+  const headers = { 'Accept': 'application/json', ...opts.headers };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetchOnce(url, { method: opts.method, headers, body: opts.body, timeoutMs: opts.timeoutMs, fetch: opts.fetch, parse: opts.parse });
+    } catch (e) {
+      const retryable = e.exitCode === EXIT_CODES.TEMPORARY;
+      if (!retryable || attempt >= opts.retries) throw e;
+
+      let delay = backoffDelay(attempt, opts, opts.random);
+      const retryAfter = parseRetryAfter(e.retryAfter);
+      if (retryAfter != null) {
+        if (retryAfter > opts.maxRetryAfterMs) throw e;
+        delay = retryAfter;
+      }
+      const what = e.status ? `HTTP ${e.status}` : e.name;
+      console.error(`[wakapi-sync] ${what} for ${redactUrl(url)}; retry ${attempt + 1}/${opts.retries} in ${(delay / 1000).toFixed(1)}s`);
+      await opts.sleep(delay);
+    }
+  }
+}
+
+function postJson(url, payload, options = {}) {
+  // POSTs `payload` as JSON (e.g. to a webhook), with the same retries as
+  // httpJson. Resolves to the response text: webhooks rarely answer in JSON.
+  return httpJson(url, {
+    ...options,
+    method: 'POST',
+    body: JSON.stringify(payload),
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+    parse: false,
+  });
+}
+
+export {
+  EXIT_CODES,
+  HttpError,
+  AuthError,
+  NotFoundError,
+  ServerError,
+  RateLimitError,
+  NetworkError,
+  TimeoutError,
+  redactUrl,
+  parseRetryAfter,
+  backoffDelay,
+  httpJson,
+  postJson,
+};
@@ -0,0 +1,102 @@
+/*
+  Privacy mode (WAKAPI_PRIVACY): project and branch names are replaced
+  before anything is written, so the output folder can be shared.
+
+    hash     project-3fa9c2e1b0, branch-…: HMAC-SHA256 of the name with a
+             random salt, truncated to 10 hex digits
+    redact   project-1, project-2, … numbered in order of first appearance
+
+  Names listed in WAKAPI_PRIVACY_ALLOW stay in clear. The salt and every
+  label with its real name live in the JSON file WAKAPI_PRIVACY_MAP, which
+  must sit outside WAKAPI_OUT_DIR; it is what lets the owner reverse labels:
+
+    {
+      "salt": "9c1f…",
+      "projects": { "project-3fa9c2e1b0": "secret-api" },
+      "branches": { "branch-0b7e44d2a1": "feature/acquisition" }
+    }
+
+  A label never changes once it is in the file. Losing the file gives the
+  same names new labels on the next sync. The salt also keys digest(), which
+  lets archived heartbeats keep a stable identity without their file path.
+*/
+
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+
+import { ConfigError } from './config.mjs';
+import { writeFileAtomic } from './files.mjs';
+
+const PRIVACY_MODES = ['hash', 'redact'];
+const KINDS = { project: 'projects', branch: 'branches' };
+
+async function readMap(file) {
+  let content;
+  try {
+    content = await fs.readFile(file, 'utf8');
+  } catch (e) {
+    if (e && e.code === 'ENOENT') return {};
+    throw new ConfigError(`Cannot read WAKAPI_PRIVACY_MAP file ${file}: ${e.code || e.message}`);
+  }
+  try {
+    return JSON.parse(content);
+  } catch (e) {
+    throw new ConfigError(`Invalid JSON in WAKAPI_PRIVACY_MAP file ${file}: ${e.message}`);
+  }
+}
+
+async function loadPrivacy({ mode, mapFile, allow = [] }) {
+  // Returns { project(name), branch(name), digest(text), save() }. Empty names
+  // and names in `allow` come back unchanged; save() writes the map file if
+  // labels were added (or the salt is new).
+  if (!PRIVACY_MODES.includes(mode)) throw new ConfigError(`Unknown privacy mode: ${mode} (supported: ${PRIVACY_MODES.join(', ')})`);
+  const map = await readMap(mapFile);
+  const salt = map.salt || crypto.randomBytes(16).toString('hex');
+  let changed = !map.salt;
+
+  const names = {};  // plural → { label: name }, as stored
+  const labels = {}; // kind → Map(name → label)
+  for (const [kind, plural] of Object.entries(KINDS)) {
+    names[plural] = { ...map[plural] };
+    labels[kind] = new Map(Object.entries(names[plural]).map(([label, name]) => [name, label]));
+  }
+  const allowed = new Set(allow);
+
+  const label = (kind, name) => {
+    if (!name || allowed.has(name)) return name;
+    const known = labels[kind].get(name);
+    if (known) return known;
+
+    const taken = names[KINDS[kind]];
+    let next;
+    if (mode === 'hash') {
+      next = `${kind}-${crypto.createHmac('sha256', salt).update(name).digest('hex').slice(0, 10)}`;
+    } else {
+      let n = labels[kind].size + 1;
+      while (taken[`${kind}-${n}`]) n++;
+      next = `${kind}-${n}`;
+    }
+    labels[kind].set(name, next);
+    taken[next] = name;
+    changed = true;
+    return next;
+  };
+
+  return {
+    mode,
+    project: (name) => label('project', name),
+    branch: (name) => label('branch', name),
+    digest: (text) => crypto.createHmac('sha256', salt).update(text).digest('hex').slice(0, 20),
+    async save() {
+      if (!changed) return false;
+      await writeFileAtomic(mapFile, JSON.stringify({ salt, ...names }, null, 2) + '\n', { mode: 0o600 });
+      changed = false;
+      return true;
+    },
+  };
+}
+
+export {
+  PRIVACY_MODES,
+  loadPrivacy,
+};
@@ -0,0 +1,46 @@
+/*
+  API providers and authentication schemes.
+
+  Wakapi implements WakaTime's API, so both share the endpoints below; the
+  presets only differ in their default base URL and the statusbar path.
+
+  Auth schemes (WAKAPI_AUTH):
+    basic   Authorization: Basic base64(api_key)   Wakapi and WakaTime API keys
+    bearer  Authorization: Bearer <api_key as given>  OAuth access tokens
+    query   ?api_key=<api_key>                     proxies that strip headers
+*/
+
+const AUTH_MODES = ['basic', 'bearer', 'query'];
+
+const PROVIDERS = {
+  wakapi: {
+    url: null, // self-hosted: WAKAPI_URL is required
+    auth: 'basic',
+    statusbarPath: '/api/v1/users/current/statusbar/today',
+  },
+  wakatime: {
+    url: 'https://wakatime.com',
+    auth: 'basic',
+    statusbarPath: '/api/v1/users/current/status_bar/today',
+  },
+};
+
+function authenticate(url, { auth = 'basic', apiKey }) {
+  // Returns { url, headers } for one request.
+  if (auth === 'query') {
+    const u = new URL(url);
+    u.searchParams.set('api_key', apiKey);
+    return { url: u.toString(), headers: {} };
+  }
+  if (auth === 'bearer') return { url, headers: { 'Authorization': `Bearer ${apiKey}` } };
+  if (auth === 'basic') {
+    return { url, headers: { 'Authorization': `Basic ${Buffer.from(apiKey, 'utf8').toString('base64')}` } };
+  }
+  throw new Error(`Unknown auth mode: ${auth} (supported: ${AUTH_MODES.join(', ')})`);
+}
+
+export {
+  AUTH_MODES,
+  PROVIDERS,
+  authenticate,
+};
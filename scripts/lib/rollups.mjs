@@ -0,0 +1,59 @@
+/*
+  Calendar periods for the weekly/monthly/yearly rollup files.
+
+    weekly   ISO 8601 weeks, Monday to Sunday, labelled 2026-W07. A week
+             belongs to the year of its Thursday, so 2024-12-30 is in
+             2025-W01 and 2021-01-03 in 2020-W53.
+    monthly  2026-02
+    yearly   2026
+
+  All arithmetic goes through dates.mjs on YYYY-MM-DD labels, so the local
+  timezone and DST never move a day into another period.
+*/
+
+import { addDays, daysBetween, weekday } from './dates.mjs';
+
+const ROLLUP_KINDS = ['weekly', 'monthly', 'yearly'];
+
+function isoWeek(ymd) {
+  // Returns { year, week } for the ISO week containing `ymd`.
+  const thursday = addDays(ymd, 3 - weekday(ymd));
+  const year = Number(thursday.slice(0, 4));
+  const week = Math.floor(daysBetween(`${year}-01-01`, thursday) / 7) + 1;
+  return { year, week };
+}
+
+function periodOf(kind, ymd) {
+  if (kind === 'weekly') {
+    const { year, week } = isoWeek(ymd);
+    return `${year}-W${String(week).padStart(2, '0')}`;
+  }
+  if (kind === 'monthly') return ymd.slice(0, 7);
+  if (kind === 'yearly') return ymd.slice(0, 4);
+  throw new Error(`Unknown rollup: ${kind} (supported: ${ROLLUP_KINDS.join(', ')})`);
+}
+
+function periodRange(kind, period) {
+  // First and last date (inclusive) of a period label.
+  if (kind === 'weekly') {
+    const [year, week] = period.split('-W').map(Number);
+    // Jan 4th is always in week 1; step back to its Monday.
+    const jan4 = `${year}-01-04`;
+    const monday = addDays(jan4, (week - 1) * 7 - weekday(jan4));
+    return { start: monday, end: addDays(monday, 6) };
+  }
+  if (kind === 'monthly') {
+    const [year, month] = period.split('-').map(Number);
+    const next = month === 12 ? `${year + 1}-01-01` : `${year}-${String(month + 1).padStart(2, '0')}-01`;
+    return { start: `${period}-01`, end: addDays(next, -1) };
+  }
+  if (kind === 'yearly') return { start: `${period}-01-01`, end: `${period}-12-31` };
+  throw new Error(`Unknown rollup: ${kind} (supported: ${ROLLUP_KINDS.join(', ')})`);
+}
+
+export {
+  ROLLUP_KINDS,
+  isoWeek,
+  periodOf,
+  periodRange,
+};
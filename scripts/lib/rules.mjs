@@ -0,0 +1,130 @@
+/*
+  Name rules for projects and languages, read from the JSON file named by
+  WAKAPI_RULES:
+
+    {
+      "projects": [
+        { "exact": "wakapi-sync-old", "rename": "wakapi-sync" },
+        { "regex": "^(.+)-worktree-\\d+$", "rename": "$1" },
+        { "glob": "client-*", "group": "clients" },
+        { "glob": "secret-*", "exclude": true }
+      ],
+      "languages": [
+        { "exact": "TSX", "ignore_case": true, "rename": "TypeScript" }
+      ]
+    }
+
+  Each rule has one matcher, matched against the whole name:
+    exact   the name itself
+    glob    * for any run of characters, ? for one
+    regex   a JavaScript regular expression
+  plus "ignore_case": true if wanted, and one action:
+    rename  a new name; with regex, $1.. refer to its groups
+    group   merge every match into one entry with this name
+    exclude drop the entry, so the name never reaches the output
+
+  The first matching rule wins; unmatched names stay as they are. Entries
+  that end up with the same name are merged (seconds summed). Their percent
+  is dropped, so rankRows() recomputes it over what is left.
+*/
+
+import fs from 'node:fs';
+
+import { ConfigError } from './config.mjs';
+
+const RULE_LISTS = ['projects', 'languages'];
+const MATCHERS = ['exact', 'glob', 'regex'];
+const ACTIONS = ['rename', 'group', 'exclude'];
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function globToRegex(glob) {
+  return glob.split('').map(c => (c === '*' ? '.*' : c === '?' ? '.' : escapeRegex(c))).join('');
+}
+
+function compileRule(rule, where) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) throw new ConfigError(`${where} must be an object`);
+  const matchers = MATCHERS.filter(k => rule[k] != null);
+  const actions = ACTIONS.filter(k => rule[k] != null && rule[k] !== false);
+  if (matchers.length !== 1 || typeof rule[matchers[0]] !== 'string') {
+    throw new ConfigError(`${where} needs exactly one of ${MATCHERS.join(', ')} (a string)`);
+  }
+  if (actions.length !== 1) throw new ConfigError(`${where} needs exactly one of ${ACTIONS.join(', ')}`);
+  const [matcher] = matchers;
+  const [action] = actions;
+  if (action !== 'exclude' && (typeof rule[action] !== 'string' || !rule[action])) {
+    throw new ConfigError(`${where} has an invalid "${action}" (expected a name)`);
+  }
+
+  const source = matcher === 'exact' ? escapeRegex(rule.exact) : matcher === 'glob' ? globToRegex(rule.glob) : rule.regex;
+  let regex;
+  try {
+    regex = new RegExp(`^(?:${source})$`, rule.ignore_case ? 'i' : '');
+  } catch (e) {
+    throw new ConfigError(`${where} has an invalid regex: ${e.message}`);
+  }
+  return { regex, action, target: action === 'exclude' ? null : rule[action], substitute: matcher === 'regex' && action === 'rename' };
+}
+
+function loadRules(file) {
+  // Synchronous like loadGoals(), so getConfig() stays synchronous.
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e instanceof SyntaxError) throw new ConfigError(`Invalid JSON in WAKAPI_RULES file ${file}: ${e.message}`);
+    throw new ConfigError(`Cannot read WAKAPI_RULES file ${file}: ${e.code || e.message}`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ConfigError(`${file} must hold an object with ${RULE_LISTS.join(' and/or ')} rule lists`);
+  }
+  const unknown = Object.keys(data).filter(k => !RULE_LISTS.includes(k));
+  if (unknown.length) throw new ConfigError(`${file}: unknown key(s) ${unknown.join(', ')} (expected ${RULE_LISTS.join(', ')})`);
+
+  const rules = {};
+  for (const list of RULE_LISTS) {
+    if (data[list] != null && !Array.isArray(data[list])) throw new ConfigError(`${file}: "${list}" must be an array`);
+    rules[list] = (data[list] || []).map((rule, i) => compileRule(rule, `${file}: ${list} rule ${i + 1}`));
+  }
+  return rules;
+}
+
+function mapName(rules, name) {
+  // Returns the cleaned name, or null when a rule excludes it.
+  if (name == null) return name;
+  const rule = (rules || []).find(r => r.regex.test(name));
+  if (!rule) return name;
+  if (rule.action === 'exclude') return null;
+  return rule.substitute ? name.replace(rule.regex, rule.target) : rule.target;
+}
+
+function mergeItems(items) {
+  // Sums entries with the same name; `sources` lists the names merged into each.
+  const merged = new Map();
+  for (const x of items || []) {
+    const entry = merged.get(x.name) ?? { ...x, seconds: 0, sources: [] };
+    entry.seconds += Number(x.seconds ?? 0);
+    entry.sources.push(...(x.sources ?? [x.name]));
+    merged.set(x.name, entry);
+  }
+  return [...merged.values()];
+}
+
+function applyRules(items, rules) {
+  // Renames, merges and drops ranked items ({ name, seconds, percent }).
+  // Without rules the server's list and percents are kept untouched.
+  if (!rules?.length) return items;
+  return mergeItems((items || [])
+    .map(x => ({ ...x, sources: [x.name], name: mapName(rules, x.name), percent: undefined }))
+    .filter(x => x.name !== null));
+}
+
+export {
+  RULE_LISTS,
+  loadRules,
+  mapName,
+  mergeItems,
+  applyRules,
+};
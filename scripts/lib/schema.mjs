@@ -0,0 +1,76 @@
+/*
+  Versioned table layouts.
+
+  The current header of every table lives with the code that writes it; this
+  module only knows the *earlier* layouts. When a table's columns change, add
+  the previous header to SCHEMA_HISTORY[table] (oldest first) with an optional
+  `up(row)` that converts a row to the next layout. Columns missing after
+  `up` are filled with blanks, so adding a column needs no `up` at all.
+
+  Files whose header matches neither the current layout nor a known earlier
+  one are treated as foreign and never rewritten.
+*/
+
+import fs from 'node:fs/promises';
+
+class SchemaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SchemaError';
+  }
+}
+
+const SCHEMA_HISTORY = {
+  // Example of a column computed from older rows:
+  //   { header: ['date','total_seconds'], up: (r) => ({ ...r, total_hours: String(Math.round(r.total_seconds / 36) / 100) }) },
+  'daily-total': [
+    // Before projects_total_count/languages_total_count; older days leave them blank.
+    { header: ['date','total_seconds','total_hours','projects_count','languages_count'] },
+  ],
+};
+
+function sameHeader(a, b) {
+  return a.length === b.length && a.every((h, i) => h === b[i]);
+}
+
+function pickColumns(row, header) {
+  return Object.fromEntries(header.map(h => [h, row[h] ?? '']));
+}
+
+function migrateRows(source, foundHeader, rows, header, history = []) {
+  // Returns { rows, fromVersion, migrated }. Version N is history[N-1];
+  // the current header is version history.length + 1.
+  const current = history.length + 1;
+  if (sameHeader(foundHeader, header)) return { rows, fromVersion: current, migrated: false };
+
+  const idx = history.findIndex(v => sameHeader(v.header, foundHeader));
+  if (idx === -1) {
+    throw new SchemaError(
+      `Refusing to rewrite ${source}: its columns (${foundHeader.join(',')}) match no known layout `
+      + `(expected ${header.join(',')}). Move the file away or fix it by hand.`,
+    );
+  }
+
+  let out = rows;
+  for (let v = idx; v < history.length; v++) {
+    const next = history[v + 1]?.header ?? header;
+    const up = history[v].up ?? ((r) => r);
+    out = out.map(r => pickColumns(up(r), next));
+  }
+  return { rows: out, fromVersion: idx + 1, migrated: true };
+}
+
+async function backupFile(file) {
+  // Keep the pre-migration file next to the original, e.g. daily-total.csv.20261019T081500Z.bak
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  const backup = `${file}.${stamp}.bak`;
+  await fs.copyFile(file, backup);
+  return backup;
+}
+
+export {
+  SchemaError,
+  SCHEMA_HISTORY,
+  migrateRows,
+  backupFile,
+};
@@ -0,0 +1,125 @@
+/*
+  Personal statistics derived from the stored days, written to stats.json
+  and stats.csv after a sync (WAKAPI_STATS=1) or by the offline stats command.
+
+    streak     current and longest run of consecutive active days, where a
+               day is active with more than zero and at least
+               WAKAPI_STREAK_MIN_MINUTES of coding time
+    rolling    average hours per day over the last 7 and 30 complete days
+               (today is not over yet), never reaching before the first
+               stored day; missing days count as zero
+    best_day   the day with the highest total
+    weekdays   average hours per ISO weekday over the complete days
+    projects   first and last day each project appears in the daily top N
+
+  stats.csv holds the same numbers in long form: metric,subject,value, e.g.
+  "average_hours,Mon,1.5" or "first_seen,alpha,2026-01-02".
+*/
+
+import { addDays, eachDate, toHours, weekday } from './dates.mjs';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const STATS_CSV_HEADER = ['metric', 'subject', 'value'];
+
+function streaks(totals, date, { minSeconds = 0 } = {}) {
+  // totals: daily-total rows. The current streak may end yesterday while
+  // today has no time yet: the day is not over.
+  const active = new Set(totals
+    .filter(r => r.date <= date && Number(r.total_seconds) > 0 && Number(r.total_seconds) >= minSeconds)
+    .map(r => r.date));
+
+  let current = 0;
+  for (let d = active.has(date) ? date : addDays(date, -1); active.has(d); d = addDays(d, -1)) current++;
+
+  let longest = { length: 0, start: null, end: null };
+  for (const first of [...active].sort()) {
+    if (active.has(addDays(first, -1))) continue; // not the start of a run
+    let length = 1;
+    while (active.has(addDays(first, length))) length++;
+    if (length > longest.length) longest = { length, start: first, end: addDays(first, length - 1) };
+  }
+  return { current, longest: longest.length, longest_start: longest.start, longest_end: longest.end };
+}
+
+function computeStats({ totals, projects, asOf, minSeconds = 0 }) {
+  // totals: daily-total rows, projects: daily-top-projects rows. Days after
+  // `asOf` are ignored.
+  const days = totals.filter(r => r.date <= asOf).sort((a, b) => a.date.localeCompare(b.date));
+  const secondsOn = new Map(days.map(r => [r.date, Number(r.total_seconds || 0)]));
+  const seconds = (d) => secondsOn.get(d) ?? 0;
+  const totalSeconds = days.reduce((sum, r) => sum + Number(r.total_seconds || 0), 0);
+  const first = days[0]?.date;
+  const lastComplete = addDays(asOf, -1);
+  const complete = first && first <= lastComplete ? eachDate(first, lastComplete) : [];
+
+  const rolling = (n) => {
+    const window = complete.slice(-n);
+    return window.length ? toHours(window.reduce((sum, d) => sum + seconds(d), 0) / window.length) : 0;
+  };
+
+  const best = days.reduce((top, r) => (Number(r.total_seconds || 0) > Number(top?.total_seconds ?? 0) ? r : top), null);
+
+  const weekdays = WEEKDAYS.map(name => ({ weekday: name, days: 0, seconds: 0 }));
+  for (const d of complete) {
+    const w = weekdays[weekday(d)];
+    w.days++;
+    w.seconds += seconds(d);
+  }
+
+  const seen = new Map();
+  for (const r of projects.filter(p => p.date <= asOf)) {
+    const p = seen.get(r.project) ?? { name: r.project, first_seen: r.date, last_seen: r.date, dates: new Set(), seconds: 0 };
+    if (r.date < p.first_seen) p.first_seen = r.date;
+    if (r.date > p.last_seen) p.last_seen = r.date;
+    p.dates.add(r.date);
+    p.seconds += Number(r.seconds || 0);
+    seen.set(r.project, p);
+  }
+
+  return {
+    as_of: asOf,
+    days: days.length,
+    active_days: days.filter(r => Number(r.total_seconds) > 0 && Number(r.total_seconds) >= minSeconds).length,
+    total_hours: toHours(totalSeconds),
+    streak: { min_minutes: minSeconds / 60, ...streaks(days, asOf, { minSeconds }) },
+    rolling: { average_7d_hours: rolling(7), average_30d_hours: rolling(30) },
+    best_day: best && Number(best.total_seconds) > 0 ? { date: best.date, hours: toHours(Number(best.total_seconds)) } : null,
+    weekdays: weekdays.map(w => ({ weekday: w.weekday, days: w.days, average_hours: w.days ? toHours(w.seconds / w.days) : 0 })),
+    projects: [...seen.values()]
+      .sort((a, b) => b.seconds - a.seconds || a.name.localeCompare(b.name))
+      .map(p => ({ name: p.name, first_seen: p.first_seen, last_seen: p.last_seen, active_days: p.dates.size, hours: toHours(p.seconds) })),
+  };
+}
+
+function statsRows(stats) {
+  // The rows of stats.csv, in the order of STATS_CSV_HEADER.
+  const rows = [
+    ['as_of', '', stats.as_of],
+    ['days', '', stats.days],
+    ['active_days', '', stats.active_days],
+    ['total_hours', '', stats.total_hours],
+    ['streak_min_minutes', '', stats.streak.min_minutes],
+    ['current_streak_days', '', stats.streak.current],
+    ['longest_streak_days', '', stats.streak.longest],
+    ['longest_streak_start', '', stats.streak.longest_start ?? ''],
+    ['longest_streak_end', '', stats.streak.longest_end ?? ''],
+    ['average_7d_hours', '', stats.rolling.average_7d_hours],
+    ['average_30d_hours', '', stats.rolling.average_30d_hours],
+    ['best_day', '', stats.best_day?.date ?? ''],
+    ['best_day_hours', '', stats.best_day?.hours ?? ''],
+    ...stats.weekdays.map(w => ['average_hours', w.weekday, w.average_hours]),
+  ];
+  for (const p of stats.projects) {
+    rows.push(['first_seen', p.name, p.first_seen], ['last_seen', p.name, p.last_seen],
+      ['active_days', p.name, p.active_days], ['hours', p.name, p.hours]);
+  }
+  return rows.map(r => r.map(String));
+}
+
+export {
+  WEEKDAYS,
+  STATS_CSV_HEADER,
+  streaks,
+  computeStats,
+  statsRows,
+};
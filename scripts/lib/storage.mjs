@@ -0,0 +1,315 @@
+/*
+  Storage sinks. Every sink implements the same interface:
+
+    upsert(table, header, keyCols, rows, { dates, replaceColumn = 'date' })
+      Replace all rows whose `replaceColumn` is in `dates`, then
+      insert/update `rows` by `keyCols`. Rollup tables replace by "period".
+    read(table, header)
+      All stored rows as { column: string } objects, or null if the table
+      does not exist. File sinks migrate older layouts (see schema.mjs) and
+      throw SchemaError for foreign files; SQLite adds new columns in place
+      on the next upsert and reads them as blank until then.
+    transaction(fn)
+      Run `fn` so that all of its upserts land together or not at all. File
+      sinks stage temp files and rename them on success; SQLite wraps a
+      database transaction. Outside a transaction every file write is still
+      atomic on its own (temp file + rename).
+    close()
+
+  `table` is a stem like "daily-total"; the CSV sink writes daily-total.csv,
+  the NDJSON/JSON sinks daily-total.ndjson / daily-total.json, the SQLite
+  sink a daily_total table. Rows are passed around as strings (CSV's view);
+  the typed sinks turn numeric columns into numbers and blanks into null.
+*/
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { readCsvFile, mergeRowsByKeys, upsertCsvByKeys } from './csv.mjs';
+import { directWriter, createStagedWriter } from './files.mjs';
+import { SCHEMA_HISTORY, migrateRows, backupFile } from './schema.mjs';
+
+const STORAGE_KINDS = ['csv', 'ndjson', 'json', 'sqlite'];
+
+// Columns kept as text in typed sinks; everything else is numeric.
+const TEXT_COLUMNS = new Set(['date', 'period', 'project', 'language', 'name', 'start', 'end', 'goal', 'scope', 'status']);
+
+function typedValue(col, value) {
+  if (value === '' || value == null) return null;
+  if (TEXT_COLUMNS.has(col)) return String(value);
+  const n = Number(value);
+  return Number.isFinite(n) ? n : String(value);
+}
+
+function typedRow(header, row) {
+  return Object.fromEntries(header.map(h => [h, typedValue(h, row[h])]));
+}
+
+function stringRow(header, row) {
+  return Object.fromEntries(header.map(h => [h, row[h] == null ? '' : String(row[h])]));
+}
+
+function fileTransactions() {
+  // Shared by the file sinks: `writer` is swapped for a staged one while a
+  // transaction runs. Nested transactions join the outer one.
+  const state = { writer: directWriter };
+
+  state.transaction = async (fn) => {
+    if (state.writer !== directWriter) return fn();
+    const staged = createStagedWriter();
+    state.writer = staged;
+    try {
+      const result = await fn();
+      await staged.commit();
+      return result;
+    } catch (e) {
+      await staged.rollback();
+      throw e;
+    } finally {
+      state.writer = directWriter;
+    }
+  };
+  return state;
+}
+
+async function readOptional(file) {
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch (e) {
+    if (e && e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+function createCsvSink(outDir, dialect = {}) {
+  const file = (table) => path.join(outDir, `${table}.csv`);
+  const csvDialect = { ...dialect, numeric: (col) => !TEXT_COLUMNS.has(col) };
+  const tx = fileTransactions();
+
+  return {
+    kind: 'csv',
+
+    async upsert(table, header, keyCols, rows, { dates, replaceColumn = 'date', history = SCHEMA_HISTORY[table] } = {}) {
+      const replace = dates ? (r) => dates.has(r[replaceColumn]) : undefined;
+      await upsertCsvByKeys(file(table), header, keyCols, rows, { replace, history, dialect: csvDialect, writer: tx.writer });
+    },
+
+    async read(table, header, { history = SCHEMA_HISTORY[table] } = {}) {
+      const parsed = await readCsvFile(tx.writer.source(file(table)), csvDialect);
+      if (!parsed) return null;
+      return migrateRows(file(table), parsed.header, parsed.rows, header, history).rows;
+    },
+
+    transaction: tx.transaction,
+
+    async close() {},
+  };
+}
+
+function createJsonSink(outDir, { lines }) {
+  // lines: true → NDJSON (one object per line), false → a single JSON array.
+  const file = (table) => path.join(outDir, `${table}.${lines ? 'ndjson' : 'json'}`);
+  const tx = fileTransactions();
+
+  async function load(table, header, history) {
+    const content = await readOptional(tx.writer.source(file(table)));
+    if (!content) return null;
+    const rows = lines
+      ? content.split('\n').filter(Boolean).map(line => JSON.parse(line))
+      : JSON.parse(content);
+    const found = rows.length ? Object.keys(rows[0]) : header;
+    const migrated = migrateRows(file(table), found, rows.map(r => stringRow(found, r)), header, history);
+    return { ...migrated, rows: migrated.rows.map(r => stringRow(header, r)) };
+  }
+
+  return {
+    kind: lines ? 'ndjson' : 'json',
+
+    async upsert(table, header, keyCols, rows, { dates, replaceColumn = 'date', history = SCHEMA_HISTORY[table] } = {}) {
+      const replace = dates ? (r) => dates.has(r[replaceColumn]) : undefined;
+      const existing = await load(table, header, history);
+      const merged = mergeRowsByKeys(existing?.rows || [], keyCols, rows, { replace })
+        .map(r => typedRow(header, r));
+
+      const content = lines
+        ? merged.map(r => JSON.stringify(r) + '\n').join('')
+        : JSON.stringify(merged, null, 2) + '\n';
+      if (existing?.migrated) await backupFile(file(table));
+      await tx.writer.write(file(table), content);
+    },
+
+    async read(table, header, { history = SCHEMA_HISTORY[table] } = {}) {
+      return (await load(table, header, history))?.rows ?? null;
+    },
+
+    transaction: tx.transaction,
+
+    async close() {},
+  };
+}
+
+async function createSqliteSink(file) {
+  let sqlite;
+  try {
+    sqlite = await import('node:sqlite');
+  } catch {
+    throw new Error(`SQLite storage requires Node.js 22.5+ (node:sqlite is not available in ${process.version})`);
+  }
+
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const db = new sqlite.DatabaseSync(file);
+  const ident = (name) => `"${name.replaceAll('"', '""')}"`;
+  const tableName = (table) => ident(table.replaceAll('-', '_'));
+  let inTransaction = false;
+
+  const columnsOf = (table) =>
+    db.prepare(`PRAGMA table_info(${tableName(table)})`).all().map(c => c.name);
+
+  function ensureTable(table, header, keyCols) {
+    const existing = columnsOf(table);
+    if (!existing.length) {
+      const cols = header.map(h => `${ident(h)} ${TEXT_COLUMNS.has(h) ? 'TEXT' : 'NUMERIC'}`);
+      db.exec(`CREATE TABLE ${tableName(table)} (${cols.join(', ')}, PRIMARY KEY (${keyCols.map(ident).join(', ')}))`);
+      return;
+    }
+    // New columns can be added in place; existing rows get NULL.
+    for (const h of header.filter(h => !existing.includes(h))) {
+      db.exec(`ALTER TABLE ${tableName(table)} ADD COLUMN ${ident(h)} ${TEXT_COLUMNS.has(h) ? 'TEXT' : 'NUMERIC'}`);
+    }
+  }
+
+  return {
+    kind: 'sqlite',
+
+    async upsert(table, header, keyCols, rows, { dates, replaceColumn = 'date' } = {}) {
+      ensureTable(table, header, keyCols);
+
+      const updates = header.filter(h => !keyCols.includes(h)).map(h => `${ident(h)} = excluded.${ident(h)}`);
+      const insert = db.prepare(
+        `INSERT INTO ${tableName(table)} (${header.map(ident).join(', ')}) VALUES (${header.map(() => '?').join(', ')})`
+        + ` ON CONFLICT (${keyCols.map(ident).join(', ')}) DO ${updates.length ? `UPDATE SET ${updates.join(', ')}` : 'NOTHING'}`,
+      );
+      const remove = db.prepare(`DELETE FROM ${tableName(table)} WHERE ${ident(replaceColumn)} = ?`);
+
+      // A savepoint works both on its own and inside transaction().
+      db.exec('SAVEPOINT upsert');
+      try {
+        for (const date of dates || []) remove.run(date);
+        for (const r of rows) insert.run(...header.map(h => typedValue(h, r[h])));
+        db.exec('RELEASE upsert');
+      } catch (e) {
+        db.exec('ROLLBACK TO upsert');
+        db.exec('RELEASE upsert');
+        throw e;
+      }
+    },
+
+    async read(table, header) {
+      const existing = columnsOf(table);
+      if (!existing.length) return null;
+      // Columns the table does not have yet read as blank, like migrated files.
+      const found = header.filter(h => existing.includes(h));
+      const order = ['date', 'rank'].filter(c => found.includes(c)).map(ident).join(', ') || 'rowid';
+      return db.prepare(`SELECT ${found.map(ident).join(', ') || 'rowid'} FROM ${tableName(table)} ORDER BY ${order}`).all()
+        .map(r => stringRow(header, r));
+    },
+
+    async transaction(fn) {
+      if (inTransaction) return fn();
+      inTransaction = true;
+      db.exec('BEGIN');
+      try {
+        const result = await fn();
+        db.exec('COMMIT');
+        return result;
+      } catch (e) {
+        db.exec('ROLLBACK');
+        throw e;
+      } finally {
+        inTransaction = false;
+      }
+    },
+
+    async close() {
+      db.close();
+    },
+  };
+}
+
+function createDryRunSink(storage) {
+  // Upserts are compared with what is stored and tallied per table in
+  // `changes`, so --dry-run can show what would change. They are kept in
+  // memory only, where later reads (e.g. rollups) still see them.
+  const byTable = new Map();
+  const pending = new Map();
+  const read = async (table, header) => pending.get(table) ?? storage.read(table, header);
+
+  return {
+    kind: `dry-run:${storage.kind}`,
+    changes: [],
+
+    async upsert(table, header, keyCols, rows, { dates, replaceColumn = 'date' } = {}) {
+      const key = (r) => keyCols.map(k => r[k]).join('||');
+      const current = (await read(table, header)) || [];
+      const existing = new Map(current.map(r => [key(r), r]));
+      const incoming = new Set(rows.map(key));
+      const replace = dates ? (r) => dates.has(r[replaceColumn]) : undefined;
+
+      if (!byTable.has(table)) {
+        byTable.set(table, { table, added: 0, changed: 0, removed: 0, unchanged: 0 });
+        this.changes.push(byTable.get(table));
+      }
+      const tally = byTable.get(table);
+      for (const r of rows) {
+        const old = existing.get(key(r));
+        if (!old) tally.added++;
+        else if (header.some(h => String(old[h] ?? '') !== String(r[h] ?? ''))) tally.changed++;
+        else tally.unchanged++;
+      }
+      for (const [k, r] of existing) if (replace?.(r) && !incoming.has(k)) tally.removed++;
+
+      pending.set(table, mergeRowsByKeys(current, keyCols, rows.map(r => stringRow(header, r)), { replace }));
+    },
+
+    read,
+    transaction: (fn) => fn(),
+    close: () => storage.close(),
+  };
+}
+
+async function openStorage(kinds, { outDir, sqlitePath, csvDialect }) {
+  // Fan out writes to every selected sink; reads come from the first one.
+  const sinks = [];
+  for (const kind of kinds) {
+    if (kind === 'csv') sinks.push(createCsvSink(outDir, csvDialect));
+    else if (kind === 'ndjson') sinks.push(createJsonSink(outDir, { lines: true }));
+    else if (kind === 'json') sinks.push(createJsonSink(outDir, { lines: false }));
+    else if (kind === 'sqlite') sinks.push(await createSqliteSink(sqlitePath || path.join(outDir, 'wakapi.sqlite')));
+    else throw new Error(`Unknown storage: ${kind} (supported: ${STORAGE_KINDS.join(', ')})`);
+  }
+  if (sinks.length === 1) return sinks[0];
+
+  return {
+    kind: kinds.join(','),
+    async upsert(...args) {
+      for (const sink of sinks) await sink.upsert(...args);
+    },
+    read: (...args) => sinks[0].read(...args),
+    transaction(fn) {
+      // Nest the sinks' transactions so a failure rolls back all of them.
+      return sinks.reduceRight((inner, sink) => () => sink.transaction(inner), fn)();
+    },
+    async close() {
+      for (const sink of sinks) await sink.close();
+    },
+  };
+}
+
+export {
+  STORAGE_KINDS,
+  createCsvSink,
+  createJsonSink,
+  createSqliteSink,
+  createDryRunSink,
+  openStorage,
+};
@@ -0,0 +1,249 @@
+// Type declarations for wakapi-daily-summary.mjs when it is imported as a library.
+
+/** A stored row: every value is a string, as in the CSV files. */
+export type Row = Record<string, string>;
+
+export type StorageKind = 'csv' | 'ndjson' | 'json' | 'sqlite';
+export type Dimension = 'editors' | 'operating_systems' | 'machines' | 'branches' | 'categories' | 'labels';
+export type RollupKind = 'weekly' | 'monthly' | 'yearly';
+
+/** One entry of the WAKAPI_GOALS file, as validated by getConfig(). */
+export interface Goal {
+  name: string;
+  period: 'day' | 'week';
+  min_hours: number | null;
+  max_hours: number | null;
+  project: string | null;
+  language: string | null;
+}
+
+/** A compiled entry of the WAKAPI_RULES file (see lib/rules.mjs). */
+export interface NameRule {
+  regex: RegExp;
+  action: 'rename' | 'group' | 'exclude';
+  target: string | null;
+  substitute: boolean;
+}
+
+/** Name labelling for WAKAPI_PRIVACY (see lib/privacy.mjs). */
+export interface Privacy {
+  mode: 'hash' | 'redact';
+  project(name: string): string;
+  branch(name: string): string;
+  digest(text: string): string;
+  save(): Promise<boolean>;
+}
+
+export interface CsvDialect {
+  delimiter?: ',' | ';' | '\t' | '|';
+  decimalComma?: boolean;
+  bom?: boolean;
+  crlf?: boolean;
+  numeric?: (column: string) => boolean;
+}
+
+export interface HttpOptions {
+  timeoutMs: number;
+  retries: number;
+  backoffMs: number;
+  fetch?: typeof globalThis.fetch;
+}
+
+/** Settings as returned by getConfig(). */
+export interface Config {
+  WAKAPI_URL: string | undefined;
+  WAKAPI_API_KEY: string | undefined;
+  PROVIDER: 'wakapi' | 'wakatime';
+  AUTH: 'basic' | 'bearer' | 'query';
+  OUT_DIR: string;
+  TOP_N_PROJECTS: number;
+  TOP_N_LANGUAGES: number;
+  BACKFILL_CHUNK_DAYS: number;
+  REFRESH_DAYS: number;
+  CATCHUP_MAX_DAYS: number;
+  /** IANA name, or "auto" to use the timezone of the Wakapi/WakaTime profile. */
+  TIMEZONE: string;
+  DIMENSIONS: Dimension[];
+  TOP_N_DIMENSIONS: number;
+  /** Add an "(other)" row summing everything below the top N. */
+  OTHER_BUCKET: boolean;
+  PROJECT_LANGUAGES: boolean;
+  DURATIONS: boolean;
+  HOURLY_BY_PROJECT: boolean;
+  HEARTBEATS: boolean;
+  HEARTBEAT_TIMEOUT: number;
+  ROLLUPS: RollupKind[];
+  STORAGE: StorageKind[];
+  SQLITE_PATH: string | undefined;
+  CSV_DIALECT: CsvDialect;
+  HTTP: HttpOptions;
+  /** Directory with digest.md/digest.html overriding the built-in digest templates. */
+  DIGEST_TEMPLATES: string | undefined;
+  GOALS: Goal[];
+  GOALS_WEBHOOK: string | undefined;
+  STATS: boolean;
+  /** Minutes a day needs to count towards a streak (0: any coding time). */
+  STREAK_MIN_MINUTES: number;
+  /** Project and language name rules, applied before ranking. */
+  RULES: { projects: NameRule[]; languages: NameRule[] };
+  /** Replace project and branch names before writing (null: off). */
+  PRIVACY: 'hash' | 'redact' | null;
+  /** Names kept in clear under PRIVACY. */
+  PRIVACY_ALLOW: string[];
+  /** JSON file mapping labels back to names; outside OUT_DIR. */
+  PRIVACY_MAP: string | undefined;
+}
+
+/** The interface every storage sink implements (see lib/storage.mjs). */
+export interface Sink {
+  kind?: string;
+  upsert(
+    table: string,
+    header: string[],
+    keyCols: string[],
+    rows: Row[],
+    options?: { dates?: Set<string>; replaceColumn?: string },
+  ): Promise<void>;
+  read(table: string, header: string[]): Promise<Row[] | null>;
+  transaction<T>(fn: () => Promise<T>): Promise<T>;
+  close(): Promise<void>;
+}
+
+export interface RankedItem {
+  name: string | undefined;
+  seconds: number | undefined;
+  percent?: number;
+}
+
+export interface DayStats {
+  totalSeconds: number | undefined;
+  projects: RankedItem[];
+  languages: RankedItem[];
+  dimensions: Record<Dimension, RankedItem[]>;
+}
+
+/** One day as written by writeDays(): the rows of every table for that date. */
+export interface DayRows {
+  date: string;
+  totalHours: number;
+  total: Row[];
+  projects: Row[];
+  languages: Row[];
+  dimensions: Record<string, Row[]>;
+  /** With project rules: the original names behind each cleaned project. */
+  projectSources?: Record<string, string[]>;
+  projectLanguages?: Row[];
+  hourly?: Row[];
+  hourlyProjects?: Row[];
+  sessions?: Row[];
+  heartbeatCheck?: Row[];
+}
+
+export interface Duration {
+  project: string;
+  /** Unix seconds. */
+  start: number;
+  seconds: number;
+}
+
+export interface SyncDayOptions {
+  /** YYYY-MM-DD in the resolved timezone; defaults to today according to `now`. */
+  date?: string;
+  config: Config;
+  /** Replaces globalThis.fetch for every API request. */
+  fetch?: typeof globalThis.fetch;
+  /** Clock used to decide what "today" is. */
+  now?: () => Date;
+  /** Where rows are written; defaults to the storage in `config`, opened and locked for this call. */
+  sink?: Sink;
+}
+
+export interface SyncDayResult {
+  date: string;
+  total_seconds: number;
+  total_hours: number;
+  /** Named rows written (without "(other)"). */
+  projects_count: number;
+  languages_count: number;
+  /** Projects and languages the day had in total. */
+  projects_total_count: number;
+  languages_total_count: number;
+  timezone: string;
+  /** API path that supplied the day: the statusbar for today, summaries for finished days. */
+  source: string;
+  /** True when summaries?range=today filled in what the statusbar lacked. */
+  fallback: boolean;
+  projects: { name: string; seconds: number }[];
+  languages: { name: string; seconds: number }[];
+  /** Rows written per table, e.g. { "daily-total": 1, "daily-top-projects": 10 }. */
+  rows: Record<string, number>;
+}
+
+export function syncDay(options: SyncDayOptions): Promise<SyncDayResult>;
+/** Throws a ConfigError (exitCode 2) for missing or invalid settings. */
+export function getConfig(options?: { requireApi?: boolean; env?: Record<string, string | undefined> }): Config;
+
+export function csvEscape(value: unknown, delimiter?: string): string;
+export function rowsToCsv(header: string[], rows: unknown[][], dialect?: CsvDialect): string;
+export function readCsv(file: string): Promise<string | null>;
+export function parseCsvSimple(content: string, dialect?: CsvDialect): { header: string[]; rows: Row[] };
+export function readCsvFile(file: string, dialect?: CsvDialect): Promise<{ header: string[]; rows: Row[] } | null>;
+export function upsertCsvByKeys(
+  file: string,
+  header: string[],
+  keyCols: string[],
+  newRows: Row[],
+  options?: { replace?: (row: Row) => boolean; history?: unknown[]; dialect?: CsvDialect; writer?: unknown },
+): Promise<void>;
+
+export function extractTopFromStatusbarToday(statusbar: unknown): DayStats;
+export function extractFromSummariesToday(summaries: unknown): DayStats;
+export function extractSummariesByDate(summaries: unknown, start: string): Map<string, DayStats>;
+export function toHours(seconds: number): number;
+export function pickTop<T>(items: T[] | null | undefined, topN: number): T[];
+
+export function ymdLocal(date?: Date): string;
+export function ymdInZone(date: Date, timeZone: string): string;
+export function isoInZone(date: Date, timeZone: string): string;
+export function isValidTimezone(timeZone: string): boolean;
+export function resolveTimezone(config: Config): Promise<string>;
+export function isYmd(value: string): boolean;
+export function addDays(ymd: string, n: number): string;
+export function eachDate(from: string, to: string): string[];
+export function chunkDateRange(from: string, to: string, chunkDays: number): [string, string][];
+export function planCatchUp(knownDates: string[], today: string, refreshDays: number, maxDays: number): { from: string; to: string } | null;
+
+export function buildDayRows(
+  date: string,
+  stats: { totalSeconds: number; projects?: RankedItem[]; languages?: RankedItem[]; dimensions?: Partial<Record<Dimension, RankedItem[]>> },
+  config: Pick<Config, 'TOP_N_PROJECTS' | 'TOP_N_LANGUAGES'> & Partial<Pick<Config, 'DIMENSIONS' | 'TOP_N_DIMENSIONS' | 'OTHER_BUCKET' | 'RULES'>>,
+): DayRows;
+/** Writes all tables of `days` in one transaction; resolves to the rows written per table. */
+export function writeDays(storage: Sink, days: DayRows[], options?: { rollups?: RollupKind[] }): Promise<Record<string, number>>;
+/** Rebuilds the rollup periods containing `dates` from the stored daily tables. */
+export function writeRollups(storage: Sink, dates: Set<string>, kinds: RollupKind[]): Promise<Record<string, number>>;
+export function recomputeRollups(config: Config, storage: Sink): Promise<{ days: number; rows: Record<string, number> }>;
+export function dimensionTable(dimension: string): string;
+export function projectLanguageRows(date: string, project: string, languages: RankedItem[] | null | undefined): Row[];
+export function addProjectLanguages(config: Config, start: string, end: string, days: DayRows[]): Promise<DayRows[]>;
+
+export function extractDurations(durations: unknown): Duration[];
+export function bucketHourly(date: string, durations: Duration[], timeZone: string): { hourly: Row[]; hourlyProjects: Row[] };
+export function buildSessions(date: string, durations: Duration[], timeZone: string): Row[];
+export function addDurations(config: Config, days: DayRows[]): Promise<DayRows[]>;
+export function addHeartbeats(config: Config, days: DayRows[], privacy?: Privacy | null): Promise<DayRows[]>;
+
+export function archiveHeartbeats(outDir: string, date: string, heartbeats: object[], options?: { dryRun?: boolean; privacy?: Privacy | null; keep?: (heartbeat: object) => boolean }): Promise<object[]>;
+export function readHeartbeatArchive(file: string): Promise<object[]>;
+export function totalFromHeartbeats(heartbeats: { time: number | string }[], timeoutSeconds: number): number;
+export function heartbeatCheckRow(date: string, serverSeconds: string | number | null | undefined, heartbeats: object[], timeoutSeconds: number): Row;
+export function recomputeHeartbeats(config: Config, storage: Sink): Promise<{ days: number }>;
+export function readDailyTotals(storage: Sink): Promise<Map<string, string>>;
+
+export function createCsvSink(outDir: string, dialect?: CsvDialect): Sink;
+export function createJsonSink(outDir: string, options: { lines: boolean }): Sink;
+export function createSqliteSink(file: string): Promise<Sink>;
+export function openStorage(
+  kinds: StorageKind[],
+  options: { outDir: string; sqlitePath?: string; csvDialect?: CsvDialect },
+): Promise<Sink>;
@@ -3,217 +3,1092 @@
   Wakapi daily summary → CSV
 
   Env:
-    WAKAPI_URL (required)
-    WAKAPI_API_KEY (required)
+    WAKAPI_URL (required for Wakapi; defaults to https://wakatime.com with WAKAPI_PROVIDER=wakatime)
+    WAKAPI_API_KEY (required; or WAKAPI_API_KEY_FILE with the key in a file)
+    WAKAPI_PROVIDER (default wakapi; or wakatime)
+    WAKAPI_AUTH (default basic; bearer sends the key as a token, query appends ?api_key=)
     WAKAPI_OUT_DIR (required)
     WAKAPI_TOP_N_PROJECTS (default 10)
     WAKAPI_TOP_N_LANGUAGES (default 10)
+    WAKAPI_BACKFILL_CHUNK_DAYS (default 31)
+    WAKAPI_REFRESH_DAYS (default 1; re-fetch this many past days, 0 disables)
+    WAKAPI_CATCHUP_MAX_DAYS (default 31; how far back gaps are filled automatically)
+    WAKAPI_DIMENSIONS (default none; comma list of editors,operating_systems,machines,branches,categories,labels)
+    WAKAPI_TOP_N_DIMENSIONS (default 10)
+    WAKAPI_OTHER_BUCKET (default off; 1 adds an "(other)" row summing everything below the top N)
+    WAKAPI_PROJECT_LANGUAGES (default off; 1 writes daily-project-languages.csv for the top projects)
+    WAKAPI_DURATIONS (default off; 1 writes daily-hourly.csv and daily-sessions.csv)
+    WAKAPI_HOURLY_BY_PROJECT (default off; 1 also writes daily-hourly-projects.csv)
+    WAKAPI_HEARTBEATS (default off; 1 archives raw heartbeats and cross-checks daily totals)
+    WAKAPI_HEARTBEAT_TIMEOUT (default 600; seconds between heartbeats still counted as coding)
+    WAKAPI_ROLLUPS (default off; 1 writes weekly/monthly/yearly-{total,projects,languages}.csv, or a list like weekly,monthly)
+    WAKAPI_DIGEST_TEMPLATES (optional directory with digest.md/digest.html replacing the built-in templates)
+    WAKAPI_GOALS (optional JSON file with daily/weekly hour goals, see lib/goals.mjs; results go to goals.csv)
+    WAKAPI_GOALS_WEBHOOK (optional URL; newly missed goals are POSTed there as JSON)
+    WAKAPI_RULES (optional JSON file renaming, grouping or excluding projects/languages, see lib/rules.mjs)
+    WAKAPI_PRIVACY (default off; hash or redact replaces project and branch names, see lib/privacy.mjs)
+    WAKAPI_PRIVACY_ALLOW (comma list of project/branch names kept in clear)
+    WAKAPI_PRIVACY_MAP (required with WAKAPI_PRIVACY; JSON file outside WAKAPI_OUT_DIR mapping labels back to names)
+    WAKAPI_STATS (default off; 1 rewrites stats.json and stats.csv after every sync, see lib/stats.mjs)
+    WAKAPI_STREAK_MIN_MINUTES (default 0; minutes a day needs to count towards a streak)
+    WAKAPI_FORMAT (default csv; comma list of csv,ndjson,json,sqlite; WAKAPI_STORAGE is an alias)
+    WAKAPI_SQLITE_PATH (default $WAKAPI_OUT_DIR/wakapi.sqlite)
+    WAKAPI_CSV_DELIMITER (default ","; also ";", "tab" or "|")
+    WAKAPI_CSV_DECIMAL_COMMA (default off; 1 writes 1,5 instead of 1.5)
+    WAKAPI_CSV_BOM (default off; 1 prefixes CSVs with a UTF-8 BOM for Excel)
+    WAKAPI_TIMEZONE (default auto; IANA name, or "auto" to use the Wakapi profile timezone)
+    WAKAPI_HTTP_TIMEOUT (default 30; seconds per request)
+    WAKAPI_HTTP_RETRIES (default 3; retries for network errors, timeouts, 5xx and 429)
+    WAKAPI_HTTP_BACKOFF (default 1; base seconds for exponential backoff with jitter)
+    WAKAPI_CONFIG (optional JSON file with named profiles, see lib/config.mjs)
+    WAKAPI_PROFILE (comma-separated profiles to run; default all)
+
+  Commands (see --help for every flag):
+    sync [--date YYYY-MM-DD]                catch up recent days and sync today (default), or one day
+    backfill --from YYYY-MM-DD [--to ...]   sync a date range (plain --from also means backfill)
+    report [--date | --from/--to]           summarize stored data, default the last 7 days (offline)
+    report --digest [--date]                write digest.md and digest.html, print the Markdown (offline)
+    stats [--date]                          recompute stats.json and stats.csv as of today or --date (offline)
+    verify                                  check stored files for layout problems, gaps and inconsistent rows (offline)
+    verify --fix                            re-fetch the days verify complains about, then check again
+    doctor                                  check Node.js, config, output dir, lock and API access
+
+  Flags:
+    --out, --url, --provider, --auth, --timezone, --top-projects, --top-languages,
+    --top-dimensions, --dimensions, --templates, --format   override the matching WAKAPI_* setting
+    --recompute-heartbeats                 rebuild daily-heartbeat-check.csv from the local archive (offline)
+    --recompute-rollups                    rebuild all weekly/monthly/yearly rollup files from stored days (offline)
+    --config FILE                          run the profiles in FILE (overrides WAKAPI_CONFIG)
+    --profile NAME[,NAME]                  run only these profiles (repeatable)
+    --dry-run                              fetch and compare, but write nothing
+    --json                                 print one JSON result on stdout; progress goes to stderr
+
+  Library:
+    import { getConfig, syncDay } from './wakapi-daily-summary.mjs' (types in wakapi-daily-summary.d.mts);
+    syncDay({ date, config, fetch, now, sink }) syncs one day without touching process.env or the clock.
+
+  Concurrency:
+    Each run holds $WAKAPI_OUT_DIR/.wakapi-sync.lock (stale locks are taken over)
+    and commits all tables of a sync together via temp files + rename.
+
+  Exit codes:
+    0 ok, 1 error (or verify/doctor found problems), 2 invalid config, 3 auth rejected (401/403),
+    4 not found (404), 5 a goal was missed, 75 temporary failure (network, timeout, 5xx, 429, lock held) — safe to retry later
 
   Data source:
-    GET /api/v1/users/current/statusbar/today
+    GET /api/v1/users/current (timezone, when WAKAPI_TIMEZONE=auto)
+    GET /api/v1/users/current/statusbar/today (status_bar/today on WakaTime)
     GET /api/v1/users/current/summaries?range=today (fallback for top projects/languages)
+    GET /api/v1/users/current/summaries?start=..&end=.. (backfill)
+    GET /api/v1/users/current/summaries?start=..&end=..&project=.. (project × language)
+    GET /api/v1/users/current/durations?date=.. (hourly distribution, sessions)
+    GET /api/v1/users/current/heartbeats?date=.. (raw archive)
 */
 
 import fs from 'node:fs/promises';
+import { constants as fsConstants } from 'node:fs';
 import path from 'node:path';
+import { parseArgs } from 'node:util';
 
-function getConfig() {
-  const WAKAPI_URL = process.env.WAKAPI_URL;
-  const WAKAPI_API_KEY = process.env.WAKAPI_API_KEY;
-  const OUT_DIR = process.env.WAKAPI_OUT_DIR;
-  const TOP_N_PROJECTS = Number(process.env.WAKAPI_TOP_N_PROJECTS || 10);
-  const TOP_N_LANGUAGES = Number(process.env.WAKAPI_TOP_N_LANGUAGES || 10);
+import { csvEscape, rowsToCsv, readCsv, parseCsvSimple, readCsvFile, upsertCsvByKeys } from './lib/csv.mjs';
+import { SchemaError } from './lib/schema.mjs';
+import { LockError, acquireLock, describeOwner, inspectLock, writeFileAtomic } from './lib/files.mjs';
+import { EXIT_CODES, HttpError, httpJson, postJson } from './lib/http.mjs';
+import { ConfigError, readSecretFile, loadProfiles } from './lib/config.mjs';
+import { AUTH_MODES, PROVIDERS, authenticate } from './lib/providers.mjs';
+import { isYmd, addDays, eachDate, chunkDateRange, toHours, percentOf } from './lib/dates.mjs';
+import { ROLLUP_KINDS, periodOf, periodRange } from './lib/rollups.mjs';
+import { DIGEST_FILES, renderDigest } from './lib/digest.mjs';
+import { STATS_CSV_HEADER, computeStats, statsRows, streaks } from './lib/stats.mjs';
+import { GOAL_MISSED_EXIT_CODE, loadGoals, goalScope, goalStatus } from './lib/goals.mjs';
+import { loadRules, mapName, mergeItems, applyRules } from './lib/rules.mjs';
+import { PRIVACY_MODES, loadPrivacy } from './lib/privacy.mjs';
+import { STORAGE_KINDS, createCsvSink, createJsonSink, createSqliteSink, createDryRunSink, openStorage } from './lib/storage.mjs';
 
-  if (!WAKAPI_URL || !WAKAPI_API_KEY || !OUT_DIR) {
-    console.error('Missing required env vars: WAKAPI_URL, WAKAPI_API_KEY, WAKAPI_OUT_DIR');
-    process.exit(2);
-  }
+const TOTAL_HEADER = ['date','total_seconds','total_hours','projects_count','languages_count','projects_total_count','languages_total_count'];
+const PROJECTS_HEADER = ['date','rank','project','seconds','hours','percent'];
+const LANGUAGES_HEADER = ['date','rank','language','seconds','hours','percent'];
+const DIMENSION_HEADER = ['date','rank','name','seconds','hours','percent'];
+const PROJECT_LANGUAGES_HEADER = ['date','project','language','seconds','hours'];
+const HOURLY_HEADER = ['date','hour','seconds','hours'];
+const HOURLY_PROJECTS_HEADER = ['date','hour','project','seconds','hours'];
+const SESSIONS_HEADER = ['date','start','end','seconds','project'];
+const HEARTBEAT_CHECK_HEADER = ['date','heartbeats','server_seconds','local_seconds','diff_seconds'];
+const ROLLUP_TOTAL_HEADER = ['period','start','end','total_seconds','total_hours','active_days','average_hours'];
+const ROLLUP_PROJECTS_HEADER = ['period','rank','project','seconds','hours','active_days','average_hours','percent'];
+const ROLLUP_LANGUAGES_HEADER = ['period','rank','language','seconds','hours','active_days','average_hours','percent'];
+const GOALS_HEADER = ['period','goal','scope','min_hours','max_hours','actual_hours','status'];
+
+// Name of the row summing everything below the top N (WAKAPI_OTHER_BUCKET).
+const OTHER_NAME = '(other)';
 
-  return { WAKAPI_URL, WAKAPI_API_KEY, OUT_DIR, TOP_N_PROJECTS, TOP_N_LANGUAGES };
+// Extra breakdowns available in Wakapi summaries, each written to daily-top-<dimension>.csv.
+const DIMENSIONS = ['editors','operating_systems','machines','branches','categories','labels'];
+
+// Every WAKAPI_* setting getConfig() reads; config file profiles may set these.
+const SETTINGS = [
+  'URL', 'API_KEY', 'PROVIDER', 'AUTH', 'OUT_DIR', 'TOP_N_PROJECTS', 'TOP_N_LANGUAGES',
+  'BACKFILL_CHUNK_DAYS', 'REFRESH_DAYS', 'CATCHUP_MAX_DAYS', 'TIMEZONE', 'DIMENSIONS', 'TOP_N_DIMENSIONS',
+  'OTHER_BUCKET', 'PROJECT_LANGUAGES', 'DURATIONS', 'HOURLY_BY_PROJECT', 'HEARTBEATS', 'HEARTBEAT_TIMEOUT',
+  'FORMAT', 'STORAGE', 'SQLITE_PATH', 'CSV_DELIMITER', 'CSV_DECIMAL_COMMA', 'CSV_BOM',
+  'HTTP_TIMEOUT', 'HTTP_RETRIES', 'HTTP_BACKOFF', 'ROLLUPS', 'DIGEST_TEMPLATES',
+  'GOALS', 'GOALS_WEBHOOK', 'STATS', 'STREAK_MIN_MINUTES', 'RULES',
+  'PRIVACY', 'PRIVACY_ALLOW', 'PRIVACY_MAP',
+].map(name => `WAKAPI_${name}`);
+
+function envFlag(name, env = process.env) {
+  return /^(1|true|yes|on)$/i.test(env[name] || '');
 }
 
-function ymdLocal(date = new Date()) {
-  const y = date.getFullYear();
-  const m = String(date.getMonth() + 1).padStart(2, '0');
-  const d = String(date.getDate()).padStart(2, '0');
-  return `${y}-${m}-${d}`;
+function parseList(value) {
+  return (value || '').split(',').map(v => v.trim()).filter(Boolean);
 }
 
-function b64(str) {
-  return Buffer.from(str, 'utf8').toString('base64');
+function parseDelimiter(value) {
+  if (!value) return ',';
+  if (value === 'tab' || value === '\\t') return '\t';
+  return [',', ';', '|'].includes(value) ? value : null;
 }
 
-async function httpJson(url, apiKey) {
-  const headers = {
-    'Accept': 'application/json',
-    'Authorization': `Basic ${b64(apiKey)}`,
+function validateStorage(kinds, source) {
+  const unknown = kinds.filter(k => !STORAGE_KINDS.includes(k));
+  if (!kinds.length || unknown.length) {
+    throw new ConfigError(`Invalid ${source}: ${kinds.join(',')} (supported: ${STORAGE_KINDS.join(', ')})`);
+  }
+}
+
+function getConfig({ requireApi = true, env = process.env } = {}) {
+  const PROVIDER = env.WAKAPI_PROVIDER || 'wakapi';
+  const preset = PROVIDERS[PROVIDER];
+  const WAKAPI_URL = env.WAKAPI_URL || preset?.url;
+  const AUTH = env.WAKAPI_AUTH || preset?.auth;
+  const WAKAPI_API_KEY = env.WAKAPI_API_KEY
+    || (env.WAKAPI_API_KEY_FILE ? readSecretFile(env.WAKAPI_API_KEY_FILE) : undefined);
+  const OUT_DIR = env.WAKAPI_OUT_DIR;
+  const TOP_N_PROJECTS = Number(env.WAKAPI_TOP_N_PROJECTS || 10);
+  const TOP_N_LANGUAGES = Number(env.WAKAPI_TOP_N_LANGUAGES || 10);
+  const BACKFILL_CHUNK_DAYS = Number(env.WAKAPI_BACKFILL_CHUNK_DAYS || 31);
+  const REFRESH_DAYS = Number(env.WAKAPI_REFRESH_DAYS || 1);
+  const CATCHUP_MAX_DAYS = Number(env.WAKAPI_CATCHUP_MAX_DAYS || 31);
+  const TIMEZONE = env.WAKAPI_TIMEZONE || 'auto';
+  const SELECTED_DIMENSIONS = parseList(env.WAKAPI_DIMENSIONS);
+  const TOP_N_DIMENSIONS = Number(env.WAKAPI_TOP_N_DIMENSIONS || 10);
+  const OTHER_BUCKET = envFlag('WAKAPI_OTHER_BUCKET', env);
+  const PROJECT_LANGUAGES = envFlag('WAKAPI_PROJECT_LANGUAGES', env);
+  const DURATIONS = envFlag('WAKAPI_DURATIONS', env);
+  const HOURLY_BY_PROJECT = envFlag('WAKAPI_HOURLY_BY_PROJECT', env);
+  const HEARTBEATS = envFlag('WAKAPI_HEARTBEATS', env);
+  const HEARTBEAT_TIMEOUT = Number(env.WAKAPI_HEARTBEAT_TIMEOUT || 600);
+  const ROLLUPS = envFlag('WAKAPI_ROLLUPS', env) ? ROLLUP_KINDS
+    : /^(0|false|no|off)$/i.test(env.WAKAPI_ROLLUPS || '') ? [] : parseList(env.WAKAPI_ROLLUPS);
+  const STORAGE = parseList(env.WAKAPI_FORMAT || env.WAKAPI_STORAGE || 'csv');
+  const SQLITE_PATH = env.WAKAPI_SQLITE_PATH;
+  const DIGEST_TEMPLATES = env.WAKAPI_DIGEST_TEMPLATES;
+  const GOALS = env.WAKAPI_GOALS ? loadGoals(env.WAKAPI_GOALS) : [];
+  const GOALS_WEBHOOK = env.WAKAPI_GOALS_WEBHOOK;
+  const STATS = envFlag('WAKAPI_STATS', env);
+  const STREAK_MIN_MINUTES = Number(env.WAKAPI_STREAK_MIN_MINUTES || 0);
+  const RULES = env.WAKAPI_RULES ? loadRules(env.WAKAPI_RULES) : { projects: [], languages: [] };
+  const PRIVACY = /^(|0|false|no|off)$/i.test(env.WAKAPI_PRIVACY || '') ? null : env.WAKAPI_PRIVACY;
+  const PRIVACY_ALLOW = parseList(env.WAKAPI_PRIVACY_ALLOW);
+  const PRIVACY_MAP = env.WAKAPI_PRIVACY_MAP;
+  const HTTP = {
+    timeoutMs: Number(env.WAKAPI_HTTP_TIMEOUT || 30) * 1000,
+    retries: Number(env.WAKAPI_HTTP_RETRIES || 3),
+    backoffMs: Number(env.WAKAPI_HTTP_BACKOFF || 1) * 1000,
+  };
+  const CSV_DIALECT = {
+    delimiter: parseDelimiter(env.WAKAPI_CSV_DELIMITER),
+    decimalComma: envFlag('WAKAPI_CSV_DECIMAL_COMMA', env),
+    bom: envFlag('WAKAPI_CSV_BOM', env),
   };
 
-  const res = await fetch(url, { headers });
-  if (!res.ok) {
-    const text = await res.text().catch(() => '');
-    throw new Error(`HTTP ${res.status} ${res.statusText} for ${url}\n${text.slice(0, 500)}`);
+  if (!preset) {
+    throw new ConfigError(`Unknown WAKAPI_PROVIDER: ${PROVIDER} (supported: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  if (!AUTH_MODES.includes(AUTH)) {
+    throw new ConfigError(`Unknown WAKAPI_AUTH: ${AUTH} (supported: ${AUTH_MODES.join(', ')})`);
+  }
+  if (requireApi && (!WAKAPI_URL || !WAKAPI_API_KEY)) {
+    throw new ConfigError('Missing required env vars: WAKAPI_URL, WAKAPI_API_KEY, WAKAPI_OUT_DIR');
+  }
+  if (!OUT_DIR) {
+    throw new ConfigError('Missing required env var: WAKAPI_OUT_DIR');
+  }
+  if (TIMEZONE !== 'auto' && !isValidTimezone(TIMEZONE)) {
+    throw new ConfigError(`Invalid WAKAPI_TIMEZONE (expected an IANA name like Asia/Tokyo, or "auto"): ${TIMEZONE}`);
+  }
+  validateStorage(STORAGE, 'WAKAPI_FORMAT');
+  if (!CSV_DIALECT.delimiter) {
+    throw new ConfigError(`Invalid WAKAPI_CSV_DELIMITER (expected ",", ";", "tab" or "|"): ${env.WAKAPI_CSV_DELIMITER}`);
+  }
+  if (CSV_DIALECT.decimalComma && CSV_DIALECT.delimiter === ',') {
+    throw new ConfigError('WAKAPI_CSV_DECIMAL_COMMA needs a delimiter other than "," (e.g. WAKAPI_CSV_DELIMITER=";")');
+  }
+  if (!(HTTP.timeoutMs > 0) || !Number.isInteger(HTTP.retries) || HTTP.retries < 0 || !(HTTP.backoffMs >= 0)) {
+    throw new ConfigError('Invalid WAKAPI_HTTP_TIMEOUT / WAKAPI_HTTP_RETRIES / WAKAPI_HTTP_BACKOFF (expected non-negative numbers)');
+  }
+  for (const [name, n] of [
+    ['WAKAPI_TOP_N_PROJECTS', TOP_N_PROJECTS], ['WAKAPI_TOP_N_LANGUAGES', TOP_N_LANGUAGES], ['WAKAPI_TOP_N_DIMENSIONS', TOP_N_DIMENSIONS],
+    ['WAKAPI_BACKFILL_CHUNK_DAYS', BACKFILL_CHUNK_DAYS],
+  ]) {
+    if (!Number.isInteger(n) || n < 1) throw new ConfigError(`Invalid ${name} (expected a positive integer): ${env[name]}`);
+  }
+  for (const [name, n] of [['WAKAPI_REFRESH_DAYS', REFRESH_DAYS], ['WAKAPI_CATCHUP_MAX_DAYS', CATCHUP_MAX_DAYS]]) {
+    if (!Number.isInteger(n) || n < 0) throw new ConfigError(`Invalid ${name} (expected a non-negative integer): ${env[name]}`);
+  }
+  const unknownRollups = ROLLUPS.filter(r => !ROLLUP_KINDS.includes(r));
+  if (unknownRollups.length) {
+    throw new ConfigError(`Unknown WAKAPI_ROLLUPS: ${unknownRollups.join(', ')} (supported: 1 for all, or ${ROLLUP_KINDS.join(', ')})`);
+  }
+  if (!(HEARTBEAT_TIMEOUT > 0)) {
+    throw new ConfigError(`Invalid WAKAPI_HEARTBEAT_TIMEOUT (expected a positive number of seconds): ${env.WAKAPI_HEARTBEAT_TIMEOUT}`);
+  }
+  if (!(STREAK_MIN_MINUTES >= 0)) {
+    throw new ConfigError(`Invalid WAKAPI_STREAK_MIN_MINUTES (expected a non-negative number): ${env.WAKAPI_STREAK_MIN_MINUTES}`);
+  }
+  if (GOALS_WEBHOOK && !/^https?:\/\//i.test(GOALS_WEBHOOK)) {
+    throw new ConfigError('Invalid WAKAPI_GOALS_WEBHOOK (expected an http:// or https:// URL)');
+  }
+  if (PRIVACY && !PRIVACY_MODES.includes(PRIVACY)) {
+    throw new ConfigError(`Unknown WAKAPI_PRIVACY: ${PRIVACY} (supported: ${PRIVACY_MODES.join(', ')}, or off)`);
+  }
+  if (PRIVACY && !PRIVACY_MAP) {
+    throw new ConfigError('WAKAPI_PRIVACY needs WAKAPI_PRIVACY_MAP, the file that maps labels back to names');
+  }
+  if (PRIVACY) {
+    // The map holds the real names; it must not end up in the shared folder.
+    const inside = path.relative(path.resolve(OUT_DIR), path.resolve(PRIVACY_MAP));
+    if (!inside.startsWith('..') && !path.isAbsolute(inside)) {
+      throw new ConfigError(`WAKAPI_PRIVACY_MAP must be outside WAKAPI_OUT_DIR: ${PRIVACY_MAP}`);
+    }
+  }
+  const unknownDimensions = SELECTED_DIMENSIONS.filter(d => !DIMENSIONS.includes(d));
+  if (unknownDimensions.length) {
+    throw new ConfigError(`Unknown WAKAPI_DIMENSIONS: ${unknownDimensions.join(', ')} (supported: ${DIMENSIONS.join(', ')})`);
   }
-  return res.json();
-}
 
-function toHours(seconds) {
-  return Math.round((seconds / 3600) * 100) / 100;
+  return {
+    WAKAPI_URL, WAKAPI_API_KEY, PROVIDER, AUTH, OUT_DIR, TOP_N_PROJECTS, TOP_N_LANGUAGES, BACKFILL_CHUNK_DAYS,
+    REFRESH_DAYS, CATCHUP_MAX_DAYS, TIMEZONE, DIMENSIONS: SELECTED_DIMENSIONS, TOP_N_DIMENSIONS, OTHER_BUCKET,
+    PROJECT_LANGUAGES, DURATIONS, HOURLY_BY_PROJECT, HEARTBEATS, HEARTBEAT_TIMEOUT, ROLLUPS,
+    STORAGE, SQLITE_PATH, CSV_DIALECT, HTTP, DIGEST_TEMPLATES, GOALS, GOALS_WEBHOOK,
+    STATS, STREAK_MIN_MINUTES, RULES, PRIVACY, PRIVACY_ALLOW, PRIVACY_MAP,
+  };
 }
 
-function csvEscape(value) {
-  if (value === null || value === undefined) return '';
-  const s = String(value);
-  if (/[",\n\r]/.test(s)) return `"${s.replaceAll('"', '""')}"`;
-  return s;
+const COMMANDS = ['sync', 'backfill', 'report', 'stats', 'verify', 'doctor'];
+
+// Flags that override the matching WAKAPI_* setting (env, or every profile of a config file).
+const FLAG_SETTINGS = {
+  url: 'WAKAPI_URL',
+  out: 'WAKAPI_OUT_DIR',
+  provider: 'WAKAPI_PROVIDER',
+  auth: 'WAKAPI_AUTH',
+  timezone: 'WAKAPI_TIMEZONE',
+  'top-projects': 'WAKAPI_TOP_N_PROJECTS',
+  'top-languages': 'WAKAPI_TOP_N_LANGUAGES',
+  'top-dimensions': 'WAKAPI_TOP_N_DIMENSIONS',
+  dimensions: 'WAKAPI_DIMENSIONS',
+  templates: 'WAKAPI_DIGEST_TEMPLATES',
+};
+
+const USAGE = `Usage: wakapi-daily-summary.mjs [command] [options]
+
+Commands:
+  sync        catch up recent days and sync today (default)
+  backfill    sync a date range: --from YYYY-MM-DD [--to YYYY-MM-DD]
+  report      summarize stored data (offline): --date, or --from/--to (default: last 7 days)
+  stats       recompute stats.json and stats.csv from the stored data (offline): --date sets "today"
+  verify      check the stored files for layout problems, gaps and inconsistent rows (offline)
+  doctor      check Node.js, config, output directory, lock and API access
+
+Options:
+  --date YYYY-MM-DD        sync or report a single day
+  --digest                 report: write digest.md and digest.html for --date (default today)
+  --fix                    verify: re-fetch the days with problems from the API, then check again
+  --from/--to YYYY-MM-DD   date range for backfill and report (--to defaults to today)
+  --out DIR                output directory (WAKAPI_OUT_DIR)
+  --url URL                Wakapi/WakaTime base URL (WAKAPI_URL)
+  --provider NAME          wakapi or wakatime (WAKAPI_PROVIDER)
+  --auth MODE              basic, bearer or query (WAKAPI_AUTH)
+  --timezone ZONE          IANA timezone or auto (WAKAPI_TIMEZONE)
+  --top-projects N         rows per day in daily-top-projects (WAKAPI_TOP_N_PROJECTS)
+  --top-languages N        rows per day in daily-top-languages (WAKAPI_TOP_N_LANGUAGES)
+  --top-dimensions N       rows per day in dimension files (WAKAPI_TOP_N_DIMENSIONS)
+  --dimensions LIST        extra breakdowns, e.g. editors,machines (WAKAPI_DIMENSIONS)
+  --templates DIR          digest.md/digest.html overriding the built-in ones (WAKAPI_DIGEST_TEMPLATES)
+  --format LIST            csv, ndjson, json, sqlite (WAKAPI_FORMAT; --storage is an alias)
+  --config FILE            run the profiles in FILE (WAKAPI_CONFIG)
+  --profile NAME[,NAME]    run only these profiles (repeatable; WAKAPI_PROFILE)
+  --recompute-heartbeats   sync: rebuild daily-heartbeat-check from the local archive (offline)
+  --recompute-rollups      sync: rebuild every weekly/monthly/yearly rollup from stored days (offline)
+  --dry-run                show what would change without writing anything
+  --json                   print one JSON document on stdout (progress goes to stderr)
+  -h, --help               show this help
+
+Flags override the matching environment variables. Exit codes: 0 ok, 1 error or
+problems found, 2 invalid config, 3 auth rejected, 4 not found, 5 goal missed,
+75 temporary failure.`;
+
+function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        from: { type: 'string' },
+        to: { type: 'string' },
+        date: { type: 'string' },
+        digest: { type: 'boolean' },
+        fix: { type: 'boolean' },
+        'recompute-heartbeats': { type: 'boolean' },
+        'recompute-rollups': { type: 'boolean' },
+        format: { type: 'string' },
+        storage: { type: 'string' },
+        config: { type: 'string' },
+        profile: { type: 'string', multiple: true },
+        'dry-run': { type: 'boolean' },
+        json: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+        ...Object.fromEntries(Object.keys(FLAG_SETTINGS).map(flag => [flag, { type: 'string' }])),
+      },
+    });
+  } catch (e) {
+    throw new ConfigError(`${e.message} See --help.`);
+  }
+  const { values, positionals } = parsed;
+
+  // Without a command, --from keeps meaning "backfill" as it always has.
+  const [command = values.from ? 'backfill' : 'sync', ...extra] = positionals;
+  const help = !!values.help || command === 'help';
+  if (!help && !COMMANDS.includes(command)) {
+    throw new ConfigError(`Unknown command: ${command} (expected ${COMMANDS.join(', ')}). See --help.`);
+  }
+  if (extra.length) throw new ConfigError(`Unexpected argument: ${extra[0]}. See --help.`);
+
+  for (const flag of ['from', 'to', 'date']) {
+    if (values[flag] != null && !isYmd(values[flag])) {
+      throw new ConfigError(`Invalid --${flag} date (expected YYYY-MM-DD): ${values[flag]}`);
+    }
+  }
+  if (values.to && !values.from) {
+    throw new ConfigError('--to requires --from');
+  }
+  if (values.date && values.from) {
+    throw new ConfigError('--date cannot be combined with --from/--to');
+  }
+  if (command === 'backfill' && !values.from) {
+    throw new ConfigError('backfill requires --from');
+  }
+  if (command === 'sync' && values.from) {
+    throw new ConfigError('sync takes --date; use backfill for a --from/--to range');
+  }
+  if (command === 'stats' && values.from) {
+    throw new ConfigError('stats takes --date, not --from/--to');
+  }
+  if (values.digest && (command !== 'report' || values.from)) {
+    throw new ConfigError('--digest belongs to report and takes --date, not --from/--to');
+  }
+  if (values.fix && command !== 'verify') {
+    throw new ConfigError('--fix belongs to verify');
+  }
+
+  const formats = values.format ?? values.storage;
+  const storage = formats != null ? parseList(formats) : undefined;
+  if (storage) validateStorage(storage, '--format');
+
+  const profiles = values.profile ? values.profile.flatMap(parseList) : undefined;
+  const settings = Object.fromEntries(Object.entries(FLAG_SETTINGS)
+    .filter(([flag]) => values[flag] != null)
+    .map(([flag, name]) => [name, values[flag]]));
+
+  return {
+    command, help, from: values.from, to: values.to, date: values.date, digest: !!values.digest, fix: !!values.fix,
+    recomputeHeartbeats: !!values['recompute-heartbeats'], recomputeRollups: !!values['recompute-rollups'], storage,
+    config: values.config, profiles, settings, dryRun: !!values['dry-run'], json: !!values.json,
+  };
 }
 
-function rowsToCsv(header, rows) {
-  const lines = [];
-  lines.push(header.join(','));
-  for (const r of rows) lines.push(r.map(csvEscape).join(','));
-  return lines.join('\n') + '\n';
+function ymdLocal(date = new Date()) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
 }
 
-async function readCsv(file) {
+function isValidTimezone(timeZone) {
   try {
-    const content = await fs.readFile(file, 'utf8');
-    return content;
-  } catch (e) {
-    if (e && e.code === 'ENOENT') return null;
-    throw e;
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
   }
 }
 
-function parseCsvSimple(content) {
-  // Very simple parser for our generated CSV (no embedded newlines expected).
-  const lines = content.trim().split(/\r?\n/);
-  const header = lines.shift().split(',');
-  const rows = lines.filter(Boolean).map(line => {
-    // handle quoted fields with commas
-    const out = [];
-    let cur = '';
-    let inQ = false;
-    for (let i = 0; i < line.length; i++) {
-      const ch = line[i];
-      if (inQ) {
-        if (ch === '"') {
-          if (line[i + 1] === '"') { cur += '"'; i++; }
-          else inQ = false;
-        } else cur += ch;
-      } else {
-        if (ch === ',') { out.push(cur); cur = ''; }
-        else if (ch === '"') inQ = true;
-        else cur += ch;
-      }
-    }
-    out.push(cur);
-    const obj = {};
-    header.forEach((h, idx) => (obj[h] = out[idx] ?? ''));
-    return obj;
-  });
-  return { header, rows };
-}
-
-async function upsertCsvByKeys(file, header, keyCols, newRows) {
-  const existing = await readCsv(file);
-  let rows = [];
-  if (existing) {
-    const parsed = parseCsvSimple(existing);
-    // keep existing header, but ensure it matches expected
-    // if mismatch, we regenerate from scratch with only newRows.
-    const sameHeader = parsed.header.join(',') === header.join(',');
-    if (sameHeader) rows = parsed.rows;
-  }
-
-  const key = (r) => keyCols.map(k => r[k]).join('||');
-  const idx = new Map(rows.map(r => [key(r), r]));
-  for (const nr of newRows) idx.set(key(nr), nr);
-
-  const merged = Array.from(idx.values());
-  // stable sort by date then rank if present
-  merged.sort((a, b) => {
-    if (a.date && b.date && a.date !== b.date) return a.date < b.date ? -1 : 1;
-    if (a.rank && b.rank) return Number(a.rank) - Number(b.rank);
-    return 0;
+function ymdInZone(date, timeZone) {
+  // Intl applies the zone's offset at that instant, so DST transitions are handled.
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit',
+  }).formatToParts(date);
+  const get = (type) => parts.find(p => p.type === type).value;
+  return `${get('year')}-${get('month')}-${get('day')}`;
+}
+
+function localParts(date, timeZone) {
+  const parts = {};
+  const fmt = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
   });
+  for (const p of fmt.formatToParts(date)) if (p.type !== 'literal') parts[p.type] = Number(p.value);
+  return parts;
+}
+
+function isoInZone(date, timeZone) {
+  // ISO 8601 with the zone's UTC offset at that instant, e.g. 2026-02-14T09:30:00+09:00
+  const p = localParts(date, timeZone);
+  const pad = (n) => String(n).padStart(2, '0');
+  const local = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  const offset = Math.round((local - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`
+    + `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+function apiGet(config, url) {
+  const request = authenticate(url, { auth: config.AUTH, apiKey: config.WAKAPI_API_KEY });
+  return httpJson(request.url, { ...config.HTTP, headers: request.headers });
+}
 
-  const csv = rowsToCsv(header, merged.map(r => header.map(h => r[h] ?? '')));
-  await fs.mkdir(path.dirname(file), { recursive: true });
-  await fs.writeFile(file, csv, 'utf8');
+function info(config, message) {
+  // With --json, stdout carries only the final document; progress goes to stderr.
+  (config?.JSON_OUTPUT ? console.error : console.log)(`[wakapi-sync] ${message}`);
 }
 
 function pickTop(items, topN) {
   return (items || []).slice(0, topN);
 }
 
-function extractTopFromStatusbarToday(statusbar) {
-  // Wakapi often returns: { data: { grand_total: { total_seconds }, projects:[{name,total_seconds,percent}], languages:[...] } }
-  const data = statusbar?.data ?? statusbar;
-  const grand = data?.grand_total ?? data?.grandTotal ?? data?.grand_total;
-  const totalSeconds = grand?.total_seconds ?? grand?.totalSeconds;
+function secondsOf(x) {
+  // WakaTime reports fractional seconds, and its `seconds` field is only the
+  // 0–59 remainder of `total_seconds`; Wakapi sends whole seconds. Prefer the
+  // total and round it so both providers produce the same integer columns.
+  const v = x?.total_seconds ?? x?.totalSeconds ?? x?.seconds;
+  if (v == null) return v;
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.round(n) : v;
+}
 
-  const projects = (data?.projects || []).map(p => ({
-    name: p.name ?? p.project ?? p.key,
-    seconds: p.total_seconds ?? p.totalSeconds ?? p.seconds,
-    percent: p.percent,
+function rankedItems(items, nameKeys = ['name']) {
+  return (items || []).map(x => ({
+    name: nameKeys.map(k => x[k]).find(v => v != null),
+    seconds: secondsOf(x),
+    percent: x.percent,
   }));
+}
 
-  const languages = (data?.languages || []).map(l => ({
-    name: l.name ?? l.language ?? l.key,
-    seconds: l.total_seconds ?? l.totalSeconds ?? l.seconds,
-    percent: l.percent,
-  }));
+function extractTopFromStatusbarToday(statusbar) {
+  // Wakapi (statusbar/today) and WakaTime (status_bar/today) both return:
+  // { data: { grand_total: { total_seconds }, projects:[{name,total_seconds,percent}], languages:[...], editors:[...] } }
+  const data = statusbar?.data ?? statusbar;
+  const grand = data?.grand_total ?? data?.grandTotal;
 
-  return { totalSeconds, projects, languages };
+  return {
+    totalSeconds: secondsOf(grand),
+    projects: rankedItems(data?.projects, ['name', 'project', 'key']),
+    languages: rankedItems(data?.languages, ['name', 'language', 'key']),
+    dimensions: extractDimensions(data),
+  };
+}
+
+function extractDimensions(data) {
+  const dimensions = {};
+  for (const dim of DIMENSIONS) dimensions[dim] = rankedItems(data?.[dim], ['name', 'key']);
+  return dimensions;
 }
 
 function extractFromSummariesToday(summaries) {
   // WakaTime-like: { data: [ { grand_total: { total_seconds }, projects:[{name,total_seconds,percent}], languages:[...] } ] }
   const first = summaries?.data?.[0] ?? summaries?.data ?? summaries?.[0];
   const grand = first?.grand_total ?? first?.grandTotal;
-  const totalSeconds = grand?.total_seconds ?? grand?.totalSeconds;
 
-  const projects = (first?.projects || []).map(p => ({
-    name: p.name,
-    seconds: p.total_seconds,
-    percent: p.percent,
+  return {
+    totalSeconds: secondsOf(grand),
+    projects: rankedItems(first?.projects),
+    languages: rankedItems(first?.languages),
+    dimensions: extractDimensions(first),
+  };
+}
+
+function extractSummariesByDate(summaries, start) {
+  // One entry per day in data[]; range.date is the day start in the user's timezone
+  // (e.g. "2026-01-05T00:00:00+09:00"), so its first 10 chars are the local date.
+  const days = Array.isArray(summaries?.data) ? summaries.data : [];
+  const out = new Map();
+  days.forEach((day, i) => {
+    const raw = day?.range?.date ?? day?.range?.start;
+    const date = raw ? String(raw).slice(0, 10) : addDays(start, i);
+    out.set(date, extractFromSummariesToday({ data: [day] }));
+  });
+  return out;
+}
+
+function rankRows(date, nameCol, items, topN, { other = false } = {}) {
+  // Normalize seconds, sort descending and keep the top N as ranked rows.
+  // A missing percent is computed from the seconds of the whole list; with
+  // `other`, everything below the top N is summed into one last row.
+  const sorted = (items || [])
+    .map(x => ({ ...x, seconds: Number(x.seconds ?? 0) }))
+    .sort((a, b) => b.seconds - a.seconds);
+  const listSeconds = sorted.reduce((sum, x) => sum + x.seconds, 0);
+  const top = pickTop(sorted, topN);
+  const restSeconds = sorted.slice(top.length).reduce((sum, x) => sum + x.seconds, 0);
+  if (other && restSeconds > 0) top.push({ name: OTHER_NAME, seconds: restSeconds });
+
+  return top.map((x, i) => ({
+    date,
+    rank: String(i + 1),
+    [nameCol]: x.name ?? '',
+    seconds: String(x.seconds),
+    hours: String(toHours(x.seconds)),
+    percent: String(x.percent ?? percentOf(x.seconds, listSeconds)),
   }));
-  const languages = (first?.languages || []).map(l => ({
-    name: l.name,
-    seconds: l.total_seconds,
-    percent: l.percent,
+}
+
+function buildDayRows(date, { totalSeconds, projects, languages, dimensions }, config) {
+  const { TOP_N_PROJECTS, TOP_N_LANGUAGES, DIMENSIONS: selected = [], TOP_N_DIMENSIONS = 10, RULES = {}, OTHER_BUCKET: other = false } = config;
+
+  // Rules rename, merge and drop names before ranking, so ranks and percents
+  // describe the cleaned lists. The day total stays the server's.
+  const totalHours = toHours(totalSeconds);
+  const cleanProjects = applyRules(projects, RULES.projects);
+  const cleanLanguages = applyRules(languages, RULES.languages);
+  const projectRows = rankRows(date, 'project', cleanProjects, TOP_N_PROJECTS, { other });
+  const languageRows = rankRows(date, 'language', cleanLanguages, TOP_N_LANGUAGES, { other });
+
+  // *_count: named rows written (without "(other)"); *_total_count: all the day had.
+  const named = (rows, col) => rows.filter(r => r[col] !== OTHER_NAME).length;
+  const total = [{
+    date,
+    total_seconds: String(totalSeconds),
+    total_hours: String(totalHours),
+    projects_count: String(named(projectRows, 'project')),
+    languages_count: String(named(languageRows, 'language')),
+    projects_total_count: String(cleanProjects?.length ?? 0),
+    languages_total_count: String(cleanLanguages?.length ?? 0),
+  }];
+
+  const dimensionRows = {};
+  for (const dim of selected) dimensionRows[dim] = rankRows(date, 'name', dimensions?.[dim], TOP_N_DIMENSIONS, { other });
+
+  const day = { date, totalHours, total, projects: projectRows, languages: languageRows, dimensions: dimensionRows };
+  if (RULES.projects?.length) {
+    // The server only knows the original names; addProjectLanguages() queries each of them.
+    day.projectSources = Object.fromEntries((cleanProjects || []).map(x => [x.name, x.sources]));
+  }
+  return day;
+}
+
+function dimensionTable(dim) {
+  return `daily-top-${dim.replaceAll('_', '-')}`;
+}
+
+async function writeDays(storage, days, { rollups = [] } = {}) {
+  // All tables of a sync land together: a crash or error leaves none of them half-updated.
+  // Rollups of the touched periods are rebuilt in the same transaction.
+  // Returns the number of rows written per table.
+  return storage.transaction(async () => {
+    const dates = new Set(days.map(d => d.date));
+    const written = {};
+    const upsert = async (table, header, keyCols, rows) => {
+      await storage.upsert(table, header, keyCols, rows, { dates });
+      written[table] = rows.length;
+    };
+
+    await upsert('daily-total', TOTAL_HEADER, ['date'], days.flatMap(d => d.total));
+    await upsert('daily-top-projects', PROJECTS_HEADER, ['date','rank'], days.flatMap(d => d.projects));
+    await upsert('daily-top-languages', LANGUAGES_HEADER, ['date','rank'], days.flatMap(d => d.languages));
+
+    const dims = new Set(days.flatMap(d => Object.keys(d.dimensions || {})));
+    for (const dim of dims) {
+      const rows = days.flatMap(d => d.dimensions?.[dim] || []);
+      await upsert(dimensionTable(dim), DIMENSION_HEADER, ['date','rank'], rows);
+    }
+
+    if (days.some(d => d.hourly)) {
+      await upsert('daily-hourly', HOURLY_HEADER, ['date','hour'], days.flatMap(d => d.hourly || []));
+      const sessions = days.flatMap(d => d.sessions || []);
+      await upsert('daily-sessions', SESSIONS_HEADER, ['date','start','project'], sessions);
+    }
+
+    if (days.some(d => d.hourlyProjects)) {
+      const rows = days.flatMap(d => d.hourlyProjects || []);
+      await upsert('daily-hourly-projects', HOURLY_PROJECTS_HEADER, ['date','hour','project'], rows);
+    }
+
+    if (days.some(d => d.heartbeatCheck)) {
+      const rows = days.flatMap(d => d.heartbeatCheck || []);
+      await upsert('daily-heartbeat-check', HEARTBEAT_CHECK_HEADER, ['date'], rows);
+    }
+
+    if (days.some(d => d.projectLanguages)) {
+      const rows = days.flatMap(d => d.projectLanguages || []);
+      await upsert('daily-project-languages', PROJECT_LANGUAGES_HEADER, ['date','project','language'], rows);
+    }
+
+    return { ...written, ...(await writeRollups(storage, dates, rollups)) };
+  });
+}
+
+function rollupTotalRow(period, { start, end }, totals) {
+  // `totals`: the daily-total rows within the period.
+  const seconds = totals.reduce((sum, r) => sum + Number(r.total_seconds || 0), 0);
+  const activeDays = totals.filter(r => Number(r.total_seconds) > 0).length;
+  return {
+    period,
+    start,
+    end,
+    total_seconds: String(seconds),
+    total_hours: String(toHours(seconds)),
+    active_days: String(activeDays),
+    average_hours: String(activeDays ? toHours(seconds / activeDays) : 0),
+  };
+}
+
+function rollupItemRows(period, nameCol, rows, totalSeconds) {
+  // `rows`: the daily top-N rows within the period. Only each day's top N is
+  // stored, so a name that rarely makes a day's top list is undercounted.
+  // The days' "(other)" rows add up to one, always ranked last.
+  const byName = new Map();
+  for (const r of rows) {
+    const seconds = Number(r.seconds || 0);
+    if (seconds <= 0) continue;
+    const item = byName.get(r[nameCol]) ?? { seconds: 0, days: new Set() };
+    item.seconds += seconds;
+    item.days.add(r.date);
+    byName.set(r[nameCol], item);
+  }
+
+  return [...byName]
+    .sort((a, b) => (a[0] === OTHER_NAME) - (b[0] === OTHER_NAME) || b[1].seconds - a[1].seconds || a[0].localeCompare(b[0]))
+    .map(([name, { seconds, days }], i) => ({
+      period,
+      rank: String(i + 1),
+      [nameCol]: name,
+      seconds: String(seconds),
+      hours: String(toHours(seconds)),
+      active_days: String(days.size),
+      average_hours: String(toHours(seconds / days.size)),
+      percent: totalSeconds > 0 ? String(percentOf(seconds, totalSeconds, 1)) : '',
+    }));
+}
+
+async function writeRollups(storage, dates, kinds) {
+  // Rebuild only the periods containing `dates`, from the stored daily tables.
+  // Returns the number of rows written per table.
+  const written = {};
+  if (!kinds.length || !dates.size) return written;
+
+  const totals = (await storage.read('daily-total', TOTAL_HEADER)) || [];
+  const projects = (await storage.read('daily-top-projects', PROJECTS_HEADER)) || [];
+  const languages = (await storage.read('daily-top-languages', LANGUAGES_HEADER)) || [];
+
+  for (const kind of kinds) {
+    const periods = new Set([...dates].map(d => periodOf(kind, d)));
+    const rows = { total: [], projects: [], languages: [] };
+    for (const period of [...periods].sort()) {
+      const range = periodRange(kind, period);
+      const within = (r) => r.date >= range.start && r.date <= range.end;
+      const total = rollupTotalRow(period, range, totals.filter(within));
+      rows.total.push(total);
+      rows.projects.push(...rollupItemRows(period, 'project', projects.filter(within), Number(total.total_seconds)));
+      rows.languages.push(...rollupItemRows(period, 'language', languages.filter(within), Number(total.total_seconds)));
+    }
+
+    const opts = { dates: periods, replaceColumn: 'period' };
+    await storage.upsert(`${kind}-total`, ROLLUP_TOTAL_HEADER, ['period'], rows.total, opts);
+    await storage.upsert(`${kind}-projects`, ROLLUP_PROJECTS_HEADER, ['period','rank'], rows.projects, opts);
+    await storage.upsert(`${kind}-languages`, ROLLUP_LANGUAGES_HEADER, ['period','rank'], rows.languages, opts);
+    Object.assign(written, {
+      [`${kind}-total`]: rows.total.length,
+      [`${kind}-projects`]: rows.projects.length,
+      [`${kind}-languages`]: rows.languages.length,
+    });
+  }
+  return written;
+}
+
+async function recomputeRollups(config, storage) {
+  // Offline: rebuild every period from the stored days, e.g. after enabling
+  // WAKAPI_ROLLUPS on an existing output directory.
+  const kinds = config.ROLLUPS.length ? config.ROLLUPS : ROLLUP_KINDS;
+  const dates = new Set((await readDailyTotals(storage)).keys());
+  const rows = await storage.transaction(() => writeRollups(storage, dates, kinds));
+  info(config, `Recomputed ${kinds.join(', ')} rollups for ${dates.size} stored day(s)`);
+  return { days: dates.size, rows };
+}
+
+function projectLanguageRows(date, project, languages) {
+  return (languages || [])
+    .map(l => ({ name: l.name ?? '', seconds: Number(l.seconds ?? 0) }))
+    .filter(l => l.seconds > 0)
+    .sort((a, b) => b.seconds - a.seconds)
+    .map(l => ({
+      date,
+      project,
+      language: l.name,
+      seconds: String(l.seconds),
+      hours: String(toHours(l.seconds)),
+    }));
+}
+
+async function addProjectLanguages(config, start, end, days) {
+  // One project-filtered summaries call per project covers the whole range;
+  // each day only keeps the projects that made its own top N.
+  // A project renamed or grouped by WAKAPI_RULES is queried under each of
+  // its original names and their languages are merged.
+  const { WAKAPI_URL, PROJECT_LANGUAGES, RULES = {} } = config;
+  if (!PROJECT_LANGUAGES) return days;
+
+  const sourcesOf = (day, project) => day.projectSources?.[project] ?? [project];
+  const datesByProject = new Map();
+  for (const day of days) {
+    day.projectLanguages = [];
+    for (const r of day.projects) {
+      if (r.project === OTHER_NAME) continue;
+      for (const source of sourcesOf(day, r.project)) {
+        if (!datesByProject.has(source)) datesByProject.set(source, new Set());
+        datesByProject.get(source).add(day.date);
+      }
+    }
+  }
+
+  const base = WAKAPI_URL.replace(/\/$/, '');
+  const byProject = new Map();
+  for (const project of datesByProject.keys()) {
+    const url = `${base}/api/v1/users/current/summaries?start=${start}&end=${end}&project=${encodeURIComponent(project)}${timezoneParam(config)}`;
+    byProject.set(project, extractSummariesByDate(await apiGet(config, url), start));
+  }
+
+  for (const day of days) {
+    for (const r of day.projects) {
+      if (r.project === OTHER_NAME) continue;
+      const languages = sourcesOf(day, r.project).flatMap(source => byProject.get(source).get(day.date)?.languages || []);
+      day.projectLanguages.push(...projectLanguageRows(day.date, r.project, mergeItems(applyRules(languages, RULES.languages))));
+    }
+  }
+  return days;
+}
+
+function extractDurations(durations) {
+  // Wakapi/WakaTime: { data: [ { project, time (unix seconds), duration (seconds) } ] }
+  return (durations?.data || [])
+    .map(d => ({ project: d.project ?? '', start: Number(d.time), seconds: Number(d.duration ?? 0) }))
+    .filter(d => Number.isFinite(d.start) && d.seconds > 0)
+    .sort((a, b) => a.start - b.start);
+}
+
+function bucketHourly(date, durations, timeZone) {
+  // Split each duration at local hour boundaries; pieces falling on another
+  // local date are dropped. On DST days an hour may be empty or counted twice.
+  const total = new Array(24).fill(0);
+  const byProject = new Map();
+
+  for (const d of durations) {
+    const end = d.start + d.seconds;
+    for (let t = d.start; t < end;) {
+      const p = localParts(new Date(t * 1000), timeZone);
+      const intoHour = p.minute * 60 + p.second + (t % 1);
+      const step = Math.min(end - t, 3600 - intoHour);
+      const ymd = `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+      if (ymd === date) {
+        total[p.hour] += step;
+        if (!byProject.has(d.project)) byProject.set(d.project, new Array(24).fill(0));
+        byProject.get(d.project)[p.hour] += step;
+      }
+      t += step;
+    }
+  }
+
+  const hourly = total.map((sec, hour) => ({
+    date,
+    hour: String(hour),
+    seconds: String(Math.round(sec)),
+    hours: String(toHours(sec)),
   }));
 
-  return { totalSeconds, projects, languages };
+  const hourlyProjects = [];
+  for (let hour = 0; hour < 24; hour++) {
+    for (const [project, buckets] of byProject) {
+      if (Math.round(buckets[hour]) <= 0) continue;
+      hourlyProjects.push({
+        date,
+        hour: String(hour),
+        project,
+        seconds: String(Math.round(buckets[hour])),
+        hours: String(toHours(buckets[hour])),
+      });
+    }
+  }
+
+  return { hourly, hourlyProjects };
+}
+
+function buildSessions(date, durations, timeZone) {
+  // Consecutive durations of the same project that touch or overlap form one session.
+  const sessions = [];
+  for (const d of durations) {
+    const last = sessions[sessions.length - 1];
+    if (last && last.project === d.project && d.start <= last.end) {
+      last.end = Math.max(last.end, d.start + d.seconds);
+    } else {
+      sessions.push({ project: d.project, start: d.start, end: d.start + d.seconds });
+    }
+  }
+
+  return sessions.map(s => ({
+    date,
+    start: isoInZone(new Date(s.start * 1000), timeZone),
+    end: isoInZone(new Date(s.end * 1000), timeZone),
+    seconds: String(Math.round(s.end - s.start)),
+    project: s.project,
+  }));
+}
+
+async function addDurations(config, days) {
+  // Project rules apply here too: excluded projects still count towards the
+  // hourly totals but never show up by name.
+  const { WAKAPI_URL, DURATIONS, HOURLY_BY_PROJECT, TIMEZONE, RULES = {} } = config;
+  if (!DURATIONS) return days;
+
+  const base = WAKAPI_URL.replace(/\/$/, '');
+  for (const day of days) {
+    const url = `${base}/api/v1/users/current/durations?date=${day.date}${timezoneParam(config)}`;
+    const durations = extractDurations(await apiGet(config, url))
+      .map(d => ({ ...d, project: mapName(RULES.projects, d.project) }));
+    const { hourly, hourlyProjects } = bucketHourly(day.date, durations, TIMEZONE);
+    day.hourly = hourly;
+    day.sessions = buildSessions(day.date, durations.filter(d => d.project !== null), TIMEZONE);
+    if (HOURLY_BY_PROJECT) day.hourlyProjects = hourlyProjects.filter(r => r.project !== null);
+  }
+  return days;
+}
+
+function heartbeatKey(h, privacy = null) {
+  // Without an id, a heartbeat is identified by its time, file and project.
+  // In privacy mode that key is digested and kept as `key`, since the file
+  // path is not archived; raw entries archived earlier digest to the same key.
+  if (h.id != null) return h.id;
+  if (h.key != null) return h.key;
+  const key = [h.time, h.entity, h.type, h.project].join('|');
+  return privacy ? privacy.digest(key) : key;
+}
+
+function heartbeatArchiveFile(outDir, date) {
+  return path.join(outDir, 'heartbeats', `${date}.ndjson`);
+}
+
+async function readHeartbeatArchive(file) {
+  let content;
+  try {
+    content = await fs.readFile(file, 'utf8');
+  } catch (e) {
+    if (e && e.code === 'ENOENT') return [];
+    throw e;
+  }
+  return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+async function archiveHeartbeats(outDir, date, heartbeats, { dryRun = false, privacy = null, keep = () => true } = {}) {
+  // Merge with what is already archived (deduplicated by id), so re-running
+  // a day never loses or duplicates heartbeats. Archived entries failing
+  // keep() are dropped.
+  const file = heartbeatArchiveFile(outDir, date);
+  const archived = (await readHeartbeatArchive(file)).filter(keep);
+  const merged = new Map(archived.map(h => [heartbeatKey(h, privacy), h]));
+  for (const h of heartbeats) merged.set(heartbeatKey(h, privacy), h);
+
+  const sorted = [...merged.values()].sort((a, b) => Number(a.time) - Number(b.time));
+  if (!dryRun) await writeFileAtomic(file, sorted.map(h => JSON.stringify(h) + '\n').join(''));
+  return sorted;
+}
+
+function totalFromHeartbeats(heartbeats, timeoutSeconds) {
+  // Same idea as Wakapi's own heartbeat timeout: the gap to the next heartbeat
+  // counts as coding time unless it exceeds the timeout.
+  const times = heartbeats.map(h => Number(h.time)).filter(Number.isFinite).sort((a, b) => a - b);
+  let total = 0;
+  for (let i = 1; i < times.length; i++) {
+    const gap = times[i] - times[i - 1];
+    if (gap <= timeoutSeconds) total += gap;
+  }
+  return Math.round(total);
+}
+
+function heartbeatCheckRow(date, serverSeconds, heartbeats, timeoutSeconds) {
+  const local = totalFromHeartbeats(heartbeats, timeoutSeconds);
+  const server = serverSeconds === '' || serverSeconds == null ? null : Math.round(Number(serverSeconds));
+  return {
+    date,
+    heartbeats: String(heartbeats.length),
+    server_seconds: server == null ? '' : String(server),
+    local_seconds: String(local),
+    diff_seconds: server == null ? '' : String(local - server),
+  };
+}
+
+function protectHeartbeat(privacy, h) {
+  // The file path in `entity` would give the project away, so it is dropped;
+  // heartbeats without an id keep the digest of their original key instead.
+  const { entity, ...rest } = h;
+  return {
+    ...rest,
+    ...(h.id == null && { key: heartbeatKey(h, privacy) }),
+    project: privacy.project(h.project),
+    branch: privacy.branch(h.branch),
+  };
+}
+
+function renameHeartbeat(rules, privacy, h) {
+  // Applies WAKAPI_RULES to the project: null when it is excluded. A renamed
+  // heartbeat without an id keeps the key of the original, so it still
+  // replaces what an earlier sync archived under the old name.
+  const project = mapName(rules, h.project);
+  if (project === null) return null;
+  if (project === h.project) return h;
+  return { ...h, ...(h.id == null && { key: heartbeatKey(h, privacy) }), project };
+}
+
+async function addHeartbeats(config, days, privacy = null) {
+  const { WAKAPI_URL, OUT_DIR, HEARTBEATS, HEARTBEAT_TIMEOUT, DRY_RUN, RULES = {} } = config;
+  if (!HEARTBEATS) return days;
+
+  const base = WAKAPI_URL.replace(/\/$/, '');
+  const keep = (h) => mapName(RULES.projects, h.project) !== null;
+  for (const day of days) {
+    const url = `${base}/api/v1/users/current/heartbeats?date=${day.date}${timezoneParam(config)}`;
+    const json = await apiGet(config, url);
+    const fetched = (json?.data || [])
+      .map(h => renameHeartbeat(RULES.projects, privacy, h))
+      .filter(Boolean)
+      .map(h => (privacy ? protectHeartbeat(privacy, h) : h));
+    const heartbeats = await archiveHeartbeats(OUT_DIR, day.date, fetched, { dryRun: DRY_RUN, privacy, keep });
+    day.heartbeatCheck = [heartbeatCheckRow(day.date, day.total[0].total_seconds, heartbeats, HEARTBEAT_TIMEOUT)];
+  }
+  return days;
+}
+
+async function recomputeHeartbeats(config, storage) {
+  // Offline: rebuild the cross-check from the local archive and the stored daily totals.
+  const { OUT_DIR, HEARTBEAT_TIMEOUT } = config;
+  const dir = path.join(OUT_DIR, 'heartbeats');
+  let files;
+  try {
+    files = (await fs.readdir(dir)).filter(f => /^\d{4}-\d{2}-\d{2}\.ndjson$/.test(f)).sort();
+  } catch (e) {
+    if (e && e.code === 'ENOENT') files = [];
+    else throw e;
+  }
+
+  const totals = await readDailyTotals(storage);
+  const rows = [];
+  for (const f of files) {
+    const date = f.slice(0, 10);
+    rows.push(heartbeatCheckRow(date, totals.get(date), await readHeartbeatArchive(path.join(dir, f)), HEARTBEAT_TIMEOUT));
+  }
+
+  const dates = new Set(rows.map(r => r.date));
+  await storage.upsert('daily-heartbeat-check', HEARTBEAT_CHECK_HEADER, ['date'], rows, { dates });
+  info(config, `Recomputed heartbeat totals for ${rows.length} archived day(s)`);
+  return { days: rows.length };
 }
 
-async function main() {
-  const { WAKAPI_URL, WAKAPI_API_KEY, OUT_DIR, TOP_N_PROJECTS, TOP_N_LANGUAGES } = getConfig();
-  const date = ymdLocal();
+async function openPrivacy(config) {
+  if (!config.PRIVACY) return null;
+  return loadPrivacy({ mode: config.PRIVACY, mapFile: config.PRIVACY_MAP, allow: [...config.PRIVACY_ALLOW, OTHER_NAME] });
+}
 
+function protectDays(privacy, days) {
+  // Replaces project and branch names in every table of `days`.
+  for (const day of days) {
+    for (const rows of [day.projects, day.projectLanguages, day.hourlyProjects, day.sessions]) {
+      for (const r of rows || []) r.project = privacy.project(r.project);
+    }
+    for (const r of day.dimensions?.branches || []) r.name = privacy.branch(r.name);
+    delete day.projectSources;
+  }
+  return days;
+}
+
+async function enrichDays(config, start, end, days) {
+  // Privacy comes last: the API is queried by the real project names. The
+  // map file is saved before any row with a new label is written.
+  const privacy = await openPrivacy(config);
+  await addProjectLanguages(config, start, end, days);
+  await addDurations(config, days);
+  await addHeartbeats(config, days, privacy);
+  if (privacy) {
+    protectDays(privacy, days);
+    if (!config.DRY_RUN) await privacy.save();
+  }
+  return days;
+}
+
+async function resolveTimezone(config) {
+  const { WAKAPI_URL, TIMEZONE } = config;
+  if (TIMEZONE !== 'auto') return TIMEZONE;
+
+  const hostZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
   const base = WAKAPI_URL.replace(/\/$/, '');
-  const statusbarUrl = `${base}/api/v1/users/current/statusbar/today`;
-  const summariesUrl = `${base}/api/v1/users/current/summaries?range=today`;
+  try {
+    const profile = await apiGet(config, `${base}/api/v1/users/current`);
+    const tz = profile?.data?.timezone ?? profile?.timezone;
+    if (tz && isValidTimezone(tz)) return tz;
+    console.error(`[wakapi-sync] Profile has no usable timezone (${tz}); using host timezone ${hostZone}`);
+  } catch (e) {
+    console.error(`[wakapi-sync] Failed to read profile timezone, using host timezone ${hostZone}: ${e.message}`);
+  }
+  return hostZone;
+}
+
+function timezoneParam(config) {
+  return config.TIMEZONE && config.TIMEZONE !== 'auto' ? `&timezone=${encodeURIComponent(config.TIMEZONE)}` : '';
+}
+
+async function fetchToday(config, date) {
+  // Returns { day, fallback }; fallback is true when summaries?range=today had to fill in.
+  const { WAKAPI_URL } = config;
+
+  const base = WAKAPI_URL.replace(/\/$/, '');
+  const statusbarUrl = `${base}${PROVIDERS[config.PROVIDER ?? 'wakapi'].statusbarPath}`;
+  const summariesUrl = `${base}/api/v1/users/current/summaries?range=today${timezoneParam(config)}`;
 
   let statusbar;
   try {
-    statusbar = await httpJson(statusbarUrl, WAKAPI_API_KEY);
+    statusbar = await apiGet(config, statusbarUrl);
   } catch (e) {
     console.error(`[wakapi-sync] Failed statusbar/today: ${e.message}`);
     throw e;
   }
 
-  let { totalSeconds, projects, languages } = extractTopFromStatusbarToday(statusbar);
+  let { totalSeconds, projects, languages, dimensions } = extractTopFromStatusbarToday(statusbar);
 
-  // If statusbar doesn't contain top lists, fallback to summaries.
-  const needFallback = (!projects?.length && !languages?.length) || (totalSeconds == null);
+  // If statusbar doesn't contain top lists (or a selected dimension), fallback to summaries.
+  const needFallback = (!projects?.length && !languages?.length) || (totalSeconds == null)
+    || config.DIMENSIONS.some(dim => !dimensions[dim]?.length);
   if (needFallback) {
-    const summaries = await httpJson(summariesUrl, WAKAPI_API_KEY);
+    const summaries = await apiGet(config, summariesUrl);
     const extracted = extractFromSummariesToday(summaries);
     totalSeconds = totalSeconds ?? extracted.totalSeconds;
     projects = projects?.length ? projects : extracted.projects;
     languages = languages?.length ? languages : extracted.languages;
+    for (const dim of config.DIMENSIONS) {
+      if (!dimensions[dim]?.length) dimensions[dim] = extracted.dimensions[dim];
+    }
   }
 
   if (typeof totalSeconds !== 'number') {
@@ -223,52 +1098,768 @@ async function main() {
     totalSeconds = n;
   }
 
-  // Normalize seconds
-  projects = (projects || []).map(p => ({ ...p, seconds: Number(p.seconds ?? 0) }));
-  languages = (languages || []).map(l => ({ ...l, seconds: Number(l.seconds ?? 0) }));
+  return { day: buildDayRows(date, { totalSeconds, projects, languages, dimensions }, config), fallback: needFallback };
+}
+
+async function syncDay({ date, config, fetch, now = () => new Date(), sink } = {}) {
+  // Library entry point: fetch one day, enrich it and write it to `sink`.
+  // Nothing is read from process.env or the host clock; `config` comes from
+  // getConfig({ env }), `fetch` and `now` replace the globals. Without a
+  // sink the configured storage is opened (and locked) for this call.
+  if (!config) throw new ConfigError('syncDay: config is required (see getConfig)');
+  if (date != null && !isYmd(date)) throw new ConfigError(`syncDay: invalid date (expected YYYY-MM-DD): ${date}`);
+
+  const withFetch = fetch ? { ...config, HTTP: { ...config.HTTP, fetch } } : config;
+  const resolved = { ...withFetch, TIMEZONE: await resolveTimezone(withFetch) };
+  const today = ymdInZone(now(), resolved.TIMEZONE);
+  const day = date ?? today;
+  if (day > today) throw new ConfigError(`syncDay: ${day} is in the future (today is ${today} in ${resolved.TIMEZONE})`);
+
+  const release = sink ? null : await acquireLock(resolved.OUT_DIR);
+  let storage = sink;
+  try {
+    storage ??= await openStorage(resolved.STORAGE, {
+      outDir: resolved.OUT_DIR, sqlitePath: resolved.SQLITE_PATH, csvDialect: resolved.CSV_DIALECT,
+    });
+
+    // Today's numbers are still moving, so they come from the statusbar;
+    // finished days come from summaries like a backfill.
+    let fetched;
+    if (day === today) fetched = await fetchToday(resolved, day);
+    else fetched = { day: (await fetchDays(resolved, day, day))[0], fallback: false };
+    await enrichDays(resolved, day, day, [fetched.day]);
+    const rows = await writeDays(storage, [fetched.day], { rollups: resolved.ROLLUPS });
+
+    return {
+      ...daySummary(fetched.day),
+      timezone: resolved.TIMEZONE,
+      source: day === today ? PROVIDERS[resolved.PROVIDER ?? 'wakapi'].statusbarPath : '/api/v1/users/current/summaries',
+      fallback: fetched.fallback,
+      projects: fetched.day.projects.map(r => ({ name: r.project, seconds: Number(r.seconds) })),
+      languages: fetched.day.languages.map(r => ({ name: r.language, seconds: Number(r.seconds) })),
+      rows,
+    };
+  } finally {
+    if (!sink) await storage?.close();
+    await release?.();
+  }
+}
+
+function daySummary(day) {
+  return {
+    date: day.date,
+    total_seconds: Number(day.total[0].total_seconds),
+    total_hours: day.totalHours,
+    projects_count: Number(day.total[0].projects_count),
+    languages_count: Number(day.total[0].languages_count),
+    projects_total_count: Number(day.total[0].projects_total_count),
+    languages_total_count: Number(day.total[0].languages_total_count),
+  };
+}
 
-  const totalHours = toHours(totalSeconds);
-  const projectsTop = pickTop(projects.sort((a,b)=>b.seconds-a.seconds), TOP_N_PROJECTS);
-  const languagesTop = pickTop(languages.sort((a,b)=>b.seconds-a.seconds), TOP_N_LANGUAGES);
+async function fetchDays(config, start, end) {
+  const { WAKAPI_URL } = config;
+  const base = WAKAPI_URL.replace(/\/$/, '');
+  const url = `${base}/api/v1/users/current/summaries?start=${start}&end=${end}${timezoneParam(config)}`;
+  const byDate = extractSummariesByDate(await apiGet(config, url), start);
 
-  const totalHeader = ['date','total_seconds','total_hours','projects_count','languages_count'];
-  const totalRows = [{
-    date,
-    total_seconds: String(totalSeconds),
-    total_hours: String(totalHours),
-    projects_count: String(projectsTop.length),
-    languages_count: String(languagesTop.length),
-  }];
+  // Days without activity still get an explicit zero row in daily-total.csv.
+  const empty = { totalSeconds: 0, projects: [], languages: [] };
+  return eachDate(start, end).map(date => {
+    const stats = byDate.get(date) ?? empty;
+    return buildDayRows(date, { ...stats, totalSeconds: Number(stats.totalSeconds ?? 0) }, config);
+  });
+}
 
-  const projectsHeader = ['date','rank','project','seconds','hours','percent'];
-  const projectRows = projectsTop.map((p, i) => ({
-    date,
-    rank: String(i + 1),
-    project: p.name ?? '',
-    seconds: String(p.seconds ?? 0),
-    hours: String(toHours(p.seconds ?? 0)),
-    percent: p.percent != null ? String(p.percent) : '',
-  }));
+async function backfill(config, storage, from, to) {
+  const { BACKFILL_CHUNK_DAYS } = config;
+  if (from > to) throw new Error(`Backfill range is empty: ${from} > ${to}`);
+
+  const written = [];
+  for (const [start, end] of chunkDateRange(from, to, BACKFILL_CHUNK_DAYS)) {
+    const days = await fetchDays(config, start, end);
+    await enrichDays(config, start, end, days);
+    await writeDays(storage, days, { rollups: config.ROLLUPS });
+    written.push(...days.map(daySummary));
+
+    info(config, `Backfilled ${start}..${end}: ${days.length} days`);
+  }
+
+  info(config, `Backfill done: ${from}..${to}, ${written.length} days`);
+  return { from, to, days: written };
+}
 
-  const languagesHeader = ['date','rank','language','seconds','hours','percent'];
-  const languageRows = languagesTop.map((l, i) => ({
+async function readDailyTotals(storage) {
+  const rows = await storage.read('daily-total', TOTAL_HEADER);
+  return new Map((rows || []).map(r => [r.date, r.total_seconds]));
+}
+
+function planCatchUp(knownDates, today, refreshDays, maxDays) {
+  // Re-finalize the last `refreshDays` days, and fill the gap after the last
+  // written date, but never reach back further than `maxDays`.
+  const to = addDays(today, -1);
+  let from = addDays(today, -Math.max(refreshDays, 0));
+  const last = knownDates.filter(d => d < today).sort().pop();
+  if (last && addDays(last, 1) < from) from = addDays(last, 1);
+
+  const floor = addDays(today, -maxDays);
+  if (from < floor) from = floor;
+  return from <= to ? { from, to } : null;
+}
+
+async function catchUp(config, storage, today) {
+  const { REFRESH_DAYS, CATCHUP_MAX_DAYS, BACKFILL_CHUNK_DAYS } = config;
+  const existing = await readDailyTotals(storage);
+  const range = planCatchUp([...existing.keys()], today, REFRESH_DAYS, CATCHUP_MAX_DAYS);
+  if (!range) return null;
+
+  let updated = 0;
+  for (const [start, end] of chunkDateRange(range.from, range.to, BACKFILL_CHUNK_DAYS)) {
+    // Only rewrite days whose server total differs from what we stored.
+    const days = (await fetchDays(config, start, end))
+      .filter(d => existing.get(d.date) !== d.total[0].total_seconds);
+    if (days.length) {
+      await enrichDays(config, start, end, days);
+      await writeDays(storage, days, { rollups: config.ROLLUPS });
+    }
+    updated += days.length;
+  }
+
+  info(config, `Catch-up ${range.from}..${range.to}: ${updated} day(s) updated`);
+  return { ...range, updated };
+}
+
+function goalRows(goals, dates, today, seconds) {
+  // One goals.csv row per goal and period: each of `dates` for day goals, the
+  // ISO weeks containing them for week goals. seconds(goal, date) reads a day.
+  const rows = [];
+  for (const goal of goals) {
+    const periods = goal.period === 'day'
+      ? [...dates].map(date => [date, { start: date, end: date }])
+      : [...new Set([...dates].map(date => periodOf('weekly', date)))].map(week => [week, periodRange('weekly', week)]);
+
+    for (const [period, { start, end }] of periods) {
+      const total = eachDate(start, end < today ? end : today).reduce((sum, date) => sum + seconds(goal, date), 0);
+      rows.push({
+        period,
+        goal: goal.name,
+        scope: goalScope(goal),
+        min_hours: goal.min_hours != null ? String(goal.min_hours) : '',
+        max_hours: goal.max_hours != null ? String(goal.max_hours) : '',
+        actual_hours: String(toHours(total)),
+        status: goalStatus(goal, total, end < today),
+      });
+    }
+  }
+  return rows.sort((a, b) => a.period.localeCompare(b.period) || a.goal.localeCompare(b.goal));
+}
+
+function goalText(row) {
+  const bounds = [row.min_hours && `min ${row.min_hours}h`, row.max_hours && `max ${row.max_hours}h`].filter(Boolean).join(', ');
+  return `${row.goal} ${row.period}: ${row.actual_hours}h (${row.scope}, ${bounds})`;
+}
+
+async function checkGoals(config, storage, dates, today) {
+  // Judges WAKAPI_GOALS for the synced `dates` against the stored days, writes
+  // goals.csv, and posts goals that were not missed before to the webhook.
+  const totals = await readDailyTotals(storage);
+  const named = new Map();
+  for (const [kind, table, header] of [['project', 'daily-top-projects', PROJECTS_HEADER], ['language', 'daily-top-languages', LANGUAGES_HEADER]]) {
+    for (const r of (await storage.read(table, header)) || []) {
+      const key = `${kind}\t${r.date}\t${r[kind]}`;
+      named.set(key, (named.get(key) ?? 0) + Number(r.seconds || 0));
+    }
+  }
+  const seconds = (goal, date) => {
+    if (goal.project != null) return named.get(`project\t${date}\t${goal.project}`) ?? 0;
+    if (goal.language != null) return named.get(`language\t${date}\t${goal.language}`) ?? 0;
+    return Number(totals.get(date) || 0);
+  };
+
+  // Stored project names are labels under WAKAPI_PRIVACY; so is goals.csv's scope.
+  const privacy = await openPrivacy(config);
+  const goals = privacy ? config.GOALS.map(g => ({ ...g, project: privacy.project(g.project) })) : config.GOALS;
+  if (privacy && !config.DRY_RUN) await privacy.save();
+  const rows = goalRows(goals, dates, today, seconds);
+  const before = new Map(((await storage.read('goals', GOALS_HEADER)) || []).map(r => [`${r.period}\t${r.goal}`, r.status]));
+  await storage.upsert('goals', GOALS_HEADER, ['period', 'goal'], rows, {
+    dates: new Set(rows.map(r => r.period)), replaceColumn: 'period',
+  });
+
+  const missed = rows.filter(r => r.status === 'missed');
+  const count = (status) => rows.filter(r => r.status === status).length;
+  info(config, `Goals: ${count('met')} met, ${missed.length} missed, ${count('pending')} pending`);
+  for (const r of missed) info(config, `  missed ${goalText(r)}`);
+
+  const result = { missed: missed.length, results: rows };
+  const newlyMissed = missed.filter(r => before.get(`${r.period}\t${r.goal}`) !== 'missed');
+  if (config.GOALS_WEBHOOK && newlyMissed.length && !config.DRY_RUN) {
+    // The data is already written, so a failing webhook is reported, not fatal.
+    // The URL is left out of the message: webhook URLs usually embed a secret.
+    try {
+      await postJson(config.GOALS_WEBHOOK, {
+        text: `Missed coding goals:\n${newlyMissed.map(r => `- ${goalText(r)}`).join('\n')}`,
+        missed: newlyMissed,
+      }, config.HTTP);
+      result.notified = newlyMissed.length;
+      info(config, `Goals: posted ${newlyMissed.length} missed goal(s) to the webhook`);
+    } catch (e) {
+      result.webhookError = e.status ? `HTTP ${e.status}` : e.name;
+      console.error(`[wakapi-sync] Goals webhook failed (${result.webhookError}); the missed goals are in goals.csv`);
+    }
+  }
+  return result;
+}
+
+function offlineTimezone(config) {
+  // Offline commands cannot ask the server, so "auto" falls back to the host zone.
+  return config.TIMEZONE !== 'auto' ? config.TIMEZONE : Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+function listDates(dates, max = 5) {
+  return dates.length > max ? `${dates.slice(0, max).join(', ')}, … (+${dates.length - max})` : dates.join(', ');
+}
+
+function rangeTotals(rows, nameCol, dates, totalSeconds, topN) {
+  // Sums each name over the range. Only every day's top N is stored, so
+  // names that rarely make a day's top list are undercounted. "(other)" rows
+  // mix different names per day and are left out.
+  const sums = new Map();
+  for (const r of rows || []) {
+    if (dates.has(r.date) && r[nameCol] !== OTHER_NAME) sums.set(r[nameCol], (sums.get(r[nameCol]) ?? 0) + Number(r.seconds || 0));
+  }
+  return [...sums]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, topN)
+    .map(([name, seconds]) => ({
+      name,
+      seconds,
+      hours: toHours(seconds),
+      percent: percentOf(seconds, totalSeconds, 1),
+    }));
+}
+
+async function report(config, storage, args) {
+  // Offline: summarize what is stored for --date, --from/--to or the last 7 days.
+  const today = ymdInZone(new Date(), offlineTimezone(config));
+  const from = args.date ?? args.from ?? addDays(today, -6);
+  const to = args.date ?? args.to ?? today;
+  if (from > to) throw new ConfigError(`Report range is empty: ${from} > ${to}`);
+
+  const totals = ((await storage.read('daily-total', TOTAL_HEADER)) || [])
+    .filter(r => r.date >= from && r.date <= to)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const dates = new Set(totals.map(r => r.date));
+  const totalSeconds = totals.reduce((sum, r) => sum + Number(r.total_seconds || 0), 0);
+  const activeDays = totals.filter(r => Number(r.total_seconds) > 0).length;
+
+  return {
+    from,
+    to,
+    total_seconds: totalSeconds,
+    total_hours: toHours(totalSeconds),
+    active_days: activeDays,
+    average_hours: activeDays ? toHours(totalSeconds / activeDays) : 0,
+    days: totals.map(r => ({ date: r.date, total_seconds: Number(r.total_seconds), total_hours: Number(r.total_hours) })),
+    projects: rangeTotals(await storage.read('daily-top-projects', PROJECTS_HEADER), 'project', dates, totalSeconds, config.TOP_N_PROJECTS),
+    languages: rangeTotals(await storage.read('daily-top-languages', LANGUAGES_HEADER), 'language', dates, totalSeconds, config.TOP_N_LANGUAGES),
+  };
+}
+
+async function digestData(config, storage, date) {
+  // Today vs. yesterday, the ISO week so far against the same days of the
+  // previous week, streaks, and the week's top projects and languages.
+  const totals = (await storage.read('daily-total', TOTAL_HEADER)) || [];
+  const secondsByDate = new Map(totals.map(r => [r.date, Number(r.total_seconds || 0)]));
+  const seconds = (d) => secondsByDate.get(d) ?? 0;
+  const sumOf = (dates) => dates.reduce((sum, d) => sum + seconds(d), 0);
+
+  const week = periodOf('weekly', date);
+  const { start } = periodRange('weekly', week);
+  const weekDates = eachDate(start, date);
+  const weekSeconds = sumOf(weekDates);
+  const previousSeconds = sumOf(eachDate(addDays(start, -7), addDays(date, -7)));
+  const dates = new Set(weekDates);
+  const yesterday = addDays(date, -1);
+  const streak = streaks(totals, date, { minSeconds: config.STREAK_MIN_MINUTES * 60 });
+
+  return {
     date,
-    rank: String(i + 1),
-    language: l.name ?? '',
-    seconds: String(l.seconds ?? 0),
-    hours: String(toHours(l.seconds ?? 0)),
-    percent: l.percent != null ? String(l.percent) : '',
-  }));
+    today: { date, seconds: seconds(date), hours: toHours(seconds(date)) },
+    yesterday: { date: yesterday, seconds: seconds(yesterday), hours: toHours(seconds(yesterday)) },
+    week: {
+      period: week, start, end: date, seconds: weekSeconds, hours: toHours(weekSeconds),
+      active_days: weekDates.filter(d => seconds(d) > 0).length,
+      previous_seconds: previousSeconds, previous_hours: toHours(previousSeconds),
+    },
+    streak: { current: streak.current, longest: streak.longest },
+    projects: rangeTotals(await storage.read('daily-top-projects', PROJECTS_HEADER), 'project', dates, weekSeconds, config.TOP_N_PROJECTS),
+    languages: rangeTotals(await storage.read('daily-top-languages', LANGUAGES_HEADER), 'language', dates, weekSeconds, config.TOP_N_LANGUAGES),
+  };
+}
 
-  const totalFile = path.join(OUT_DIR, 'daily-total.csv');
-  const projectsFile = path.join(OUT_DIR, 'daily-top-projects.csv');
-  const languagesFile = path.join(OUT_DIR, 'daily-top-languages.csv');
+async function digest(config, storage, args) {
+  // Offline: renders the digest for --date (default today) and writes it next
+  // to the data, unless this is a dry run.
+  const date = args.date ?? ymdInZone(new Date(), offlineTimezone(config));
+  const data = await digestData(config, storage, date);
+  const { markdown, html } = await renderDigest(data, { templatesDir: config.DIGEST_TEMPLATES });
 
-  await upsertCsvByKeys(totalFile, totalHeader, ['date'], totalRows);
-  await upsertCsvByKeys(projectsFile, projectsHeader, ['date','rank'], projectRows);
-  await upsertCsvByKeys(languagesFile, languagesHeader, ['date','rank'], languageRows);
+  const files = [];
+  if (!config.DRY_RUN) {
+    for (const [file, content] of [[DIGEST_FILES.markdown, markdown], [DIGEST_FILES.html, html]]) {
+      const target = path.join(config.OUT_DIR, file);
+      await writeFileAtomic(target, content);
+      files.push(target);
+    }
+  }
+  return { digest: true, ...data, files, markdown };
+}
+
+async function writeStats(config, storage, asOf) {
+  // Recomputes stats.json and stats.csv from the stored days (no API calls);
+  // a dry run computes them without writing.
+  const stats = computeStats({
+    totals: (await storage.read('daily-total', TOTAL_HEADER)) || [],
+    projects: ((await storage.read('daily-top-projects', PROJECTS_HEADER)) || []).filter(r => r.project !== OTHER_NAME),
+    asOf,
+    minSeconds: config.STREAK_MIN_MINUTES * 60,
+  });
 
-  console.log(`[wakapi-sync] Wrote ${date}: total=${totalHours}h, projects=${projectsTop.length}, languages=${languagesTop.length}`);
+  const files = [];
+  if (!config.DRY_RUN) {
+    const dialect = { ...config.CSV_DIALECT, numeric: (col) => col === 'value' };
+    for (const [file, content] of [
+      ['stats.json', JSON.stringify(stats, null, 2) + '\n'],
+      ['stats.csv', rowsToCsv(STATS_CSV_HEADER, statsRows(stats), dialect)],
+    ]) {
+      const target = path.join(config.OUT_DIR, file);
+      await writeFileAtomic(target, content);
+      files.push(target);
+    }
+    info(config, `Wrote stats as of ${asOf}: current streak ${stats.streak.current} day(s), longest ${stats.streak.longest}`);
+  }
+  return { ...stats, files };
+}
+
+function decimal(value) {
+  // Stored numbers as numbers, whether a CSV was written with a decimal comma or not.
+  return Number(String(value ?? '').replace(',', '.'));
+}
+
+async function checkStore(config, storage) {
+  // Offline: layouts every table can be read with; per table duplicate keys,
+  // rank gaps and hours that disagree with the seconds; across tables gaps
+  // in daily-total, top lists adding up to more than the day's total, and
+  // dates one file has but another lacks. Each problem lists its dates.
+  const tables = [
+    ['daily-total', TOTAL_HEADER, ['date']],
+    ['daily-top-projects', PROJECTS_HEADER, ['date','rank']],
+    ['daily-top-languages', LANGUAGES_HEADER, ['date','rank']],
+    ...config.DIMENSIONS.map(dim => [dimensionTable(dim), DIMENSION_HEADER, ['date','rank']]),
+  ];
+  const problems = [];
+  const problem = (table, check, dates, what) => {
+    const sorted = [...new Set(dates)].sort();
+    if (sorted.length) problems.push({ table, check, detail: `${sorted.length} ${what}: ${listDates(sorted)}`, dates: sorted });
+  };
+  const data = new Map();
+  for (const [table, header] of tables) {
+    try {
+      data.set(table, await storage.read(table, header));
+    } catch (e) {
+      if (!(e instanceof SchemaError)) throw e;
+      problems.push({ table, check: 'layout', detail: e.message });
+    }
+  }
+
+  const totals = data.get('daily-total') || [];
+  const totalDates = totals.map(r => r.date).sort();
+  if (totalDates.length) {
+    const known = new Set(totalDates);
+    const missing = eachDate(totalDates[0], totalDates[totalDates.length - 1]).filter(d => !known.has(d));
+    problem('daily-total', 'missing-dates', missing, 'missing date(s)');
+  }
+
+  const totalOn = new Map(totals.map(r => [r.date, decimal(r.total_seconds)]));
+  for (const [table, , keyCols] of tables) {
+    const rows = data.get(table);
+    if (!rows) continue;
+    const keys = new Set();
+    const duplicates = [];
+    for (const r of rows) {
+      const key = keyCols.map(c => r[c]).join('\t');
+      if (keys.has(key)) duplicates.push(r.date);
+      keys.add(key);
+    }
+    problem(table, 'duplicate-keys', duplicates, `date(s) with more than one row per ${keyCols.join(', ')}`);
+
+    const [secondsCol, hoursCol] = table === 'daily-total' ? ['total_seconds', 'total_hours'] : ['seconds', 'hours'];
+    const mismatched = rows.filter(r => decimal(r[hoursCol]) !== toHours(decimal(r[secondsCol])));
+    problem(table, 'hours-mismatch', mismatched.map(r => r.date), `date(s) where ${hoursCol} disagrees with ${secondsCol}`);
+    if (table === 'daily-total') continue;
+
+    const byDate = new Map();
+    for (const r of rows) byDate.set(r.date, [...(byDate.get(r.date) ?? []), r]);
+    const gaps = [];
+    const over = [];
+    for (const [date, day] of byDate) {
+      const ranks = new Set(day.map(r => Number(r.rank)));
+      if (Array.from({ length: ranks.size }, (_, i) => i + 1).some(rank => !ranks.has(rank))) gaps.push(date);
+      // Each row's seconds may be rounded up by half a second.
+      const sum = day.reduce((acc, r) => acc + decimal(r.seconds), 0);
+      if (totalOn.has(date) && sum > totalOn.get(date) + day.length / 2) over.push(date);
+    }
+    problem(table, 'rank-gaps', gaps, 'date(s) whose ranks do not run 1, 2, 3, …');
+    problem(table, 'sum-exceeds-total', over, 'date(s) where the rows add up to more than total_seconds');
+  }
+
+  if (data.has('daily-total')) {
+    const known = new Set(totalDates);
+    const active = totals.filter(r => decimal(r.total_seconds) > 0).map(r => r.date);
+    for (const [table] of tables.slice(1)) {
+      const rows = data.get(table);
+      if (!rows) continue;
+      const present = new Set(rows.map(r => r.date));
+      problem(table, 'unknown-dates', [...present].filter(d => !known.has(d)), 'date(s) not in daily-total');
+      // Rules may exclude every project or language of a day, and dimensions
+      // may be switched on later, so only unruled top lists must cover active days.
+      const rules = { 'daily-top-projects': config.RULES.projects, 'daily-top-languages': config.RULES.languages }[table];
+      if (rules && !rules.length) problem(table, 'missing-rows', active.filter(d => !present.has(d)), 'date(s) with time in daily-total but no rows');
+    }
+  }
+
+  return { ok: !problems.length, days: totalDates.length, problems };
+}
+
+function dateRanges(dates) {
+  // Sorted dates → [[from, to], …] of consecutive runs.
+  const ranges = [];
+  for (const d of dates) {
+    const last = ranges[ranges.length - 1];
+    if (last && addDays(last[1], 1) === d) last[1] = d;
+    else ranges.push([d, d]);
+  }
+  return ranges;
+}
+
+async function verify(config, storage, { fix = false } = {}) {
+  // With --fix, every date a problem points at is fetched again like a
+  // backfill, then the store is checked once more.
+  const found = await checkStore(config, storage);
+  if (!fix || found.ok) return found;
+  if (found.problems.some(p => p.check === 'layout')) {
+    info(config, 'Not re-fetching anything: fix or move away the files with an unknown layout first');
+    return { ...found, fixed: [] };
+  }
+
+  const synced = { ...config, TIMEZONE: await resolveTimezone(config) };
+  const today = ymdInZone(new Date(), synced.TIMEZONE);
+  const dates = [...new Set(found.problems.flatMap(p => p.dates))].filter(d => d <= today).sort();
+  for (const [from, to] of dateRanges(dates)) await backfill(synced, storage, from, to);
+  return { ...(await checkStore(config, storage)), fixed: dates, found: found.problems };
+}
+
+async function checkOutDir(dir) {
+  try {
+    if (!(await fs.stat(dir)).isDirectory()) return ['fail', `${dir} is not a directory`];
+    await fs.access(dir, fsConstants.W_OK);
+    return ['ok', dir];
+  } catch (e) {
+    if (e && e.code === 'ENOENT') return ['warn', `${dir} does not exist yet; the first sync creates it`];
+    return ['fail', `${dir}: ${e.code || e.message}`];
+  }
+}
+
+async function doctor(args, env) {
+  // Every check runs even after a failure, so one run shows everything to fix.
+  const checks = [];
+  const check = (name, status, detail) => checks.push({ name, status, detail });
+
+  const major = Number(process.versions.node.split('.')[0]);
+  check('node', major >= 18 ? 'ok' : 'fail', major >= 18 ? process.version : `${process.version} (Node.js 18+ required)`);
+
+  let config;
+  try {
+    config = getConfig({ env });
+    check('config', 'ok', `${config.PROVIDER} at ${config.WAKAPI_URL}, ${config.AUTH} auth`);
+  } catch (e) {
+    if (!(e instanceof ConfigError)) throw e;
+    check('config', 'fail', e.message);
+    try {
+      config = getConfig({ requireApi: false, env });
+    } catch {
+      return { ok: false, checks };
+    }
+  }
+
+  const kinds = args.storage ?? config.STORAGE;
+  let storageUsable = true;
+  if (kinds.includes('sqlite')) {
+    try {
+      await import('node:sqlite');
+      check('sqlite', 'ok', `node:sqlite available (${config.SQLITE_PATH || path.join(config.OUT_DIR, 'wakapi.sqlite')})`);
+    } catch {
+      storageUsable = false;
+      check('sqlite', 'fail', `WAKAPI_FORMAT includes sqlite, which requires Node.js 22.5+ (running ${process.version})`);
+    }
+  }
+
+  const [dirStatus, dirDetail] = await checkOutDir(config.OUT_DIR);
+  check('out_dir', dirStatus, dirDetail);
+
+  const lock = await inspectLock(config.OUT_DIR);
+  if (!lock) check('lock', 'ok', 'not locked');
+  else if (lock.stale) check('lock', 'warn', `stale lock ${lock.file} (${describeOwner(lock.owner)}); the next sync takes it over`);
+  else check('lock', 'warn', `another sync is running (${describeOwner(lock.owner)})`);
+
+  let profileTimezone;
+  if (config.WAKAPI_URL && config.WAKAPI_API_KEY) {
+    // One request without retries: doctor should answer quickly.
+    const probe = { ...config, HTTP: { ...config.HTTP, retries: 0 } };
+    try {
+      const profile = await apiGet(probe, `${config.WAKAPI_URL.replace(/\/$/, '')}/api/v1/users/current`);
+      const user = profile?.data ?? profile;
+      profileTimezone = user?.timezone;
+      check('api', 'ok', `authenticated${user?.username ? ` as ${user.username}` : ''}`);
+    } catch (e) {
+      check('api', 'fail', String(e.message).split('\n')[0]);
+    }
+  }
+
+  if (config.TIMEZONE !== 'auto') check('timezone', 'ok', config.TIMEZONE);
+  else if (profileTimezone && isValidTimezone(profileTimezone)) check('timezone', 'ok', `auto → ${profileTimezone} (profile)`);
+  else check('timezone', 'warn', `auto, but the profile timezone is unavailable; the host timezone ${offlineTimezone(config)} would be used`);
+
+  if (storageUsable && dirStatus !== 'warn') {
+    let storage;
+    try {
+      storage = await openStorage(kinds, { outDir: config.OUT_DIR, sqlitePath: config.SQLITE_PATH, csvDialect: config.CSV_DIALECT });
+      const dates = ((await storage.read('daily-total', TOTAL_HEADER)) || []).map(r => r.date).sort();
+      check('data', 'ok', dates.length ? `${dates.length} day(s), ${dates[0]}..${dates[dates.length - 1]}` : 'no data yet');
+    } catch (e) {
+      check('data', 'fail', e.message);
+    } finally {
+      await storage?.close();
+    }
+  }
+
+  return { ok: checks.every(c => c.status !== 'fail'), checks };
+}
+
+function printResult(config, result) {
+  // Human-readable output of the offline commands; sync and backfill log as they go.
+  if (result.command === 'report' && result.digest) {
+    // stdout is only the Markdown, ready to post; the file notes go to stderr.
+    console.log(result.markdown.trimEnd());
+    for (const file of result.files) console.error(`[wakapi-sync] Wrote ${file}`);
+  } else if (result.command === 'report') {
+    console.log(`Report ${result.from}..${result.to}: ${result.total_hours}h, ${result.active_days} active day(s), `
+      + `${result.average_hours}h per active day`);
+    for (const d of result.days) console.log(`  ${d.date}  ${d.total_hours}h`);
+    for (const [label, items] of [['Projects', result.projects], ['Languages', result.languages]]) {
+      if (!items.length) continue;
+      const width = Math.max(...items.map(x => x.name.length));
+      console.log(`${label}:`);
+      for (const x of items) console.log(`  ${x.name.padEnd(width)}  ${x.hours}h  ${x.percent}%`);
+    }
+  } else if (result.command === 'stats') {
+    console.log(`Stats as of ${result.as_of}: ${result.days} day(s), ${result.active_days} active, ${result.total_hours}h`);
+    const longest = result.streak.longest ? ` (${result.streak.longest_start}..${result.streak.longest_end})` : '';
+    console.log(`  streak      current ${result.streak.current} day(s), longest ${result.streak.longest}${longest}`);
+    console.log(`  average     ${result.rolling.average_7d_hours}h/day over 7 days, ${result.rolling.average_30d_hours}h/day over 30 days`);
+    if (result.best_day) console.log(`  best day    ${result.best_day.date}, ${result.best_day.hours}h`);
+    console.log(`  weekdays    ${result.weekdays.map(w => `${w.weekday} ${w.average_hours}h`).join(', ')}`);
+    const width = Math.max(0, ...result.projects.map(p => p.name.length));
+    for (const p of result.projects) {
+      console.log(`  ${p.name.padEnd(width)}  ${p.first_seen}..${p.last_seen}, ${p.active_days} day(s), ${p.hours}h`);
+    }
+  } else if (result.command === 'verify') {
+    if (result.fixed) console.log(`verify: re-fetched ${result.fixed.length} day(s) for ${result.found?.length ?? 0} problem(s)`);
+    if (result.ok) console.log(`verify: ${result.days} day(s) in daily-total, no problems found`);
+    else console.log(`verify: ${result.problems.length} problem(s) found`);
+    for (const p of result.problems) console.log(`  ${p.table}  ${p.check}  ${p.detail}`);
+  } else if (result.command === 'doctor') {
+    const width = Math.max(...result.checks.map(c => c.name.length));
+    for (const c of result.checks) console.log(`${c.status.padEnd(4)}  ${c.name.padEnd(width)}  ${c.detail}`);
+  }
+  if (result.dryRun) {
+    info(config, 'Dry run: nothing was written. Would change:');
+    if (!result.changes.length) info(config, '  nothing');
+    for (const c of result.changes) {
+      info(config, `  ${c.table}: ${c.added} added, ${c.changed} changed, ${c.removed} removed, ${c.unchanged} unchanged`);
+    }
+  }
+}
+
+function needsApi(args) {
+  if (args.command === 'verify') return args.fix;
+  return ['sync', 'backfill'].includes(args.command) && !args.recomputeHeartbeats && !args.recomputeRollups;
+}
+
+async function runCommand(args, config, storage) {
+  if (args.command === 'report') return args.digest ? digest(config, storage, args) : report(config, storage, args);
+  if (args.command === 'verify') return verify(config, storage, args);
+  if (args.command === 'stats') return writeStats(config, storage, args.date ?? ymdInZone(new Date(), offlineTimezone(config)));
+  if (args.recomputeHeartbeats) return recomputeHeartbeats(config, storage);
+  if (args.recomputeRollups) return recomputeRollups(config, storage);
+
+  // Day labels and API date ranges both follow the resolved timezone, not the host clock.
+  const synced = { ...config, TIMEZONE: await resolveTimezone(config) };
+  const today = ymdInZone(new Date(), synced.TIMEZONE);
+
+  let result;
+  if (args.command === 'backfill') {
+    // Future days would be written as zero rows and then count as known.
+    if (args.to && args.to > today) throw new ConfigError(`--to ${args.to} is in the future (today is ${today})`);
+    result = await backfill(synced, storage, args.from, args.to ?? today);
+  } else {
+    if (args.date && args.date > today) throw new ConfigError(`--date ${args.date} is in the future (today is ${today})`);
+    const caughtUp = args.date ? null : await catchUp(synced, storage, today);
+    const day = await syncDay({ date: args.date ?? today, config: synced, sink: storage });
+    info(config, `Wrote ${day.date}: total=${day.total_hours}h, projects=${day.projects_count}, languages=${day.languages_count}`);
+    result = { catchUp: caughtUp, days: [day] };
+
+    if (config.GOALS.length) {
+      const synchronized = new Set([...(caughtUp ? eachDate(caughtUp.from, caughtUp.to) : []), day.date]);
+      result.goals = await checkGoals(synced, storage, synchronized, today);
+    }
+  }
+  if (config.STATS) result.stats = await writeStats(synced, storage, today);
+  return result;
+}
+
+async function runProfile(args, env) {
+  // env: WAKAPI_* settings (process env or one config file profile) with the flag overrides applied.
+  if (args.command === 'doctor') {
+    const result = { command: 'doctor', ...(await doctor(args, env)) };
+    if (!args.json) printResult({}, result);
+    return result;
+  }
+
+  const config = { ...getConfig({ requireApi: needsApi(args), env }), DRY_RUN: args.dryRun, JSON_OUTPUT: args.json };
+  const writes = ['sync', 'backfill'].includes(args.command) || (args.command === 'verify' && args.fix);
+  const release = writes && !args.dryRun ? await acquireLock(config.OUT_DIR) : null;
+  let storage;
+
+  try {
+    storage = await openStorage(args.storage ?? config.STORAGE, {
+      outDir: config.OUT_DIR, sqlitePath: config.SQLITE_PATH, csvDialect: config.CSV_DIALECT,
+    });
+    if (args.dryRun) storage = createDryRunSink(storage);
+
+    const result = { ok: true, command: args.command, ...(await runCommand(args, config, storage)) };
+    if (writes && args.dryRun) Object.assign(result, { dryRun: true, changes: storage.changes });
+    if (!args.json) printResult(config, result);
+    else if (result.dryRun) printResult(config, { dryRun: true, changes: result.changes });
+    return result;
+  } finally {
+    await storage?.close();
+    await release?.();
+  }
+}
+
+function isExpectedError(e) {
+  return [ConfigError, SchemaError, LockError, HttpError].some(type => e instanceof type);
+}
+
+function reportError(e) {
+  // Expected failures get a one-line message; the rest keep their stack.
+  if (isExpectedError(e)) console.error(`[wakapi-sync] ${e.message}`);
+  else console.error(e?.stack || String(e));
+}
+
+function errorJson(e) {
+  return { name: e?.name ?? 'Error', message: String(e?.message ?? e), exitCode: e?.exitCode ?? 1 };
+}
+
+function resultExitCode(result) {
+  // A successful sync that missed a goal gets its own code, below the errors.
+  if (!result.ok) return 1;
+  return result.goals?.missed ? GOAL_MISSED_EXIT_CODE : 0;
+}
+
+function profilesExitCode(failures) {
+  // A failure that needs fixing (auth, config, ...) outranks a temporary one,
+  // so the scheduler does not keep retrying a run that cannot succeed.
+  const codes = failures.map(f => f.error?.exitCode ?? 1);
+  return codes.find(c => c !== EXIT_CODES.TEMPORARY) ?? codes[0] ?? 0;
+}
+
+async function runProfiles(args, configFile) {
+  const only = args.profiles ?? parseList(process.env.WAKAPI_PROFILE);
+  const profiles = loadProfiles(configFile, { only, known: SETTINGS })
+    .map(p => ({ name: p.name, env: { ...p.env, ...args.settings } }));
+
+  // doctor reports broken profiles itself; every other command refuses to start with one.
+  if (args.command !== 'doctor') {
+    const outDirs = profiles.map(p => {
+      try {
+        return path.resolve(getConfig({ requireApi: needsApi(args), env: p.env }).OUT_DIR);
+      } catch (e) {
+        if (e instanceof ConfigError) e.message = `Profile ${p.name}: ${e.message}`;
+        throw e;
+      }
+    });
+    const shared = outDirs.find((dir, i) => outDirs.indexOf(dir) !== i);
+    if (shared) throw new ConfigError(`Profiles must not share an output directory: ${shared}`);
+  }
+
+  const log = { JSON_OUTPUT: args.json };
+  const results = [];
+  for (const profile of profiles) {
+    info(log, `Profile ${profile.name}`);
+    try {
+      results.push({ name: profile.name, result: await runProfile(args, profile.env) });
+    } catch (e) {
+      reportError(e);
+      results.push({ name: profile.name, error: e });
+    }
+  }
+
+  const failures = results.filter(r => r.error || !r.result.ok);
+  info(log, `Summary: ${results.length - failures.length}/${results.length} profile(s) ok`);
+  const width = Math.max(...results.map(r => r.name.length));
+  for (const r of results) {
+    const status = r.error
+      ? `failed (exit ${r.error.exitCode ?? 1}): ${String(r.error.message).split('\n')[0]}`
+      : r.result.ok ? 'ok' : 'problems found';
+    info(log, `  ${r.name.padEnd(width)}  ${status}`);
+  }
+
+  return {
+    exitCode: failures.length ? profilesExitCode(failures)
+      : results.some(r => r.result.goals?.missed) ? GOAL_MISSED_EXIT_CODE : 0,
+    output: {
+      ok: !failures.length,
+      command: args.command,
+      profiles: results.map(r => (r.error ? { name: r.name, ok: false, error: errorJson(r.error) } : { name: r.name, ...r.result })),
+    },
+  };
+}
+
+async function main(argv = process.argv.slice(2)) {
+  // --json is honored even when the arguments themselves are invalid.
+  const json = argv.includes('--json');
+  try {
+    const args = parseCliArgs(argv);
+    if (args.help) return console.log(USAGE);
+
+    const configFile = args.config ?? process.env.WAKAPI_CONFIG;
+    let run;
+    if (configFile) {
+      run = await runProfiles(args, configFile);
+    } else {
+      const result = await runProfile(args, { ...process.env, ...args.settings });
+      run = { exitCode: resultExitCode(result), output: result };
+    }
+
+    if (json) console.log(JSON.stringify(run.output, null, 2));
+    process.exitCode = run.exitCode;
+  } catch (e) {
+    if (json) console.log(JSON.stringify({ ok: false, error: errorJson(e) }, null, 2));
+    throw e;
+  }
 }
 
 // Allow importing functions for testing without running main().
@@ -276,21 +1867,59 @@ import { fileURLToPath } from 'node:url';
 import { realpathSync } from 'node:fs';
 const __filename = fileURLToPath(import.meta.url);
 // Compare via realpath to handle symlinks (e.g. skills/ -> projects/)
-if (realpathSync(process.argv[1]) === realpathSync(__filename)) {
+if (process.argv[1] && realpathSync(process.argv[1]) === realpathSync(__filename)) {
   main().catch((e) => {
-    console.error(e?.stack || String(e));
-    process.exit(1);
+    // Config, HTTP and lock errors pick the exit code (2 config, 3 auth,
+    // 4 not found, 75 temporary) so schedulers know whether to retry.
+    reportError(e);
+    process.exit(e?.exitCode ?? 1);
   });
 }
 
 export {
+  syncDay,
+  getConfig,
   csvEscape,
   rowsToCsv,
+  readCsv,
   parseCsvSimple,
+  readCsvFile,
   upsertCsvByKeys,
   extractTopFromStatusbarToday,
   extractFromSummariesToday,
   toHours,
   ymdLocal,
+  ymdInZone,
+  isValidTimezone,
+  resolveTimezone,
   pickTop,
+  isYmd,
+  addDays,
+  eachDate,
+  chunkDateRange,
+  extractSummariesByDate,
+  buildDayRows,
+  writeDays,
+  writeRollups,
+  recomputeRollups,
+  dimensionTable,
+  projectLanguageRows,
+  addProjectLanguages,
+  isoInZone,
+  extractDurations,
+  bucketHourly,
+  buildSessions,
+  addDurations,
+  addHeartbeats,
+  archiveHeartbeats,
+  readHeartbeatArchive,
+  totalFromHeartbeats,
+  heartbeatCheckRow,
+  recomputeHeartbeats,
+  readDailyTotals,
+  planCatchUp,
+  createCsvSink,
+  createJsonSink,
+  createSqliteSink,
+  openStorage,
 };
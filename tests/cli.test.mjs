@@ -0,0 +1,364 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { addDays, eachDate, ymdInZone } from '../scripts/wakapi-daily-summary.mjs';
+import { startServer, runScript } from './helpers.mjs';
+
+const TODAY = ymdInZone(new Date(), 'UTC');
+
+let stub;
+let tmpDir;
+let requests;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wakapi-cli-'));
+  stub = await startServer((req, res) => {
+    const u = new URL(req.url, 'http://x');
+    requests.push(u.pathname + u.search);
+    res.setHeader('Content-Type', 'application/json');
+    if (req.headers.authorization !== `Basic ${Buffer.from('good-key').toString('base64')}`) {
+      res.statusCode = 401;
+      return res.end('{}');
+    }
+    const day = {
+      grand_total: { total_seconds: 5400 },
+      projects: [{ name: 'alpha', total_seconds: 3600 }, { name: 'beta', total_seconds: 1800 }],
+      languages: [{ name: 'Go', total_seconds: 5400 }],
+    };
+    if (u.pathname.endsWith('/statusbar/today')) return res.end(JSON.stringify({ data: day }));
+    if (u.pathname.endsWith('/summaries')) {
+      const dates = eachDate(u.searchParams.get('start'), u.searchParams.get('end'));
+      return res.end(JSON.stringify({ data: dates.map(date => ({ ...day, range: { date: `${date}T00:00:00Z` } })) }));
+    }
+    if (u.pathname.endsWith('/users/current')) return res.end(JSON.stringify({ data: { username: 'ada', timezone: 'UTC' } }));
+    res.statusCode = 404;
+    res.end('{}');
+  });
+});
+
+after(async () => {
+  await stub.close();
+  if (tmpDir) await fs.rm(tmpDir, { recursive: true });
+});
+
+beforeEach(() => {
+  requests = [];
+});
+
+function run(args, env = {}) {
+  return runScript(args, {
+    WAKAPI_URL: stub.url, WAKAPI_API_KEY: 'good-key', WAKAPI_TIMEZONE: 'UTC',
+    WAKAPI_REFRESH_DAYS: '0', WAKAPI_CATCHUP_MAX_DAYS: '0', WAKAPI_HTTP_BACKOFF: '0', ...env,
+  });
+}
+
+async function outDir(name) {
+  const dir = path.join(tmpDir, name);
+  await fs.rm(dir, { recursive: true, force: true });
+  return dir;
+}
+
+// ── arguments ──────────────────────────────────────────────────
+
+describe('arguments', () => {
+  it('should print usage for --help and the help command', async () => {
+    for (const args of [['--help'], ['help'], ['report', '-h']]) {
+      const { code, stdout } = await run(args);
+      assert.equal(code, 0);
+      assert.match(stdout, /^Usage: wakapi-daily-summary\.mjs \[command\]/);
+    }
+  });
+
+  it('should reject unknown commands and options with exit 2', async () => {
+    let { code, stderr } = await run(['frobnicate']);
+    assert.equal(code, 2);
+    assert.match(stderr, /Unknown command: frobnicate .*See --help/);
+
+    ({ code, stderr } = await run(['--nope']));
+    assert.equal(code, 2);
+    assert.match(stderr, /--nope.*See --help/);
+
+    ({ code, stderr } = await run(['backfill']));
+    assert.equal(code, 2);
+    assert.match(stderr, /backfill requires --from/);
+  });
+
+  it('should print errors as JSON with --json', async () => {
+    const { code, stdout } = await run(['report', '--json']);
+    assert.equal(code, 2);
+    assert.deepEqual(JSON.parse(stdout), {
+      ok: false, error: { name: 'ConfigError', message: 'Missing required env var: WAKAPI_OUT_DIR', exitCode: 2 },
+    });
+  });
+
+  it('should validate flag overrides like the settings they replace', async () => {
+    const { code, stderr } = await run(['--out', tmpDir, '--top-projects', 'ten']);
+    assert.equal(code, 2);
+    assert.match(stderr, /Invalid WAKAPI_TOP_N_PROJECTS \(expected a positive integer\): ten/);
+  });
+});
+
+// ── sync and backfill ──────────────────────────────────────────
+
+describe('sync', () => {
+  it('should let flags override the environment', async () => {
+    const dir = await outDir('override');
+    const { code } = await run(['sync', '--out', dir, '--top-projects', '1'], { WAKAPI_OUT_DIR: '/nonexistent', WAKAPI_TOP_N_PROJECTS: '5' });
+    assert.equal(code, 0);
+    const projects = await fs.readFile(path.join(dir, 'daily-top-projects.csv'), 'utf8');
+    assert.equal(projects, `date,rank,project,seconds,hours,percent\n${TODAY},1,alpha,3600,1,66.67\n`);
+  });
+
+  it('should print a machine-readable result with --json', async () => {
+    const dir = await outDir('json');
+    const { code, stdout, stderr } = await run(['--out', dir, '--json']);
+    assert.equal(code, 0);
+    assert.deepEqual(JSON.parse(stdout), {
+      ok: true,
+      command: 'sync',
+      catchUp: null,
+      days: [{
+        date: TODAY,
+        total_seconds: 5400,
+        total_hours: 1.5,
+        projects_count: 2,
+        languages_count: 1,
+        projects_total_count: 2,
+        languages_total_count: 1,
+        timezone: 'UTC',
+        source: '/api/v1/users/current/statusbar/today',
+        fallback: false,
+        projects: [{ name: 'alpha', seconds: 3600 }, { name: 'beta', seconds: 1800 }],
+        languages: [{ name: 'Go', seconds: 5400 }],
+        rows: { 'daily-total': 1, 'daily-top-projects': 2, 'daily-top-languages': 1 },
+      }],
+    });
+    assert.match(stderr, /\[wakapi-sync\] Wrote /, 'progress goes to stderr');
+  });
+
+  it('should sync a single past day with --date', async () => {
+    const dir = await outDir('date');
+    const date = addDays(TODAY, -3);
+    const { code } = await run(['sync', '--date', date, '--out', dir]);
+    assert.equal(code, 0);
+    assert.ok(requests.every(r => !r.includes('statusbar')));
+    const total = await fs.readFile(path.join(dir, 'daily-total.csv'), 'utf8');
+    assert.equal(total, `date,total_seconds,total_hours,projects_count,languages_count,projects_total_count,languages_total_count\n${date},5400,1.5,2,1,2,1\n`);
+  });
+
+  it('should refuse a --date in the future', async () => {
+    const { code, stderr } = await run(['sync', '--date', addDays(TODAY, 2), '--out', await outDir('future')]);
+    assert.equal(code, 2);
+    assert.match(stderr, /is in the future/);
+  });
+
+  it('should refuse a backfill --to in the future', async () => {
+    const dir = await outDir('future-to');
+    const { code, stderr } = await run(['backfill', '--from', addDays(TODAY, -1), '--to', addDays(TODAY, 3), '--out', dir]);
+    assert.equal(code, 2);
+    assert.match(stderr, /--to \S+ is in the future/);
+    await assert.rejects(fs.access(path.join(dir, 'daily-total.csv')));
+  });
+
+  it('should show what would change and write nothing with --dry-run', async () => {
+    const dir = await outDir('dry-run');
+    await run(['backfill', '--from', addDays(TODAY, -1), '--to', addDays(TODAY, -1), '--out', dir]);
+    const before = await fs.readdir(dir);
+
+    const { code, stdout } = await run(['backfill', '--from', addDays(TODAY, -2), '--to', addDays(TODAY, -1), '--out', dir, '--dry-run', '--json']);
+    assert.equal(code, 0);
+    const result = JSON.parse(stdout);
+    assert.equal(result.dryRun, true);
+    assert.deepEqual(result.changes.find(c => c.table === 'daily-total'), {
+      table: 'daily-total', added: 1, changed: 0, removed: 0, unchanged: 1,
+    });
+    assert.deepEqual(await fs.readdir(dir), before);
+    const total = await fs.readFile(path.join(dir, 'daily-total.csv'), 'utf8');
+    assert.equal(total.trim().split('\n').length, 2);
+  });
+});
+
+// ── offline commands ───────────────────────────────────────────
+
+describe('report', () => {
+  it('should summarize the stored days without calling the API', async () => {
+    const dir = await outDir('report');
+    await run(['backfill', '--from', addDays(TODAY, -2), '--to', addDays(TODAY, -1), '--out', dir]);
+    requests = [];
+
+    const { code, stdout } = await run(['report', '--out', dir, '--json'], { WAKAPI_API_KEY: '' });
+    assert.equal(code, 0);
+    assert.deepEqual(requests, []);
+    const report = JSON.parse(stdout);
+    assert.equal(report.from, addDays(TODAY, -6));
+    assert.equal(report.to, TODAY);
+    assert.equal(report.total_seconds, 10800);
+    assert.equal(report.active_days, 2);
+    assert.equal(report.average_hours, 1.5);
+    assert.deepEqual(report.projects.map(p => [p.name, p.hours, p.percent]), [['alpha', 2, 66.7], ['beta', 1, 33.3]]);
+
+    const text = await run(['report', '--out', dir, '--date', addDays(TODAY, -1)]);
+    assert.match(text.stdout, /^Report (\S+)\.\.\1: 1\.5h, 1 active day\(s\)/);
+    assert.match(text.stdout, /alpha {2}1h {2}66\.7%/);
+  });
+
+  it('should write a Markdown and HTML digest with --digest', async () => {
+    const dir = await outDir('digest');
+    await run(['backfill', '--from', addDays(TODAY, -2), '--to', addDays(TODAY, -1), '--out', dir]);
+    requests = [];
+
+    const { code, stdout, stderr } = await run(['report', '--digest', '--date', addDays(TODAY, -1), '--out', dir], { WAKAPI_API_KEY: '' });
+    assert.equal(code, 0);
+    assert.deepEqual(requests, []);
+    assert.match(stdout, /^## Coding digest for \d{4}-\d{2}-\d{2}\n/);
+    assert.match(stdout, /\*\*Today:\*\* 1h 30m \(±0m vs\. yesterday's 1h 30m\)/);
+    assert.match(stdout, /\*\*Streak:\*\* 2 day\(s\) \(longest 2\)/);
+    assert.match(stdout, /^alpha {2}█+/m);
+    assert.match(stderr, /Wrote .*digest\.html/);
+    assert.equal(await fs.readFile(path.join(dir, 'digest.md'), 'utf8'), stdout);
+    assert.match(await fs.readFile(path.join(dir, 'digest.html'), 'utf8'), /<th>alpha<\/th>/);
+
+    const json = JSON.parse((await run(['report', '--digest', '--out', dir, '--dry-run', '--json'])).stdout);
+    assert.deepEqual([json.date, json.files, json.streak], [TODAY, [], { current: 2, longest: 2 }]);
+  });
+
+  it('should only accept --digest with report and --date', async () => {
+    for (const args of [['sync', '--digest'], ['report', '--digest', '--from', TODAY]]) {
+      const { code, stderr } = await run([...args, '--out', await outDir('digest-args')]);
+      assert.equal(code, 2);
+      assert.match(stderr, /--digest belongs to report/);
+    }
+  });
+});
+
+describe('stats', () => {
+  it('should rewrite stats.json and stats.csv after a sync with WAKAPI_STATS=1', async () => {
+    const dir = await outDir('stats-sync');
+    const { code } = await run(['sync', '--date', addDays(TODAY, -1), '--out', dir], { WAKAPI_STATS: '1' });
+    assert.equal(code, 0);
+    const stats = JSON.parse(await fs.readFile(path.join(dir, 'stats.json'), 'utf8'));
+    assert.deepEqual([stats.as_of, stats.days, stats.streak.current, stats.best_day.hours], [TODAY, 1, 1, 1.5]);
+    assert.match(await fs.readFile(path.join(dir, 'stats.csv'), 'utf8'), /^metric,subject,value\nas_of,,\d{4}-\d{2}-\d{2}\n/);
+  });
+
+  it('should recompute offline from the stored files', async () => {
+    const dir = await outDir('stats-offline');
+    await run(['backfill', '--from', addDays(TODAY, -3), '--to', addDays(TODAY, -1), '--out', dir]);
+    await assert.rejects(fs.access(path.join(dir, 'stats.json')), { code: 'ENOENT' });
+    requests = [];
+
+    const { code, stdout } = await run(['stats', '--out', dir], { WAKAPI_API_KEY: '' });
+    assert.equal(code, 0);
+    assert.deepEqual(requests, []);
+    assert.match(stdout, /Stats as of \S+: 3 day\(s\), 3 active, 4\.5h/);
+    assert.match(stdout, /streak {6}current 3 day\(s\), longest 3/);
+    assert.match(stdout, /alpha {2}\S+\.\.\S+, 3 day\(s\), 3h/);
+    assert.equal(JSON.parse(await fs.readFile(path.join(dir, 'stats.json'), 'utf8')).total_hours, 4.5);
+
+    const dry = await run(['stats', '--out', path.join(dir, 'elsewhere'), '--dry-run', '--json']);
+    assert.deepEqual(JSON.parse(dry.stdout).files, []);
+  });
+});
+
+describe('verify', () => {
+  it('should report gaps and unknown dates and exit 1', async () => {
+    const dir = await outDir('verify');
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, 'daily-total.csv'),
+      'date,total_seconds,total_hours,projects_count,languages_count\n2026-02-10,60,0.02,0,0\n2026-02-13,60,0.02,0,0\n');
+    await fs.writeFile(path.join(dir, 'daily-top-projects.csv'),
+      'date,rank,project,seconds,hours,percent\n2026-02-09,1,alpha,60,0.02,\n');
+    await fs.writeFile(path.join(dir, 'daily-top-languages.csv'), 'date,lang\n');
+
+    const { code, stdout } = await run(['verify', '--out', dir, '--json']);
+    assert.equal(code, 1);
+    const result = JSON.parse(stdout);
+    assert.equal(result.ok, false);
+    assert.deepEqual(result.problems.map(p => [p.table, p.check]), [
+      ['daily-top-languages', 'layout'],
+      ['daily-total', 'missing-dates'],
+      ['daily-top-projects', 'unknown-dates'],
+      ['daily-top-projects', 'missing-rows'],
+    ]);
+    assert.deepEqual(result.problems[1].dates, ['2026-02-11', '2026-02-12']);
+    assert.deepEqual(result.problems[3].dates, ['2026-02-10', '2026-02-13']);
+  });
+
+  it('should find duplicate keys, rank gaps, wrong hours and rows above the total, and --fix them', async () => {
+    const dir = await outDir('verify-rows');
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, 'daily-total.csv'),
+      'date,total_seconds,total_hours,projects_count,languages_count,projects_total_count,languages_total_count\n'
+      + '2026-02-10,3600,1,2,1,2,1\n2026-02-11,3600,2,1,1,1,1\n');
+    await fs.writeFile(path.join(dir, 'daily-top-projects.csv'), 'date,rank,project,seconds,hours,percent\n'
+      + '2026-02-10,1,alpha,3000,0.83,\n2026-02-10,1,beta,1200,0.33,\n2026-02-11,2,alpha,3600,1,\n');
+    await fs.writeFile(path.join(dir, 'daily-top-languages.csv'), 'date,rank,language,seconds,hours,percent\n'
+      + '2026-02-10,1,Go,3600,1,\n2026-02-11,1,Go,3600,1,\n');
+
+    const { code, stdout } = await run(['verify', '--out', dir, '--json']);
+    assert.equal(code, 1);
+    assert.deepEqual(JSON.parse(stdout).problems.map(p => [p.table, p.check, p.dates.join()]), [
+      ['daily-total', 'hours-mismatch', '2026-02-11'],
+      ['daily-top-projects', 'duplicate-keys', '2026-02-10'],
+      ['daily-top-projects', 'rank-gaps', '2026-02-11'],
+      ['daily-top-projects', 'sum-exceeds-total', '2026-02-10'],
+    ]);
+    assert.equal(requests.length, 0, 'verify alone stays offline');
+
+    const fixed = await run(['verify', '--fix', '--out', dir]);
+    assert.equal(fixed.code, 0, fixed.stderr);
+    assert.match(fixed.stdout, /re-fetched 2 day\(s\) for 4 problem\(s\)\n.*2 day\(s\) in daily-total, no problems found/);
+    assert.ok(requests.some(r => r.includes('/summaries?start=2026-02-10&end=2026-02-11')));
+    const projects = await fs.readFile(path.join(dir, 'daily-top-projects.csv'), 'utf8');
+    assert.match(projects, /2026-02-10,1,alpha,3600,1,66\.67\n2026-02-10,2,beta,1800,0\.5,33\.33\n/);
+  });
+
+  it('should only accept --fix for verify', async () => {
+    const { code, stderr } = await run(['sync', '--fix']);
+    assert.equal(code, 2);
+    assert.match(stderr, /--fix belongs to verify/);
+  });
+
+  it('should pass on consistent data', async () => {
+    const dir = await outDir('verify-ok');
+    await run(['backfill', '--from', addDays(TODAY, -3), '--to', addDays(TODAY, -1), '--out', dir]);
+    const { code, stdout } = await run(['verify', '--out', dir]);
+    assert.equal(code, 0);
+    assert.match(stdout, /3 day\(s\) in daily-total, no problems found/);
+  });
+});
+
+describe('doctor', () => {
+  it('should check config, output directory, lock and API access', async () => {
+    const dir = await outDir('doctor');
+    await fs.mkdir(dir, { recursive: true });
+    const { code, stdout } = await run(['doctor', '--out', dir, '--timezone', 'auto', '--json']);
+    assert.equal(code, 0);
+    const { ok, checks } = JSON.parse(stdout);
+    assert.equal(ok, true);
+    assert.deepEqual(Object.fromEntries(checks.map(c => [c.name, c.status])), {
+      node: 'ok', config: 'ok', out_dir: 'ok', lock: 'ok', api: 'ok', timezone: 'ok', data: 'ok',
+    });
+    assert.equal(checks.find(c => c.name === 'api').detail, 'authenticated as ada');
+    assert.deepEqual(requests, ['/api/v1/users/current']);
+  });
+
+  it('should keep checking after a failure and exit 1', async () => {
+    const { code, stdout } = await run(['doctor', '--out', await outDir('doctor-bad')], { WAKAPI_API_KEY: 'bad-key' });
+    assert.equal(code, 1);
+    assert.match(stdout, /^fail +api +HTTP 401/m);
+    assert.match(stdout, /^warn +out_dir +.* does not exist yet/m);
+    assert.match(stdout, /^ok +timezone +UTC/m);
+  });
+
+  it('should report an invalid config as a failed check', async () => {
+    const { code, stdout } = await run(['doctor', '--json'], { WAKAPI_OUT_DIR: '', WAKAPI_PROVIDER: 'gitlab' });
+    assert.equal(code, 1);
+    const { checks } = JSON.parse(stdout);
+    assert.deepEqual(checks.map(c => [c.name, c.status]), [['node', 'ok'], ['config', 'fail']]);
+    assert.match(checks[1].detail, /Unknown WAKAPI_PROVIDER: gitlab/);
+  });
+});
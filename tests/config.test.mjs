@@ -0,0 +1,235 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { loadProfiles } from '../scripts/lib/config.mjs';
+import { getConfig } from '../scripts/wakapi-daily-summary.mjs';
+import { startServer, runScript } from './helpers.mjs';
+
+const KNOWN = ['WAKAPI_URL', 'WAKAPI_API_KEY', 'WAKAPI_OUT_DIR', 'WAKAPI_DIMENSIONS', 'WAKAPI_DURATIONS', 'WAKAPI_TOP_N_PROJECTS'];
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wakapi-config-'));
+  await fs.writeFile(path.join(tmpDir, 'personal.key'), 'personal-secret\n');
+});
+
+after(async () => {
+  if (tmpDir) await fs.rm(tmpDir, { recursive: true });
+});
+
+async function writeConfig(doc) {
+  const file = path.join(tmpDir, 'wakapi-sync.json');
+  await fs.writeFile(file, JSON.stringify(doc));
+  return file;
+}
+
+// ── loadProfiles ───────────────────────────────────────────────
+
+describe('loadProfiles', () => {
+  it('should turn each profile into WAKAPI_* settings with defaults and secrets', async () => {
+    const file = await writeConfig({
+      defaults: { dimensions: ['editors', 'machines'], durations: true, top_n_projects: 5 },
+      profiles: {
+        personal: { url: 'https://wakapi.example.com', api_key: { file: 'personal.key' }, out_dir: 'personal' },
+        work: { url: 'https://wakapi.work.example', api_key: { env: 'WORK_KEY' }, out_dir: '/data/work', top_n_projects: 20 },
+      },
+    });
+
+    const profiles = loadProfiles(file, { known: KNOWN, env: { WORK_KEY: 'work-secret' } });
+    assert.deepEqual(profiles, [
+      {
+        name: 'personal',
+        env: {
+          WAKAPI_DIMENSIONS: 'editors,machines', WAKAPI_DURATIONS: '1', WAKAPI_TOP_N_PROJECTS: '5',
+          WAKAPI_URL: 'https://wakapi.example.com', WAKAPI_API_KEY: 'personal-secret', WAKAPI_OUT_DIR: path.join(tmpDir, 'personal'),
+        },
+      },
+      {
+        name: 'work',
+        env: {
+          WAKAPI_DIMENSIONS: 'editors,machines', WAKAPI_DURATIONS: '1', WAKAPI_TOP_N_PROJECTS: '20',
+          WAKAPI_URL: 'https://wakapi.work.example', WAKAPI_API_KEY: 'work-secret', WAKAPI_OUT_DIR: '/data/work',
+        },
+      },
+    ]);
+  });
+
+  it('should let the environment override a single profile but not several', async () => {
+    const file = await writeConfig({
+      profiles: {
+        a: { url: 'https://a.example', api_key: { env: 'KEY' }, out_dir: '/a' },
+        b: { url: 'https://b.example', api_key: { env: 'KEY' }, out_dir: '/b' },
+      },
+    });
+    const env = { KEY: 'k', WAKAPI_URL: 'https://override.example', WAKAPI_DURATIONS: '1' };
+
+    const [only] = loadProfiles(file, { only: ['b'], known: KNOWN, env });
+    assert.equal(only.env.WAKAPI_URL, 'https://override.example');
+
+    const both = loadProfiles(file, { known: KNOWN, env });
+    assert.deepEqual(both.map(p => p.env.WAKAPI_URL), ['https://a.example', 'https://b.example']);
+    assert.ok(both.every(p => p.env.WAKAPI_DURATIONS === '1'), 'unset settings still come from the environment');
+  });
+
+  it('should refuse inline secrets', async () => {
+    const file = await writeConfig({ profiles: { p: { api_key: 'plain-text' } } });
+    assert.throws(() => loadProfiles(file, { known: KNOWN, env: {} }), {
+      name: 'ConfigError', message: /profiles\.p\.api_key: do not put secrets in the config file/,
+    });
+  });
+
+  it('should report unknown settings, profiles and missing secret sources', async () => {
+    let file = await writeConfig({ profiles: { p: { dimension: 'editors' } } });
+    assert.throws(() => loadProfiles(file, { known: KNOWN, env: {} }), /profiles\.p: unknown setting "dimension"/);
+
+    file = await writeConfig({ profiles: { p: { api_key: { env: 'MISSING' } } } });
+    assert.throws(() => loadProfiles(file, { known: KNOWN, env: {} }), /environment variable MISSING is not set/);
+    assert.throws(() => loadProfiles(file, { only: ['q'], known: KNOWN, env: {} }), /Unknown profile\(s\): q \(defined: p\)/);
+
+    file = await writeConfig({ profiles: { p: { api_key: { file: 'nope.key' } } } });
+    assert.throws(() => loadProfiles(file, { known: KNOWN, env: {} }), /Cannot read secret file .*nope\.key: ENOENT/);
+  });
+
+  it('should report a missing or malformed file', async () => {
+    assert.throws(() => loadProfiles(path.join(tmpDir, 'missing.json'), { known: KNOWN }), /Cannot read config file .*: not found/);
+    const file = await writeConfig({ accounts: {} });
+    assert.throws(() => loadProfiles(file, { known: KNOWN }), /expected a "profiles" object/);
+  });
+});
+
+// ── getConfig ──────────────────────────────────────────────────
+
+describe('getConfig', () => {
+  it('should read settings from the given env object', () => {
+    const config = getConfig({ env: { WAKAPI_URL: 'https://x', WAKAPI_API_KEY: 'k', WAKAPI_OUT_DIR: '/out', WAKAPI_DURATIONS: '1' } });
+    assert.equal(config.WAKAPI_URL, 'https://x');
+    assert.equal(config.DURATIONS, true);
+  });
+
+  it('should load the API key from WAKAPI_API_KEY_FILE', () => {
+    const config = getConfig({
+      env: { WAKAPI_URL: 'https://x', WAKAPI_API_KEY_FILE: path.join(tmpDir, 'personal.key'), WAKAPI_OUT_DIR: '/out' },
+    });
+    assert.equal(config.WAKAPI_API_KEY, 'personal-secret');
+  });
+
+  it('should throw a ConfigError instead of exiting', () => {
+    assert.throws(() => getConfig({ env: { WAKAPI_URL: 'https://x', WAKAPI_API_KEY: 'k' } }), {
+      name: 'ConfigError', exitCode: 2, message: /WAKAPI_OUT_DIR/,
+    });
+  });
+
+  it('should default blank catch-up settings and reject ones that are not non-negative integers', () => {
+    const env = { WAKAPI_OUT_DIR: '/out' };
+    const config = getConfig({ requireApi: false, env: { ...env, WAKAPI_REFRESH_DAYS: '', WAKAPI_CATCHUP_MAX_DAYS: '0' } });
+    assert.deepEqual([config.REFRESH_DAYS, config.CATCHUP_MAX_DAYS], [1, 0]);
+    for (const [name, value] of [['WAKAPI_REFRESH_DAYS', '-1'], ['WAKAPI_REFRESH_DAYS', '1.5'], ['WAKAPI_CATCHUP_MAX_DAYS', 'abc']]) {
+      assert.throws(() => getConfig({ requireApi: false, env: { ...env, [name]: value } }), {
+        name: 'ConfigError', message: new RegExp(`Invalid ${name} \\(expected a non-negative integer\\): ${value}`),
+      });
+    }
+  });
+
+  it('should default blank HTTP retries and keep an explicit 0', () => {
+    const env = { WAKAPI_OUT_DIR: '/out' };
+    assert.equal(getConfig({ requireApi: false, env: { ...env, WAKAPI_HTTP_RETRIES: '' } }).HTTP.retries, 3);
+    assert.equal(getConfig({ requireApi: false, env: { ...env, WAKAPI_HTTP_RETRIES: '0' } }).HTTP.retries, 0);
+  });
+
+  it('should reject a heartbeat timeout that is not a positive number', () => {
+    for (const value of ['0', '-60', 'ten']) {
+      assert.throws(() => getConfig({ requireApi: false, env: { WAKAPI_OUT_DIR: '/out', WAKAPI_HEARTBEAT_TIMEOUT: value } }), {
+        name: 'ConfigError', message: /Invalid WAKAPI_HEARTBEAT_TIMEOUT/,
+      });
+    }
+  });
+
+  it('should reject a backfill chunk size that is not a positive integer', () => {
+    for (const value of ['0', '-3', 'week']) {
+      assert.throws(() => getConfig({ requireApi: false, env: { WAKAPI_OUT_DIR: '/out', WAKAPI_BACKFILL_CHUNK_DAYS: value } }), {
+        name: 'ConfigError', message: new RegExp(`Invalid WAKAPI_BACKFILL_CHUNK_DAYS \\(expected a positive integer\\): ${value}`),
+      });
+    }
+  });
+});
+
+// ── several profiles in one run ────────────────────────────────
+
+describe('multi-profile run', () => {
+  let stub;
+  const seenKeys = [];
+
+  before(async () => {
+    stub = await startServer((req, res) => {
+      const key = Buffer.from(req.headers.authorization.replace('Basic ', ''), 'base64').toString();
+      seenKeys.push(key);
+      res.setHeader('Content-Type', 'application/json');
+      if (key === 'bad-key') {
+        res.statusCode = 401;
+        return res.end('{}');
+      }
+      res.end(JSON.stringify({
+        data: { grand_total: { total_seconds: 3600 }, projects: [{ name: 'p', total_seconds: 3600 }], languages: [] },
+      }));
+    });
+  });
+
+  after(() => stub.close());
+
+  beforeEach(() => {
+    seenKeys.length = 0;
+  });
+
+  function run(args, env = {}) {
+    return runScript(args, { GOOD_KEY: 'good-key', BAD_KEY: 'bad-key', ...env });
+  }
+
+  it('should run every profile, keep going after a failure and summarize', async () => {
+    const { url } = stub;
+    const file = await writeConfig({
+      defaults: { url, timezone: 'UTC', refresh_days: 0, catchup_max_days: 0, http_retries: 0 },
+      profiles: {
+        broken: { api_key: { env: 'BAD_KEY' }, out_dir: 'out-broken' },
+        personal: { api_key: { env: 'GOOD_KEY' }, out_dir: 'out-personal' },
+      },
+    });
+
+    const { code, stdout, stderr } = await run(['--config', file]);
+    assert.equal(code, 3);
+    assert.match(stderr, /HTTP 401/);
+    assert.match(stdout, /Summary: 1\/2 profile\(s\) ok/);
+    assert.match(stdout, /broken +failed \(exit 3\)/);
+    assert.match(stdout, /personal +ok/);
+
+    const total = await fs.readFile(path.join(tmpDir, 'out-personal', 'daily-total.csv'), 'utf8');
+    assert.match(total, /,3600,1,1,0,1,0\n$/);
+  });
+
+  it('should run only the selected profiles', async () => {
+    const { url } = stub;
+    const file = await writeConfig({
+      defaults: { url, timezone: 'UTC', refresh_days: 0, catchup_max_days: 0 },
+      profiles: {
+        broken: { api_key: { env: 'BAD_KEY' }, out_dir: 'out-broken' },
+        personal: { api_key: { env: 'GOOD_KEY' }, out_dir: 'out-personal' },
+      },
+    });
+
+    const { code } = await run(['--profile', 'personal'], { WAKAPI_CONFIG: file });
+    assert.equal(code, 0);
+    assert.deepEqual([...new Set(seenKeys)], ['good-key']);
+  });
+
+  it('should name the profile when its settings are invalid', async () => {
+    const file = await writeConfig({
+      profiles: { a: { url: 'https://a', api_key: { env: 'GOOD_KEY' }, out_dir: 'x', timezone: 'Mars/Olympus' } },
+    });
+    const { code, stderr } = await run(['--config', file]);
+    assert.equal(code, 2);
+    assert.match(stderr, /Profile a: Invalid WAKAPI_TIMEZONE/);
+  });
+});
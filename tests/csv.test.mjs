@@ -0,0 +1,141 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import {
+  rowsToCsv,
+  createCsvParser,
+  parseCsvSimple,
+  readCsvFile,
+  upsertCsvByKeys,
+} from '../scripts/lib/csv.mjs';
+
+const HEADER = ['date', 'rank', 'project', 'seconds', 'hours', 'percent'];
+const numeric = (col) => !['date', 'project'].includes(col);
+
+// ── round trips ────────────────────────────────────────────────
+
+describe('rowsToCsv → parseCsvSimple', () => {
+  const rows = [
+    ['2026-02-14', '1', 'multi\nline', '3600', '1', '75.5'],
+    ['2026-02-14', '2', 'say "hi", then\r\nleave', '1200', '0.33', ''],
+    ['2026-02-14', '3', 'semi;colon\ttab|pipe', '60', '0.02', '2.5'],
+  ];
+  const asObjects = rows.map(r => Object.fromEntries(HEADER.map((h, i) => [h, r[i]])));
+
+  const dialects = {
+    default: {},
+    crlf: { crlf: true },
+    bom: { bom: true },
+    semicolon: { delimiter: ';' },
+    tab: { delimiter: '\t' },
+    pipe: { delimiter: '|' },
+    'semicolon with decimal comma and BOM': { delimiter: ';', decimalComma: true, bom: true, crlf: true, numeric },
+  };
+
+  for (const [name, dialect] of Object.entries(dialects)) {
+    it(`should survive a round trip (${name})`, () => {
+      const parsed = parseCsvSimple(rowsToCsv(HEADER, rows, dialect), dialect);
+      assert.deepEqual(parsed.header, HEADER);
+      assert.deepEqual(parsed.rows, asObjects);
+    });
+  }
+
+  it('should write decimal commas only in numeric columns', () => {
+    const csv = rowsToCsv(['date', 'project', 'hours'], [['2026-02-14', '1.5', '1.5']], {
+      delimiter: ';', decimalComma: true, numeric,
+    });
+    assert.equal(csv, 'date;project;hours\n2026-02-14;1.5;1,5\n');
+  });
+
+  it('should prefix a BOM and end lines with CRLF when asked', () => {
+    assert.equal(rowsToCsv(['a'], [['1']], { bom: true, crlf: true }), '\uFEFFa\r\n1\r\n');
+  });
+});
+
+// ── parser ─────────────────────────────────────────────────────
+
+describe('createCsvParser', () => {
+  it('should accept \\n, \\r\\n and bare \\r line endings', () => {
+    const { rows } = parseCsvSimple('a,b\r\n1,2\r3,4\n5,6');
+    assert.deepEqual(rows, [{ a: '1', b: '2' }, { a: '3', b: '4' }, { a: '5', b: '6' }]);
+  });
+
+  it('should strip a leading BOM', () => {
+    assert.deepEqual(parseCsvSimple('\uFEFFdate,n\n2026-02-14,1\n').header, ['date', 'n']);
+  });
+
+  it('should sniff the delimiter from the header line', () => {
+    assert.deepEqual(parseCsvSimple('date;hours\n2026-02-14;1,5\n').rows, [{ date: '2026-02-14', hours: '1.5' }]);
+  });
+
+  it('should leave quoted text like "1,5" alone in comma-delimited files', () => {
+    const rows = [['2026-02-14', '1,5', '1.5']];
+    const parsed = parseCsvSimple(rowsToCsv(['date', 'project', 'hours'], rows));
+    assert.deepEqual(parsed.rows, [{ date: '2026-02-14', project: '1,5', hours: '1.5' }]);
+    assert.deepEqual(parseCsvSimple('date,project\n2026-01-01,"1,5"\n').rows, [{ date: '2026-01-01', project: '1,5' }]);
+  });
+
+  it('should keep empty quoted fields and skip blank lines', () => {
+    assert.deepEqual(parseCsvSimple('a,b\n\n"",x\n\n').rows, [{ a: '', b: 'x' }]);
+  });
+
+  it('should give the same records however the input is chunked', () => {
+    const csv = '\uFEFFa,b\r\n"x ""quoted""\r\nline",2\r\n"",3\r\n';
+    const whole = createCsvParser();
+    const expected = [...whole.write(csv), ...whole.end()];
+
+    const parser = createCsvParser();
+    const records = [];
+    for (const ch of csv) records.push(...parser.write(ch));
+    records.push(...parser.end());
+
+    assert.deepEqual(records, expected);
+    assert.deepEqual(records, [['a', 'b'], ['x "quoted"\r\nline', '2'], ['', '3']]);
+  });
+
+  it('should reject an unterminated quoted field', () => {
+    assert.throws(() => parseCsvSimple('a,b\n"open,1\n'), /unterminated quoted field/);
+  });
+});
+
+// ── files ──────────────────────────────────────────────────────
+
+describe('readCsvFile / upsertCsvByKeys with a dialect', () => {
+  let tmpDir;
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wakapi-csv-'));
+  });
+
+  after(async () => {
+    if (tmpDir) await fs.rm(tmpDir, { recursive: true });
+  });
+
+  it('should return null for a missing file', async () => {
+    assert.equal(await readCsvFile(path.join(tmpDir, 'missing.csv')), null);
+  });
+
+  it('should write and re-read an Excel-style file', async () => {
+    const file = path.join(tmpDir, 'daily-top-projects.csv');
+    const dialect = { delimiter: ';', decimalComma: true, bom: true, crlf: true, numeric };
+    await upsertCsvByKeys(file, HEADER, ['date', 'rank'], [
+      { date: '2026-02-14', rank: '1', project: 'a;b', seconds: '5400', hours: '1.5', percent: '100' },
+    ], { dialect });
+    await upsertCsvByKeys(file, HEADER, ['date', 'rank'], [
+      { date: '2026-02-15', rank: '1', project: 'c', seconds: '900', hours: '0.25', percent: '100' },
+    ], { dialect });
+
+    const content = await fs.readFile(file, 'utf8');
+    assert.ok(content.startsWith('\uFEFFdate;rank;project;'));
+    assert.ok(content.includes('2026-02-14;1;"a;b";5400;1,5;100\r\n'));
+
+    const { rows } = await readCsvFile(file, dialect);
+    assert.deepEqual(rows.map(r => [r.date, r.project, r.hours]), [
+      ['2026-02-14', 'a;b', '1.5'],
+      ['2026-02-15', 'c', '0.25'],
+    ]);
+  });
+});
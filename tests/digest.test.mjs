@@ -0,0 +1,89 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { formatDuration, textChart, renderDigest } from '../scripts/lib/digest.mjs';
+
+const DATA = {
+  date: '2026-02-11',
+  today: { date: '2026-02-11', seconds: 5400, hours: 1.5 },
+  yesterday: { date: '2026-02-10', seconds: 7200, hours: 2 },
+  week: { period: '2026-W07', start: '2026-02-09', end: '2026-02-11', seconds: 12600, hours: 3.5, active_days: 2, previous_seconds: 3600, previous_hours: 1 },
+  streak: { current: 2, longest: 5 },
+  projects: [
+    { name: 'alpha', seconds: 9000, hours: 2.5, percent: 71.4 },
+    { name: '<beta>', seconds: 3600, hours: 1, percent: 28.6 },
+  ],
+  languages: [],
+};
+
+// ── formatting ─────────────────────────────────────────────────
+
+describe('formatDuration', () => {
+  it('should show hours and minutes', () => {
+    assert.equal(formatDuration(5400), '1h 30m');
+    assert.equal(formatDuration(7200), '2h 0m');
+    assert.equal(formatDuration(45 * 60 + 20), '45m');
+    assert.equal(formatDuration(0), '0m');
+    assert.equal(formatDuration(-1800), '-30m');
+  });
+});
+
+describe('textChart', () => {
+  it('should draw aligned bars scaled to the top item', () => {
+    assert.equal(textChart(DATA.projects), [
+      '```',
+      `alpha   ${'█'.repeat(20)}  2h 30m  71.4%`,
+      `<beta>  ${'█'.repeat(8)}${'░'.repeat(12)}   1h 0m  28.6%`,
+      '```',
+    ].join('\n'));
+    assert.equal(textChart([]), '_No activity._');
+  });
+});
+
+// ── templates ──────────────────────────────────────────────────
+
+describe('renderDigest', () => {
+  let tmpDir;
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wakapi-digest-'));
+  });
+
+  after(async () => {
+    if (tmpDir) await fs.rm(tmpDir, { recursive: true });
+  });
+
+  it('should render the built-in Markdown and HTML templates', async () => {
+    const { markdown, html } = await renderDigest(DATA);
+    assert.match(markdown, /^## Coding digest for 2026-02-11$/m);
+    assert.match(markdown, /^- \*\*Today:\*\* 1h 30m \(-30m vs\. yesterday's 2h 0m\)$/m);
+    assert.match(markdown, /^- \*\*Week 2026-W07\*\* \(since 2026-02-09\): 3h 30m on 2 active day\(s\), \+2h 30m vs\. last week/m);
+    assert.match(markdown, /^- \*\*Streak:\*\* 2 day\(s\) \(longest 5\)$/m);
+    assert.match(markdown, /### Top languages this week\n_No activity\._/);
+
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /<th>&lt;beta&gt;<\/th><td class="bar"><span style="width: 40%"><\/span><\/td><td>1h 0m<\/td><td>28\.6%<\/td>/);
+    assert.doesNotMatch(html, /\{\{/);
+  });
+
+  it('should take templates from a directory and fall back per file', async () => {
+    const dir = path.join(tmpDir, 'custom');
+    await fs.mkdir(dir);
+    await fs.writeFile(path.join(dir, 'digest.md'), '{{ date }}: {{today}} / streak {{streak_current}}\n{{projects}}\n');
+    const { markdown, html } = await renderDigest(DATA, { templatesDir: dir });
+    assert.match(markdown, /^2026-02-11: 1h 30m \/ streak 2\n```\nalpha/);
+    assert.match(html, /<title>Coding digest for 2026-02-11<\/title>/);
+  });
+
+  it('should reject unknown placeholders', async () => {
+    const dir = path.join(tmpDir, 'typo');
+    await fs.mkdir(dir);
+    await fs.writeFile(path.join(dir, 'digest.html'), '<p>{{todya}}</p>');
+    await assert.rejects(renderDigest(DATA, { templatesDir: dir }), {
+      name: 'ConfigError', message: /Unknown placeholder \{\{todya\}\} in .*digest\.html/,
+    });
+  });
+});
@@ -11,7 +11,16 @@ import {
   parseCsvSimple,
   toHours,
   pickTop,
+  extractSummariesByDate,
+  buildDayRows,
+  writeDays,
+  addProjectLanguages,
+  addDurations,
+  addHeartbeats,
+  createCsvSink,
 } from '../scripts/wakapi-daily-summary.mjs';
+import { loadRules } from '../scripts/lib/rules.mjs';
+import { startServer, runScript } from './helpers.mjs';
 
 // ── Fixtures ───────────────────────────────────────────────
 
@@ -242,3 +251,411 @@ describe('E2E: summaries fallback → CSV', () => {
     assert.equal(rows[1].project, 'cli-tool');
   });
 });
+
+// ── E2E: backfill range ────────────────────────────────────
+
+describe('E2E: backfill summaries range → CSV', () => {
+  let tmpDir;
+
+  const RANGE_FIXTURE = {
+    data: [
+      { ...SUMMARIES_FIXTURE.data[0], range: { date: '2026-02-10T00:00:00Z' } },
+      { grand_total: { total_seconds: 0 }, projects: [], languages: [], range: { date: '2026-02-11T00:00:00Z' } },
+      {
+        grand_total: { total_seconds: 1800 },
+        projects: [{ name: 'webapp', total_seconds: 1800, percent: 100 }],
+        languages: [{ name: 'Go', total_seconds: 1800, percent: 100 }],
+        range: { date: '2026-02-12T00:00:00Z' },
+      },
+    ],
+  };
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wakapi-e2e-backfill-'));
+  });
+
+  after(async () => {
+    if (tmpDir) await fs.rm(tmpDir, { recursive: true });
+  });
+
+  it('should write one set of rows per day, including zero days', async () => {
+    const config = { TOP_N_PROJECTS: 10, TOP_N_LANGUAGES: 10 };
+    const byDate = extractSummariesByDate(RANGE_FIXTURE, '2026-02-10');
+    const empty = { totalSeconds: 0, projects: [], languages: [] };
+    const days = ['2026-02-10', '2026-02-11', '2026-02-12', '2026-02-13']
+      .map(date => buildDayRows(date, byDate.get(date) ?? empty, config));
+
+    await writeDays(createCsvSink(tmpDir), days);
+
+    const totals = parseCsvSimple(await fs.readFile(path.join(tmpDir, 'daily-total.csv'), 'utf8')).rows;
+    assert.deepEqual(totals.map(r => [r.date, r.total_seconds]), [
+      ['2026-02-10', '3600'],
+      ['2026-02-11', '0'],
+      ['2026-02-12', '1800'],
+      ['2026-02-13', '0'],
+    ]);
+
+    const projects = parseCsvSimple(await fs.readFile(path.join(tmpDir, 'daily-top-projects.csv'), 'utf8')).rows;
+    assert.deepEqual(projects.map(r => [r.date, r.rank, r.project]), [
+      ['2026-02-10', '1', 'webapp'],
+      ['2026-02-10', '2', 'cli-tool'],
+      ['2026-02-12', '1', 'webapp'],
+    ]);
+  });
+
+  it('should replace stale ranks when a day is re-synced with fewer entries', async () => {
+    const config = { TOP_N_PROJECTS: 10, TOP_N_LANGUAGES: 10 };
+    const day = buildDayRows('2026-02-10', {
+      totalSeconds: 100,
+      projects: [{ name: 'webapp', seconds: 100 }],
+      languages: [],
+    }, config);
+
+    await writeDays(createCsvSink(tmpDir), [day]);
+
+    const projects = parseCsvSimple(await fs.readFile(path.join(tmpDir, 'daily-top-projects.csv'), 'utf8')).rows;
+    assert.deepEqual(projects.filter(r => r.date === '2026-02-10').map(r => r.project), ['webapp']);
+  });
+});
+
+// ── E2E: dimension breakdowns ──────────────────────────────
+
+describe('E2E: dimension breakdowns → CSV', () => {
+  let tmpDir;
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wakapi-e2e-dims-'));
+  });
+
+  after(async () => {
+    if (tmpDir) await fs.rm(tmpDir, { recursive: true });
+  });
+
+  it('should write one file per selected dimension', async () => {
+    const config = { TOP_N_PROJECTS: 10, TOP_N_LANGUAGES: 10, DIMENSIONS: ['editors', 'operating_systems'], TOP_N_DIMENSIONS: 10 };
+    const stats = extractFromSummariesToday({
+      data: [{
+        ...SUMMARIES_FIXTURE.data[0],
+        editors: [{ name: 'Neovim', total_seconds: 2600, percent: 72.2 }, { name: 'VS Code', total_seconds: 1000, percent: 27.8 }],
+        operating_systems: [{ name: 'Linux', total_seconds: 3600, percent: 100 }],
+        machines: [{ name: 'laptop', total_seconds: 3600, percent: 100 }],
+      }],
+    });
+
+    await writeDays(createCsvSink(tmpDir), [buildDayRows('2026-02-14', stats, config)]);
+
+    const editors = parseCsvSimple(await fs.readFile(path.join(tmpDir, 'daily-top-editors.csv'), 'utf8'));
+    assert.deepEqual(editors.header, ['date', 'rank', 'name', 'seconds', 'hours', 'percent']);
+    assert.deepEqual(editors.rows.map(r => r.name), ['Neovim', 'VS Code']);
+
+    const os_ = parseCsvSimple(await fs.readFile(path.join(tmpDir, 'daily-top-operating-systems.csv'), 'utf8'));
+    assert.equal(os_.rows[0].name, 'Linux');
+
+    await assert.rejects(fs.stat(path.join(tmpDir, 'daily-top-machines.csv')), { code: 'ENOENT' });
+  });
+});
+
+// ── E2E: project × language ────────────────────────────────
+
+describe('E2E: project-filtered summaries → daily-project-languages.csv', () => {
+  let tmpDir;
+  let stub;
+  const requests = [];
+
+  const BY_PROJECT = {
+    webapp: [
+      { name: 'TypeScript', total_seconds: 2000 },
+      { name: 'CSS', total_seconds: 400 },
+    ],
+    'cli-tool': [
+      { name: 'Go', total_seconds: 1200 },
+    ],
+  };
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wakapi-e2e-projlang-'));
+    stub = await startServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push(url);
+      const project = url.searchParams.get('project');
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({
+        data: [{
+          grand_total: { total_seconds: 0 },
+          languages: BY_PROJECT[project] ?? [],
+          range: { date: `${url.searchParams.get('start')}T00:00:00Z` },
+        }],
+      }));
+    });
+  });
+
+  after(async () => {
+    await stub.close();
+    if (tmpDir) await fs.rm(tmpDir, { recursive: true });
+  });
+
+  it('should query each top project and write (date, project, language) rows', async () => {
+    const config = {
+      WAKAPI_URL: `${stub.url}/`,
+      WAKAPI_API_KEY: 'test',
+      TOP_N_PROJECTS: 10,
+      TOP_N_LANGUAGES: 10,
+      PROJECT_LANGUAGES: true,
+    };
+    const day = buildDayRows('2026-02-14', extractFromSummariesToday(SUMMARIES_FIXTURE), config);
+
+    await addProjectLanguages(config, '2026-02-14', '2026-02-14', [day]);
+    await writeDays(createCsvSink(tmpDir), [day]);
+
+    assert.deepEqual(requests.map(u => u.searchParams.get('project')), ['webapp', 'cli-tool']);
+
+    const { header, rows } = parseCsvSimple(await fs.readFile(path.join(tmpDir, 'daily-project-languages.csv'), 'utf8'));
+    assert.deepEqual(header, ['date', 'project', 'language', 'seconds', 'hours']);
+    assert.deepEqual(rows.map(r => [r.project, r.language, r.seconds]), [
+      ['webapp', 'TypeScript', '2000'],
+      ['webapp', 'CSS', '400'],
+      ['cli-tool', 'Go', '1200'],
+    ]);
+  });
+
+  it('should leave the file untouched when disabled', async () => {
+    const config = { TOP_N_PROJECTS: 10, TOP_N_LANGUAGES: 10 };
+    const day = buildDayRows('2026-02-15', extractFromSummariesToday(SUMMARIES_FIXTURE), config);
+
+    await addProjectLanguages(config, '2026-02-15', '2026-02-15', [day]);
+    await writeDays(createCsvSink(tmpDir), [day]);
+
+    const { rows } = parseCsvSimple(await fs.readFile(path.join(tmpDir, 'daily-project-languages.csv'), 'utf8'));
+    assert.ok(rows.every(r => r.date === '2026-02-14'));
+  });
+
+  it('should query every project merged by a group rule and merge their languages', async () => {
+    const rulesFile = path.join(tmpDir, 'rules.json');
+    await fs.writeFile(rulesFile, JSON.stringify({
+      projects: [{ glob: '*', group: 'work' }],
+      languages: [{ exact: 'Go', rename: 'TypeScript' }],
+    }));
+    const config = {
+      WAKAPI_URL: `${stub.url}/`,
+      WAKAPI_API_KEY: 'test',
+      TOP_N_PROJECTS: 10,
+      TOP_N_LANGUAGES: 10,
+      PROJECT_LANGUAGES: true,
+      RULES: loadRules(rulesFile),
+    };
+    const day = buildDayRows('2026-02-16', extractFromSummariesToday(SUMMARIES_FIXTURE), config);
+    requests.length = 0;
+
+    await addProjectLanguages(config, '2026-02-16', '2026-02-16', [day]);
+
+    assert.deepEqual(day.projects.map(r => [r.project, r.seconds, r.percent]), [['work', '3600', '100']]);
+    assert.deepEqual(requests.map(u => u.searchParams.get('project')), ['webapp', 'cli-tool']);
+    assert.deepEqual(day.projectLanguages.map(r => [r.project, r.language, r.seconds]), [
+      ['work', 'TypeScript', '3200'],
+      ['work', 'CSS', '400'],
+    ]);
+  });
+});
+
+// ── E2E: durations ─────────────────────────────────────────
+
+describe('E2E: durations → hourly and sessions CSVs', () => {
+  let tmpDir;
+  let stub;
+
+  const DURATIONS_FIXTURE = {
+    data: [
+      { project: 'webapp', time: Date.parse('2026-02-14T09:40:00Z') / 1000, duration: 1200 },
+      { project: 'cli-tool', time: Date.parse('2026-02-14T13:00:00Z') / 1000, duration: 600 },
+    ],
+  };
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wakapi-e2e-durations-'));
+    stub = await startServer((req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(DURATIONS_FIXTURE));
+    });
+  });
+
+  after(async () => {
+    await stub.close();
+    if (tmpDir) await fs.rm(tmpDir, { recursive: true });
+  });
+
+  it('should write 24 hourly buckets, per-project hours and sessions', async () => {
+    const config = {
+      WAKAPI_URL: stub.url,
+      WAKAPI_API_KEY: 'test',
+      TOP_N_PROJECTS: 10,
+      TOP_N_LANGUAGES: 10,
+      TIMEZONE: 'UTC',
+      DURATIONS: true,
+      HOURLY_BY_PROJECT: true,
+    };
+    const day = buildDayRows('2026-02-14', extractFromSummariesToday(SUMMARIES_FIXTURE), config);
+
+    await addDurations(config, [day]);
+    await writeDays(createCsvSink(tmpDir), [day]);
+
+    const hourly = parseCsvSimple(await fs.readFile(path.join(tmpDir, 'daily-hourly.csv'), 'utf8')).rows;
+    assert.equal(hourly.length, 24);
+    assert.equal(hourly[9].seconds, '1200');
+    assert.equal(hourly[13].seconds, '600');
+
+    const byProject = parseCsvSimple(await fs.readFile(path.join(tmpDir, 'daily-hourly-projects.csv'), 'utf8')).rows;
+    assert.deepEqual(byProject.map(r => [r.hour, r.project]), [['9', 'webapp'], ['13', 'cli-tool']]);
+
+    const sessions = parseCsvSimple(await fs.readFile(path.join(tmpDir, 'daily-sessions.csv'), 'utf8')).rows;
+    assert.deepEqual(sessions.map(r => [r.start, r.end, r.seconds, r.project]), [
+      ['2026-02-14T09:40:00+00:00', '2026-02-14T10:00:00+00:00', '1200', 'webapp'],
+      ['2026-02-14T13:00:00+00:00', '2026-02-14T13:10:00+00:00', '600', 'cli-tool'],
+    ]);
+  });
+
+  it('should rename projects and drop excluded ones from sessions and per-project hours', async () => {
+    const rulesFile = path.join(tmpDir, 'rules.json');
+    await fs.writeFile(rulesFile, JSON.stringify({
+      projects: [{ exact: 'webapp', rename: 'web' }, { glob: 'cli-*', exclude: true }],
+    }));
+    const config = {
+      WAKAPI_URL: stub.url,
+      WAKAPI_API_KEY: 'test',
+      TOP_N_PROJECTS: 10,
+      TOP_N_LANGUAGES: 10,
+      TIMEZONE: 'UTC',
+      DURATIONS: true,
+      HOURLY_BY_PROJECT: true,
+      RULES: loadRules(rulesFile),
+    };
+    const day = buildDayRows('2026-02-14', extractFromSummariesToday(SUMMARIES_FIXTURE), config);
+
+    await addDurations(config, [day]);
+
+    assert.equal(day.hourly[13].seconds, '600');
+    assert.deepEqual(day.hourlyProjects.map(r => [r.hour, r.project]), [['9', 'web']]);
+    assert.deepEqual(day.sessions.map(r => r.project), ['web']);
+    assert.deepEqual(day.projects.map(r => [r.project, r.percent]), [['web', '100']]);
+    assert.equal(day.total[0].total_seconds, '3600');
+  });
+});
+
+// ── E2E: heartbeats ────────────────────────────────────────
+
+describe('E2E: heartbeats → archive', () => {
+  let tmpDir;
+  let stub;
+
+  const at = (hhmm) => Date.parse(`2026-02-14T${hhmm}:00Z`) / 1000;
+  const HEARTBEATS_FIXTURE = {
+    data: [
+      { time: at('09:00'), type: 'file', project: 'webapp', entity: '/src/webapp/app.ts' },
+      { time: at('09:05'), type: 'file', project: 'webapp', entity: '/src/webapp/app.ts' },
+      { id: 'c1', time: at('09:10'), type: 'file', project: 'cli-tool', entity: '/src/cli-tool/main.go' },
+    ],
+  };
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wakapi-e2e-heartbeats-'));
+    stub = await startServer((req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(HEARTBEATS_FIXTURE));
+    });
+  });
+
+  after(async () => {
+    await stub.close();
+    if (tmpDir) await fs.rm(tmpDir, { recursive: true });
+  });
+
+  it('should rename projects and keep excluded ones out of the archive', async () => {
+    const rulesFile = path.join(tmpDir, 'rules.json');
+    await fs.writeFile(rulesFile, JSON.stringify({
+      projects: [{ exact: 'webapp', rename: 'web' }, { glob: 'cli-*', exclude: true }],
+    }));
+    const config = {
+      WAKAPI_URL: stub.url,
+      WAKAPI_API_KEY: 'test',
+      OUT_DIR: tmpDir,
+      TOP_N_PROJECTS: 10,
+      TOP_N_LANGUAGES: 10,
+      HEARTBEATS: true,
+      HEARTBEAT_TIMEOUT: 600,
+      RULES: loadRules(rulesFile),
+    };
+    // Archived by an earlier sync, before the rules existed.
+    const file = path.join(tmpDir, 'heartbeats', '2026-02-14.ndjson');
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, [HEARTBEATS_FIXTURE.data[0], HEARTBEATS_FIXTURE.data[2]].map(h => JSON.stringify(h) + '\n').join(''));
+    const day = buildDayRows('2026-02-14', extractFromSummariesToday(SUMMARIES_FIXTURE), config);
+
+    await addHeartbeats(config, [day]);
+
+    const archived = (await fs.readFile(file, 'utf8')).split('\n').filter(Boolean).map(line => JSON.parse(line));
+    assert.deepEqual(archived.map(h => [h.time, h.project]), [[at('09:00'), 'web'], [at('09:05'), 'web']]);
+    assert.doesNotMatch(await fs.readFile(file, 'utf8'), /cli-tool|"webapp"/);
+    assert.equal(day.heartbeatCheck[0].local_seconds, '300');
+  });
+});
+
+// ── E2E: WakaTime provider ─────────────────────────────────
+
+describe('E2E: WakaTime provider with query auth → CSV', () => {
+  let tmpDir;
+  let stub;
+  const requests = [];
+
+  // Shape of wakatime.com's /status_bar/today: fractional seconds, and
+  // hours/minutes/seconds components next to each total.
+  const WAKATIME_STATUS_BAR = {
+    data: {
+      grand_total: { total_seconds: 9000.6, hours: 2, minutes: 30, digital: '2:30', text: '2 hrs 30 mins' },
+      projects: [
+        { name: 'webapp', total_seconds: 5400.4, hours: 1, minutes: 30, seconds: 0, percent: 60 },
+        { name: 'cli-tool', total_seconds: 3600.2, hours: 1, minutes: 0, seconds: 0, percent: 40 },
+      ],
+      languages: [{ name: 'TypeScript', total_seconds: 9000.6, hours: 2, minutes: 30, seconds: 0, percent: 100 }],
+      range: { date: '2026-02-14', text: 'Today', timezone: 'UTC' },
+    },
+  };
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wakapi-e2e-wakatime-'));
+    stub = await startServer((req, res) => {
+      requests.push({ url: new URL(req.url, 'http://localhost'), headers: req.headers });
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(req.url.includes('/status_bar/today') ? WAKATIME_STATUS_BAR : { data: [] }));
+    });
+  });
+
+  after(async () => {
+    await stub.close();
+    if (tmpDir) await fs.rm(tmpDir, { recursive: true });
+  });
+
+  it('should use the status_bar path, send the key as a query parameter and round seconds', async () => {
+    const env = {
+      WAKAPI_PROVIDER: 'wakatime',
+      WAKAPI_URL: stub.url,
+      WAKAPI_AUTH: 'query',
+      WAKAPI_API_KEY: 'waka_secret',
+      WAKAPI_OUT_DIR: tmpDir,
+      WAKAPI_TIMEZONE: 'UTC',
+      WAKAPI_REFRESH_DAYS: '0',
+      WAKAPI_CATCHUP_MAX_DAYS: '0',
+    };
+    const { code, stdout, stderr } = await runScript([], env);
+    assert.equal(code, 0, stderr);
+    assert.doesNotMatch(stdout + stderr, /waka_secret/);
+
+    const statusBar = requests.find(r => r.url.pathname === '/api/v1/users/current/status_bar/today');
+    assert.ok(statusBar, 'requested status_bar/today');
+    assert.equal(statusBar.url.searchParams.get('api_key'), 'waka_secret');
+    assert.equal(statusBar.headers.authorization, undefined);
+
+    const total = parseCsvSimple(await fs.readFile(path.join(tmpDir, 'daily-total.csv'), 'utf8')).rows;
+    assert.deepEqual(total.map(r => [r.total_seconds, r.total_hours]), [['9001', '2.5']]);
+    const projects = parseCsvSimple(await fs.readFile(path.join(tmpDir, 'daily-top-projects.csv'), 'utf8')).rows;
+    assert.deepEqual(projects.map(r => [r.project, r.seconds]), [['webapp', '5400'], ['cli-tool', '3600']]);
+  });
+});
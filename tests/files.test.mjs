@@ -0,0 +1,140 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import {
+  LOCK_FILE,
+  writeFileAtomic,
+  createStagedWriter,
+  acquireLock,
+} from '../scripts/lib/files.mjs';
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wakapi-files-'));
+});
+
+after(async () => {
+  if (tmpDir) await fs.rm(tmpDir, { recursive: true });
+});
+
+// ── atomic writes ──────────────────────────────────────────────
+
+describe('writeFileAtomic', () => {
+  it('should replace the file and leave no temp file behind', async () => {
+    const file = path.join(tmpDir, 'atomic', 'daily-total.csv');
+    await writeFileAtomic(file, 'old\n');
+    await writeFileAtomic(file, 'new\n');
+    assert.equal(await fs.readFile(file, 'utf8'), 'new\n');
+    assert.deepEqual(await fs.readdir(path.dirname(file)), ['daily-total.csv']);
+  });
+
+  it('should create the file with the given mode, replacing a wider one', async () => {
+    const file = path.join(tmpDir, 'atomic', 'private.json');
+    await fs.writeFile(file, '{}\n', { mode: 0o644 });
+    await fs.chmod(file, 0o644);
+    await writeFileAtomic(file, '{"a":1}\n', { mode: 0o600 });
+    assert.equal((await fs.stat(file)).mode & 0o777, 0o600);
+    assert.equal(await fs.readFile(file, 'utf8'), '{"a":1}\n');
+  });
+});
+
+describe('createStagedWriter', () => {
+  it('should expose staged content through source() and publish it on commit()', async () => {
+    const file = path.join(tmpDir, 'staged.csv');
+    await fs.writeFile(file, 'old\n');
+    const writer = createStagedWriter();
+
+    await writer.write(file, 'new\n');
+    assert.equal(await fs.readFile(file, 'utf8'), 'old\n');
+    assert.equal(await fs.readFile(writer.source(file), 'utf8'), 'new\n');
+
+    await writer.commit();
+    assert.equal(await fs.readFile(file, 'utf8'), 'new\n');
+    assert.equal(writer.source(file), file);
+  });
+
+  it('should leave every target untouched on rollback()', async () => {
+    const dir = path.join(tmpDir, 'rollback');
+    await fs.mkdir(dir);
+    await fs.writeFile(path.join(dir, 'a.csv'), 'a\n');
+    const writer = createStagedWriter();
+
+    await writer.write(path.join(dir, 'a.csv'), 'changed\n');
+    await writer.write(path.join(dir, 'b.csv'), 'created\n');
+    await writer.rollback();
+
+    assert.deepEqual((await fs.readdir(dir)).sort(), ['a.csv']);
+    assert.equal(await fs.readFile(path.join(dir, 'a.csv'), 'utf8'), 'a\n');
+  });
+});
+
+// ── lock ───────────────────────────────────────────────────────
+
+describe('acquireLock', () => {
+  it('should refuse a second holder until the first releases', async () => {
+    const dir = path.join(tmpDir, 'lock');
+    const release = await acquireLock(dir);
+    await assert.rejects(acquireLock(dir), { name: 'LockError', exitCode: 75, message: /Another sync is running/ });
+
+    await release();
+    await assert.rejects(fs.stat(path.join(dir, LOCK_FILE)), { code: 'ENOENT' });
+    await (await acquireLock(dir))();
+  });
+
+  it('should take over a lock whose process is gone', async () => {
+    const dir = path.join(tmpDir, 'stale-pid');
+    await fs.mkdir(dir);
+    const dead = { pid: 2 ** 30, host: os.hostname(), started: '2026-02-14T00:00:00.000Z' };
+    await fs.writeFile(path.join(dir, LOCK_FILE), JSON.stringify(dead));
+
+    const release = await acquireLock(dir);
+    const owner = JSON.parse(await fs.readFile(path.join(dir, LOCK_FILE), 'utf8'));
+    assert.equal(owner.pid, process.pid);
+    await release();
+  });
+
+  it('should not remove a lock another run took over in the meantime', async (t) => {
+    const dir = path.join(tmpDir, 'stale-race');
+    await fs.mkdir(dir);
+    const file = path.join(dir, LOCK_FILE);
+    const dead = { pid: 2 ** 30, host: os.hostname(), started: '2026-02-14T00:00:00.000Z' };
+    await fs.writeFile(file, JSON.stringify(dead));
+
+    // Run B reads the stale lock; before it acts on that, run A takes it over.
+    let first;
+    const readFile = fs.readFile;
+    t.mock.method(fs, 'readFile', async (...args) => {
+      const content = await readFile(...args);
+      if (args[0] === file && !first) {
+        first = acquireLock(dir);
+        await first.catch(() => {});
+      }
+      return content;
+    });
+
+    await assert.rejects(acquireLock(dir), { name: 'LockError' });
+    const release = await first;
+    t.mock.restoreAll();
+    assert.equal(JSON.parse(await fs.readFile(file, 'utf8')).pid, process.pid, 'A still holds its lock');
+    assert.deepEqual(await fs.readdir(dir), [LOCK_FILE], 'no renamed lock left behind');
+    await release();
+    assert.deepEqual(await fs.readdir(dir), []);
+  });
+
+  it('should judge locks from other hosts by age', async () => {
+    const dir = path.join(tmpDir, 'stale-host');
+    await fs.mkdir(dir);
+    const file = path.join(dir, LOCK_FILE);
+    await fs.writeFile(file, JSON.stringify({ pid: 1, host: 'elsewhere', started: '2026-02-14T00:00:00.000Z' }));
+
+    await assert.rejects(acquireLock(dir), { name: 'LockError' });
+
+    const old = new Date(Date.now() - 7 * 60 * 60 * 1000);
+    await fs.utimes(file, old, old);
+    await (await acquireLock(dir))();
+  });
+});
@@ -0,0 +1,188 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { loadGoals, goalStatus } from '../scripts/lib/goals.mjs';
+import { addDays, getConfig, ymdInZone } from '../scripts/wakapi-daily-summary.mjs';
+import { startServer, runScript } from './helpers.mjs';
+
+const YESTERDAY = addDays(ymdInZone(new Date(), 'UTC'), -1);
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wakapi-goals-'));
+});
+
+after(async () => {
+  if (tmpDir) await fs.rm(tmpDir, { recursive: true });
+});
+
+async function goalsFile(name, goals) {
+  const file = path.join(tmpDir, `${name}.json`);
+  await fs.writeFile(file, JSON.stringify(goals));
+  return file;
+}
+
+// ── definitions ────────────────────────────────────────────────
+
+describe('loadGoals', () => {
+  it('should accept an array or { goals } and fill in defaults', async () => {
+    const goal = { name: 'daily', period: 'day', min_hours: 2 };
+    const expected = [{ name: 'daily', period: 'day', min_hours: 2, max_hours: null, project: null, language: null }];
+    assert.deepEqual(loadGoals(await goalsFile('array', [goal])), expected);
+    assert.deepEqual(loadGoals(await goalsFile('object', { goals: [goal] })), expected);
+  });
+
+  it('should reject invalid definitions with a ConfigError', async () => {
+    for (const [goals, message] of [
+      [[{ period: 'day', min_hours: 1 }], /goal 1 needs a "name"/],
+      [[{ name: 'a', period: 'month', min_hours: 1 }], /invalid "period": month/],
+      [[{ name: 'a', period: 'day' }], /needs "min_hours" and\/or "max_hours"/],
+      [[{ name: 'a', period: 'day', min_hours: '2' }], /invalid "min_hours"/],
+      [[{ name: 'a', period: 'day', min_hours: 3, max_hours: 2 }], /"min_hours" above "max_hours"/],
+      [[{ name: 'a', period: 'day', min_hours: 1, project: 'x', language: 'Go' }], /"project" or "language", not both/],
+      [[{ name: 'a', period: 'day', min_hours: 1 }, { name: 'a', period: 'week', max_hours: 1 }], /"a" is used twice/],
+      [{ daily: 2 }, /must hold an array of goals/],
+    ]) {
+      const file = path.join(tmpDir, 'invalid.json');
+      await fs.writeFile(file, JSON.stringify(goals));
+      assert.throws(() => loadGoals(file), { name: 'ConfigError', message });
+    }
+  });
+
+  it('should be read by getConfig from WAKAPI_GOALS', async () => {
+    const file = await goalsFile('config', [{ name: 'weekly', period: 'week', max_hours: 40 }]);
+    const env = { WAKAPI_OUT_DIR: '/out', WAKAPI_GOALS: file };
+    assert.equal(getConfig({ requireApi: false, env }).GOALS[0].name, 'weekly');
+    assert.throws(() => getConfig({ requireApi: false, env: { ...env, WAKAPI_GOALS: path.join(tmpDir, 'nope.json') } }), {
+      name: 'ConfigError', message: /Cannot read WAKAPI_GOALS file .*nope\.json: ENOENT/,
+    });
+    assert.throws(() => getConfig({ requireApi: false, env: { ...env, WAKAPI_GOALS_WEBHOOK: 'hooks.example.com' } }), {
+      name: 'ConfigError', message: /Invalid WAKAPI_GOALS_WEBHOOK/,
+    });
+  });
+});
+
+describe('goalStatus', () => {
+  const min = { min_hours: 2, max_hours: null };
+  const max = { min_hours: null, max_hours: 8 };
+
+  it('should only miss a minimum once the period is over', () => {
+    assert.equal(goalStatus(min, 3600, false), 'pending');
+    assert.equal(goalStatus(min, 3600, true), 'missed');
+    assert.equal(goalStatus(min, 7200, false), 'met');
+  });
+
+  it('should miss a maximum as soon as it is exceeded', () => {
+    assert.equal(goalStatus(max, 8 * 3600 + 1, false), 'missed');
+    assert.equal(goalStatus(max, 3600, false), 'pending');
+    assert.equal(goalStatus(max, 3600, true), 'met');
+  });
+});
+
+// ── after a sync ───────────────────────────────────────────────
+
+describe('sync with goals', () => {
+  let stub;
+  let hooks;
+  let hookStatus;
+
+  before(async () => {
+    stub = await startServer(async (req, res) => {
+      const u = new URL(req.url, 'http://x');
+      res.setHeader('Content-Type', 'application/json');
+      if (u.pathname === '/hook') {
+        let body = '';
+        for await (const chunk of req) body += chunk;
+        hooks.push(JSON.parse(body));
+        res.statusCode = hookStatus;
+        return res.end('ok');
+      }
+      // Every day: 1.5h total, alpha 1h, beta 0.5h, all Go.
+      const day = {
+        grand_total: { total_seconds: 5400 },
+        projects: [{ name: 'alpha', total_seconds: 3600 }, { name: 'beta', total_seconds: 1800 }],
+        languages: [{ name: 'Go', total_seconds: 5400 }],
+        range: { date: `${u.searchParams.get('start')}T00:00:00Z` },
+      };
+      if (u.pathname.endsWith('/summaries')) return res.end(JSON.stringify({ data: [day] }));
+      res.statusCode = 404;
+      res.end('{}');
+    });
+  });
+
+  after(async () => {
+    await stub.close();
+  });
+
+  beforeEach(() => {
+    hooks = [];
+    hookStatus = 200;
+  });
+
+  function run(args, env) {
+    return runScript(['sync', '--date', YESTERDAY, ...args], {
+      WAKAPI_URL: stub.url, WAKAPI_API_KEY: 'k', WAKAPI_TIMEZONE: 'UTC',
+      WAKAPI_HTTP_BACKOFF: '0', WAKAPI_HTTP_RETRIES: '0', WAKAPI_GOALS_WEBHOOK: `${stub.url}/hook`, ...env,
+    });
+  }
+
+  async function setup(name) {
+    const dir = path.join(tmpDir, name);
+    const goals = await goalsFile(`${name}-goals`, [
+      { name: 'daily', period: 'day', min_hours: 2 },
+      { name: 'alpha', period: 'day', project: 'alpha', min_hours: 0.5 },
+      { name: 'go-cap', period: 'day', language: 'Go', max_hours: 1 },
+    ]);
+    return { WAKAPI_OUT_DIR: dir, WAKAPI_GOALS: goals };
+  }
+
+  it('should write goals.csv, post newly missed goals and exit 5', async () => {
+    const env = await setup('missed');
+    const { code, stdout } = await run(['--json'], env);
+    assert.equal(code, 5);
+    assert.equal(JSON.parse(stdout).goals.missed, 2);
+
+    const csv = await fs.readFile(path.join(env.WAKAPI_OUT_DIR, 'goals.csv'), 'utf8');
+    assert.deepEqual(csv.trim().split('\n'), [
+      'period,goal,scope,min_hours,max_hours,actual_hours,status',
+      `${YESTERDAY},alpha,project:alpha,0.5,,1,met`,
+      `${YESTERDAY},daily,total,2,,1.5,missed`,
+      `${YESTERDAY},go-cap,language:Go,,1,1.5,missed`,
+    ]);
+    assert.equal(hooks.length, 1);
+    assert.deepEqual(hooks[0].missed.map(r => r.goal), ['daily', 'go-cap']);
+    assert.match(hooks[0].text, /^Missed coding goals:\n- daily \S+: 1\.5h \(total, min 2h\)/);
+
+    // Already reported: the exit code stays, the webhook is not called again.
+    assert.equal((await run([], env)).code, 5);
+    assert.equal(hooks.length, 1);
+  });
+
+  it('should exit 0 when every goal is met or pending', async () => {
+    const goals = await goalsFile('met-goals', [{ name: 'week', period: 'week', max_hours: 100 }]);
+    const { code, stderr } = await run([], { WAKAPI_OUT_DIR: path.join(tmpDir, 'met'), WAKAPI_GOALS: goals });
+    assert.equal(code, 0, stderr);
+    assert.deepEqual(hooks, []);
+  });
+
+  it('should not post in a dry run', async () => {
+    const env = await setup('dry-run');
+    assert.equal((await run(['--dry-run'], env)).code, 5);
+    assert.deepEqual(hooks, []);
+    await assert.rejects(fs.access(path.join(env.WAKAPI_OUT_DIR, 'goals.csv')), { code: 'ENOENT' });
+  });
+
+  it('should keep the sync when the webhook fails', async () => {
+    hookStatus = 500;
+    const env = await setup('hook-down');
+    const { code, stderr } = await run([], env);
+    assert.equal(code, 5);
+    assert.match(stderr, /Goals webhook failed \(HTTP 500\)/);
+    assert.doesNotMatch(stderr, /\/hook/);
+    assert.match(await fs.readFile(path.join(env.WAKAPI_OUT_DIR, 'daily-total.csv'), 'utf8'), /5400/);
+  });
+});
@@ -0,0 +1,40 @@
+/*
+  Shared by the tests that run the script against a local stub server.
+  Not a test file itself: `node --test tests/*.test.mjs` skips it.
+*/
+
+import http from 'node:http';
+import { execFile } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const SCRIPT = fileURLToPath(new URL('../scripts/wakapi-daily-summary.mjs', import.meta.url));
+
+async function startServer(handler) {
+  // Listens on a free local port; close() also drops open keep-alive and hanging connections.
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    server,
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
+
+function runScript(args, env = {}) {
+  // Runs the CLI with only PATH inherited, so the host's WAKAPI_* settings never leak in.
+  return new Promise(resolve => {
+    execFile(process.execPath, [SCRIPT, ...args], {
+      env: { PATH: process.env.PATH, ...env },
+      timeout: 20_000,
+    }, (error, stdout, stderr) => resolve({ code: error?.code ?? 0, stdout, stderr }));
+  });
+}
+
+export {
+  SCRIPT,
+  startServer,
+  runScript,
+};
@@ -0,0 +1,207 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs/promises';
+
+import {
+  EXIT_CODES,
+  httpJson,
+  postJson,
+  parseRetryAfter,
+  backoffDelay,
+} from '../scripts/lib/http.mjs';
+import { startServer, runScript } from './helpers.mjs';
+
+// Each test queues the responses the stub should give, in order.
+let stub;
+let url;
+let queue;
+let requests;
+
+before(async () => {
+  stub = await startServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    requests.push({ url: req.url, method: req.method, headers: req.headers, body });
+    const next = queue.shift() ?? { status: 200, body: {} };
+    if (next.hang) return; // never answer
+    res.writeHead(next.status, { 'Content-Type': 'application/json', ...next.headers });
+    res.end(typeof next.body === 'string' ? next.body : JSON.stringify(next.body ?? {}));
+  });
+  url = stub.url;
+});
+
+after(() => stub.close());
+
+beforeEach(() => {
+  queue = [];
+  requests = [];
+});
+
+// No real waiting in tests; record the delays instead.
+function fast(extra = {}) {
+  const delays = [];
+  return { delays, opts: { backoffMs: 10, sleep: async (ms) => { delays.push(ms); }, ...extra } };
+}
+
+// ── httpJson ───────────────────────────────────────────────────
+
+describe('httpJson', () => {
+  it('should return parsed JSON and send the given headers', async () => {
+    queue.push({ status: 200, body: { data: { ok: true } } });
+    const json = await httpJson(`${url}/api`, { headers: { Authorization: 'Basic eA==' } });
+    assert.deepEqual(json, { data: { ok: true } });
+    assert.equal(requests[0].headers.authorization, 'Basic eA==');
+    assert.equal(requests[0].headers.accept, 'application/json');
+  });
+
+  it('should retry 5xx responses with growing backoff', async () => {
+    queue.push({ status: 502 }, { status: 503 }, { status: 200, body: { n: 1 } });
+    const { delays, opts } = fast({ random: () => 1 });
+    assert.deepEqual(await httpJson(`${url}/api`, opts), { n: 1 });
+    assert.equal(requests.length, 3);
+    assert.deepEqual(delays, [10, 20]);
+  });
+
+  it('should give up after the configured retries with a temporary error', async () => {
+    queue.push({ status: 500 }, { status: 500 }, { status: 500 });
+    const { opts } = fast({ retries: 2 });
+    await assert.rejects(httpJson(`${url}/api`, opts), { name: 'ServerError', status: 500, exitCode: EXIT_CODES.TEMPORARY });
+    assert.equal(requests.length, 3);
+  });
+
+  it('should honor Retry-After on 429', async () => {
+    queue.push({ status: 429, headers: { 'Retry-After': '2' } }, { status: 200, body: {} });
+    const { delays, opts } = fast();
+    await httpJson(`${url}/api`, opts);
+    assert.deepEqual(delays, [2000]);
+  });
+
+  it('should not wait for a Retry-After beyond the limit', async () => {
+    queue.push({ status: 429, headers: { 'Retry-After': '3600' } });
+    const { delays, opts } = fast();
+    await assert.rejects(httpJson(`${url}/api`, opts), { name: 'RateLimitError', exitCode: EXIT_CODES.TEMPORARY });
+    assert.deepEqual(delays, []);
+  });
+
+  it('should fail fast on auth errors', async () => {
+    for (const status of [401, 403]) {
+      queue.push({ status, body: { error: 'unauthorized' } });
+      await assert.rejects(httpJson(`${url}/api`, fast().opts), { name: 'AuthError', status, exitCode: EXIT_CODES.AUTH });
+    }
+    assert.equal(requests.length, 2);
+  });
+
+  it('should fail fast on 404 and other client errors', async () => {
+    queue.push({ status: 404 }, { status: 400 });
+    await assert.rejects(httpJson(`${url}/nope`, fast().opts), { name: 'NotFoundError', exitCode: EXIT_CODES.NOT_FOUND });
+    await assert.rejects(httpJson(`${url}/bad`, fast().opts), { name: 'HttpError', status: 400, exitCode: EXIT_CODES.ERROR });
+    assert.equal(requests.length, 2);
+  });
+
+  it('should time out a hung server and retry', async () => {
+    queue.push({ hang: true }, { status: 200, body: { late: false } });
+    const { opts } = fast({ timeoutMs: 100 });
+    assert.deepEqual(await httpJson(`${url}/api`, opts), { late: false });
+    assert.equal(requests.length, 2);
+  });
+
+  it('should report a timeout once retries are used up', async () => {
+    queue.push({ hang: true });
+    await assert.rejects(httpJson(`${url}/api`, fast({ timeoutMs: 100, retries: 0 }).opts), {
+      name: 'TimeoutError', exitCode: EXIT_CODES.TEMPORARY,
+    });
+  });
+
+  it('should treat connection failures as network errors', async () => {
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const port = closed.address().port;
+    await new Promise(resolve => closed.close(resolve));
+
+    const { delays, opts } = fast({ retries: 1 });
+    await assert.rejects(httpJson(`http://127.0.0.1:${port}/api`, opts), { name: 'NetworkError', exitCode: EXIT_CODES.TEMPORARY });
+    assert.equal(delays.length, 1);
+  });
+
+  it('should reject a body that is not JSON', async () => {
+    queue.push({ status: 200, body: '<html>login</html>' });
+    await assert.rejects(httpJson(`${url}/api`, fast().opts), { name: 'HttpError', message: /Invalid JSON/ });
+  });
+});
+
+describe('postJson', () => {
+  it('should POST a JSON body and accept any response text', async () => {
+    queue.push({ status: 200, body: 'ok' });
+    assert.equal(await postJson(`${url}/hook`, { text: 'hi' }, fast().opts), 'ok');
+    assert.equal(requests[0].method, 'POST');
+    assert.equal(requests[0].headers['content-type'], 'application/json');
+    assert.deepEqual(JSON.parse(requests[0].body), { text: 'hi' });
+  });
+
+  it('should retry like httpJson', async () => {
+    queue.push({ status: 503 }, { status: 204, body: '' });
+    assert.equal(await postJson(`${url}/hook`, {}, fast().opts), '');
+    assert.equal(requests.length, 2);
+    assert.equal(requests[1].body, '{}');
+  });
+});
+
+// ── helpers ────────────────────────────────────────────────────
+
+describe('parseRetryAfter', () => {
+  it('should read delta-seconds and HTTP dates', () => {
+    const now = Date.parse('2026-02-14T00:00:00Z');
+    assert.equal(parseRetryAfter('5', now), 5000);
+    assert.equal(parseRetryAfter('Sat, 14 Feb 2026 00:00:30 GMT', now), 30000);
+    assert.equal(parseRetryAfter('Fri, 13 Feb 2026 00:00:00 GMT', now), 0);
+    assert.equal(parseRetryAfter(null, now), null);
+    assert.equal(parseRetryAfter('soon', now), null);
+  });
+});
+
+describe('backoffDelay', () => {
+  it('should double per attempt, stay within the cap and jitter the upper half', () => {
+    const opts = { backoffMs: 1000, maxBackoffMs: 5000 };
+    assert.equal(backoffDelay(0, opts, () => 0), 500);
+    assert.equal(backoffDelay(0, opts, () => 1), 1000);
+    assert.equal(backoffDelay(2, opts, () => 1), 4000);
+    assert.equal(backoffDelay(10, opts, () => 1), 5000);
+  });
+});
+
+// ── exit codes ─────────────────────────────────────────────────
+
+describe('exit codes', () => {
+  let tmpDir;
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wakapi-http-exit-'));
+  });
+
+  after(async () => {
+    if (tmpDir) await fs.rm(tmpDir, { recursive: true });
+  });
+
+  function run(env) {
+    return runScript([], {
+      WAKAPI_URL: url, WAKAPI_API_KEY: 'k', WAKAPI_OUT_DIR: tmpDir, WAKAPI_TIMEZONE: 'UTC',
+      WAKAPI_HTTP_BACKOFF: '0', ...env,
+    });
+  }
+
+  it('should exit 3 when the API key is rejected', async () => {
+    queue.push(...Array(5).fill({ status: 401 }));
+    const { code, stderr } = await run({ WAKAPI_CATCHUP_MAX_DAYS: '0', WAKAPI_REFRESH_DAYS: '0' });
+    assert.equal(code, 3);
+    assert.match(stderr, /HTTP 401/);
+  });
+
+  it('should exit 75 when the server keeps failing', async () => {
+    queue.push(...Array(5).fill({ status: 502 }));
+    const { code } = await run({ WAKAPI_CATCHUP_MAX_DAYS: '0', WAKAPI_REFRESH_DAYS: '0', WAKAPI_HTTP_RETRIES: '1' });
+    assert.equal(code, 75);
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { loadPrivacy } from '../scripts/lib/privacy.mjs';
+import { addDays, getConfig, ymdInZone } from '../scripts/wakapi-daily-summary.mjs';
+import { startServer, runScript } from './helpers.mjs';
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wakapi-privacy-'));
+});
+
+after(async () => {
+  if (tmpDir) await fs.rm(tmpDir, { recursive: true });
+});
+
+// ── labels ─────────────────────────────────────────────────────
+
+describe('loadPrivacy', () => {
+  it('should hash names stably once the salt is saved', async () => {
+    const mapFile = path.join(tmpDir, 'hash.json');
+    const first = await loadPrivacy({ mode: 'hash', mapFile, allow: ['public'] });
+    const label = first.project('secret-api');
+    assert.match(label, /^project-[0-9a-f]{10}$/);
+    assert.match(first.branch('feature/x'), /^branch-[0-9a-f]{10}$/);
+    assert.equal(first.project('public'), 'public');
+    assert.equal(first.project(''), '');
+    assert.equal(await first.save(), true);
+    assert.equal(await first.save(), false, 'nothing new to save');
+
+    const second = await loadPrivacy({ mode: 'hash', mapFile });
+    assert.equal(second.project('secret-api'), label);
+    const map = JSON.parse(await fs.readFile(mapFile, 'utf8'));
+    assert.equal(map.projects[label], 'secret-api');
+    assert.equal((await fs.stat(mapFile)).mode & 0o777, 0o600);
+  });
+
+  it('should number redacted names in order of first appearance', async () => {
+    const mapFile = path.join(tmpDir, 'redact.json');
+    const first = await loadPrivacy({ mode: 'redact', mapFile });
+    assert.deepEqual(['b', 'a', 'b'].map(first.project), ['project-1', 'project-2', 'project-1']);
+    await first.save();
+
+    const second = await loadPrivacy({ mode: 'redact', mapFile });
+    assert.deepEqual(['c', 'a'].map(second.project), ['project-3', 'project-2']);
+  });
+
+  it('should reject an unreadable map file', async () => {
+    const mapFile = path.join(tmpDir, 'broken.json');
+    await fs.writeFile(mapFile, '{');
+    await assert.rejects(loadPrivacy({ mode: 'hash', mapFile }), { name: 'ConfigError', message: /Invalid JSON in WAKAPI_PRIVACY_MAP/ });
+  });
+});
+
+describe('WAKAPI_PRIVACY', () => {
+  const env = { WAKAPI_OUT_DIR: '/data/out' };
+
+  it('should need a map file outside the output directory', () => {
+    assert.equal(getConfig({ requireApi: false, env }).PRIVACY, null);
+    const config = getConfig({ requireApi: false, env: { ...env, WAKAPI_PRIVACY: 'hash', WAKAPI_PRIVACY_MAP: '/data/private/map.json', WAKAPI_PRIVACY_ALLOW: 'oss,docs' } });
+    assert.deepEqual([config.PRIVACY, config.PRIVACY_ALLOW], ['hash', ['oss', 'docs']]);
+
+    for (const [extra, message] of [
+      [{ WAKAPI_PRIVACY: 'blur', WAKAPI_PRIVACY_MAP: '/m.json' }, /Unknown WAKAPI_PRIVACY: blur/],
+      [{ WAKAPI_PRIVACY: 'redact' }, /needs WAKAPI_PRIVACY_MAP/],
+      [{ WAKAPI_PRIVACY: 'redact', WAKAPI_PRIVACY_MAP: '/data/out/map.json' }, /must be outside WAKAPI_OUT_DIR/],
+    ]) {
+      assert.throws(() => getConfig({ requireApi: false, env: { ...env, ...extra } }), { name: 'ConfigError', message });
+    }
+  });
+});
+
+// ── every output ───────────────────────────────────────────────
+
+describe('privacy in a sync', () => {
+  let stub;
+  const date = addDays(ymdInZone(new Date(), 'UTC'), -1);
+  const at = (hh) => Date.parse(`${date}T${hh}:00:00Z`) / 1000;
+
+  before(async () => {
+    stub = await startServer((req, res) => {
+      const u = new URL(req.url, 'http://x');
+      res.setHeader('Content-Type', 'application/json');
+      const projects = u.searchParams.get('project') ? [] : [
+        { name: 'secret-api', total_seconds: 3600 }, { name: 'oss', total_seconds: 1800 },
+      ];
+      if (u.pathname.endsWith('/summaries')) {
+        return res.end(JSON.stringify({ data: [{
+          grand_total: { total_seconds: 5400 },
+          projects,
+          languages: [{ name: 'Go', total_seconds: 5400 }],
+          branches: [{ name: 'feature/acquisition', total_seconds: 5400 }],
+          range: { date: `${date}T00:00:00Z` },
+        }] }));
+      }
+      if (u.pathname.endsWith('/durations')) {
+        return res.end(JSON.stringify({ data: [{ project: 'secret-api', time: at('09'), duration: 3600 }] }));
+      }
+      if (u.pathname.endsWith('/heartbeats')) {
+        return res.end(JSON.stringify({ data: [
+          { id: 'h1', time: at('09'), project: 'secret-api', branch: 'feature/acquisition', entity: '/src/secret-api/main.go' },
+          { time: at('10'), type: 'file', project: 'secret-api', entity: '/src/secret-api/a.go' },
+          { time: at('10'), type: 'file', project: 'secret-api', entity: '/src/secret-api/b.go' },
+        ] }));
+      }
+      res.statusCode = 404;
+      res.end('{}');
+    });
+  });
+
+  after(async () => {
+    await stub.close();
+  });
+
+  it('should keep real names out of every file in the output directory', async () => {
+    const outDir = path.join(tmpDir, 'shared');
+    const mapFile = path.join(tmpDir, 'private', 'names.json');
+    const goalsFile = path.join(tmpDir, 'goals.json');
+    await fs.writeFile(goalsFile, JSON.stringify([{ name: 'focus', period: 'day', project: 'secret-api', min_hours: 0.5 }]));
+    // Archived before privacy was turned on; the sync should merge, not duplicate it.
+    const archive = path.join(outDir, 'heartbeats', `${date}.ndjson`);
+    await fs.mkdir(path.dirname(archive), { recursive: true });
+    await fs.writeFile(archive, JSON.stringify({ time: at('10'), type: 'file', project: 'secret-api', entity: '/src/secret-api/a.go' }) + '\n');
+    const { code, stderr } = await runScript(['sync', '--date', date], {
+      WAKAPI_URL: stub.url, WAKAPI_API_KEY: 'k', WAKAPI_OUT_DIR: outDir, WAKAPI_TIMEZONE: 'UTC',
+      WAKAPI_HTTP_BACKOFF: '0', WAKAPI_CATCHUP_MAX_DAYS: '0', WAKAPI_DIMENSIONS: 'branches', WAKAPI_PROJECT_LANGUAGES: '1',
+      WAKAPI_DURATIONS: '1', WAKAPI_HOURLY_BY_PROJECT: '1', WAKAPI_HEARTBEATS: '1', WAKAPI_ROLLUPS: 'weekly',
+      WAKAPI_GOALS: goalsFile, WAKAPI_PRIVACY: 'hash', WAKAPI_PRIVACY_MAP: mapFile, WAKAPI_PRIVACY_ALLOW: 'oss',
+    });
+    assert.equal(code, 0, stderr);
+
+    const files = (await fs.readdir(outDir, { recursive: true })).filter(f => /\.(csv|ndjson)$/.test(f));
+    assert.ok(files.includes('daily-sessions.csv') && files.includes(path.join('heartbeats', `${date}.ndjson`)));
+    for (const f of files) {
+      assert.doesNotMatch(await fs.readFile(path.join(outDir, f), 'utf8'), /secret-api|acquisition/, f);
+    }
+
+    const heartbeats = (await fs.readFile(archive, 'utf8')).split('\n').filter(Boolean).map(line => JSON.parse(line));
+    assert.equal(heartbeats.length, 3, 'two files in the same second stay apart');
+    assert.equal(new Set(heartbeats.map(h => h.id ?? h.key)).size, 3);
+
+    const map = JSON.parse(await fs.readFile(mapFile, 'utf8'));
+    const [label] = Object.keys(map.projects);
+    assert.deepEqual(map.projects, { [label]: 'secret-api' });
+    assert.deepEqual(Object.values(map.branches), ['feature/acquisition']);
+
+    const projects = await fs.readFile(path.join(outDir, 'daily-top-projects.csv'), 'utf8');
+    assert.match(projects, new RegExp(`,1,${label},3600,`));
+    assert.match(projects, /,2,oss,1800,/);
+    assert.match(await fs.readFile(path.join(outDir, 'goals.csv'), 'utf8'), new RegExp(`,project:${label},.*,met\\n`));
+  });
+});
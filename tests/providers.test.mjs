@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PROVIDERS, authenticate } from '../scripts/lib/providers.mjs';
+import { redactUrl } from '../scripts/lib/http.mjs';
+
+describe('authenticate', () => {
+  const url = 'https://wakapi.example.com/api/v1/users/current/summaries?range=today';
+
+  it('should send Basic base64(api_key) by default', () => {
+    assert.deepEqual(authenticate(url, { apiKey: 'secret' }), {
+      url,
+      headers: { Authorization: 'Basic c2VjcmV0' },
+    });
+  });
+
+  it('should send a Bearer token as given', () => {
+    assert.deepEqual(authenticate(url, { auth: 'bearer', apiKey: 'sec_abc' }).headers, { Authorization: 'Bearer sec_abc' });
+  });
+
+  it('should append api_key to the query string without other headers', () => {
+    const request = authenticate(url, { auth: 'query', apiKey: 'a&b' });
+    assert.equal(request.url, `${url}&api_key=a%26b`);
+    assert.deepEqual(request.headers, {});
+  });
+
+  it('should reject unknown modes', () => {
+    assert.throws(() => authenticate(url, { auth: 'digest', apiKey: 'k' }), /Unknown auth mode: digest/);
+  });
+});
+
+describe('PROVIDERS', () => {
+  it('should point the WakaTime preset at wakatime.com and its status_bar path', () => {
+    assert.equal(PROVIDERS.wakatime.url, 'https://wakatime.com');
+    assert.equal(PROVIDERS.wakatime.statusbarPath, '/api/v1/users/current/status_bar/today');
+    assert.equal(PROVIDERS.wakapi.url, null);
+  });
+});
+
+describe('redactUrl', () => {
+  it('should mask the api_key query parameter', () => {
+    assert.equal(redactUrl('https://x/api?date=2026-02-14&api_key=secret&y=1'), 'https://x/api?date=2026-02-14&api_key=***&y=1');
+    assert.equal(redactUrl('https://x/api?api_key=secret'), 'https://x/api?api_key=***');
+  });
+});
@@ -0,0 +1,194 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { isoWeek, periodOf, periodRange } from '../scripts/lib/rollups.mjs';
+import { createCsvSink, createDryRunSink } from '../scripts/lib/storage.mjs';
+import { buildDayRows, writeDays, writeRollups, recomputeRollups, getConfig } from '../scripts/wakapi-daily-summary.mjs';
+
+const CONFIG = { TOP_N_PROJECTS: 10, TOP_N_LANGUAGES: 10 };
+
+function day(date, projects) {
+  const totalSeconds = projects.reduce((sum, p) => sum + p.seconds, 0);
+  return buildDayRows(date, { totalSeconds, projects, languages: [{ name: 'Go', seconds: totalSeconds }] }, CONFIG);
+}
+
+async function readCsvLines(dir, table) {
+  return (await fs.readFile(path.join(dir, `${table}.csv`), 'utf8')).trim().split('\n');
+}
+
+// ── periods ────────────────────────────────────────────────────
+
+describe('isoWeek / periodOf', () => {
+  it('should use ISO weeks that belong to the year of their Thursday', () => {
+    assert.deepEqual(isoWeek('2026-02-14'), { year: 2026, week: 7 });
+    assert.equal(periodOf('weekly', '2024-12-30'), '2025-W01');
+    assert.equal(periodOf('weekly', '2021-01-03'), '2020-W53');
+    assert.equal(periodOf('weekly', '2026-12-31'), '2026-W53');
+    assert.equal(periodOf('weekly', '2027-01-04'), '2027-W01');
+  });
+
+  it('should label months and years', () => {
+    assert.equal(periodOf('monthly', '2026-02-14'), '2026-02');
+    assert.equal(periodOf('yearly', '2026-02-14'), '2026');
+    assert.throws(() => periodOf('daily', '2026-02-14'), /Unknown rollup: daily/);
+  });
+});
+
+describe('periodRange', () => {
+  it('should return the first and last day of a period', () => {
+    assert.deepEqual(periodRange('weekly', '2026-W07'), { start: '2026-02-09', end: '2026-02-15' });
+    assert.deepEqual(periodRange('weekly', '2025-W01'), { start: '2024-12-30', end: '2025-01-05' });
+    assert.deepEqual(periodRange('weekly', '2020-W53'), { start: '2020-12-28', end: '2021-01-03' });
+    assert.deepEqual(periodRange('monthly', '2024-02'), { start: '2024-02-01', end: '2024-02-29' });
+    assert.deepEqual(periodRange('yearly', '2026'), { start: '2026-01-01', end: '2026-12-31' });
+  });
+
+  it('should contain every date it labels', () => {
+    for (let t = Date.UTC(2020, 0, 1); t < Date.UTC(2028, 0, 1); t += 86400000) {
+      const date = new Date(t).toISOString().slice(0, 10);
+      for (const kind of ['weekly', 'monthly', 'yearly']) {
+        const { start, end } = periodRange(kind, periodOf(kind, date));
+        assert.ok(start <= date && date <= end, `${kind} ${date}`);
+      }
+    }
+  });
+});
+
+// ── rollup files ───────────────────────────────────────────────
+
+describe('writeRollups', () => {
+  let tmpDir;
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wakapi-rollups-'));
+  });
+
+  after(async () => {
+    if (tmpDir) await fs.rm(tmpDir, { recursive: true });
+  });
+
+  it('should sum, count active days and average per active day', async () => {
+    const dir = path.join(tmpDir, 'sums');
+    const sink = createCsvSink(dir);
+    // Mon 2026-02-09 .. Sun 2026-02-15 is 2026-W07; 2026-02-16 starts W08.
+    await writeDays(sink, [
+      day('2026-02-09', [{ name: 'alpha', seconds: 3600 }, { name: 'beta', seconds: 1800 }]),
+      day('2026-02-10', []),
+      day('2026-02-11', [{ name: 'alpha', seconds: 7200 }]),
+      day('2026-02-16', [{ name: 'beta', seconds: 900 }]),
+    ], { rollups: ['weekly', 'monthly'] });
+
+    assert.deepEqual(await readCsvLines(dir, 'weekly-total'), [
+      'period,start,end,total_seconds,total_hours,active_days,average_hours',
+      '2026-W07,2026-02-09,2026-02-15,12600,3.5,2,1.75',
+      '2026-W08,2026-02-16,2026-02-22,900,0.25,1,0.25',
+    ]);
+    assert.deepEqual(await readCsvLines(dir, 'weekly-projects'), [
+      'period,rank,project,seconds,hours,active_days,average_hours,percent',
+      '2026-W07,1,alpha,10800,3,2,1.5,85.7',
+      '2026-W07,2,beta,1800,0.5,1,0.5,14.3',
+      '2026-W08,1,beta,900,0.25,1,0.25,100',
+    ]);
+    assert.deepEqual(await readCsvLines(dir, 'monthly-languages'), [
+      'period,rank,language,seconds,hours,active_days,average_hours,percent',
+      '2026-02,1,Go,13500,3.75,3,1.25,100',
+    ]);
+    await assert.rejects(fs.access(path.join(dir, 'yearly-total.csv')), { code: 'ENOENT' });
+  });
+
+  it('should regenerate only the periods touched by a sync', async () => {
+    const dir = path.join(tmpDir, 'touched');
+    const sink = createCsvSink(dir);
+    await writeDays(sink, [day('2026-02-02', [{ name: 'alpha', seconds: 60 }])], { rollups: ['weekly'] });
+    await writeDays(sink, [day('2026-02-09', [{ name: 'beta', seconds: 120 }])], { rollups: ['weekly'] });
+
+    // Hand-edit W06 so a rebuild would be visible, then sync a day in W07 only.
+    const file = path.join(dir, 'weekly-total.csv');
+    await fs.writeFile(file, (await fs.readFile(file, 'utf8')).replace('2026-W06,2026-02-02,2026-02-08,60', '2026-W06,2026-02-02,2026-02-08,61'));
+    const written = await writeDays(sink, [day('2026-02-10', [{ name: 'beta', seconds: 240 }])], { rollups: ['weekly'] });
+
+    assert.deepEqual(written, {
+      'daily-total': 1, 'daily-top-projects': 1, 'daily-top-languages': 1,
+      'weekly-total': 1, 'weekly-projects': 1, 'weekly-languages': 1,
+    });
+    const lines = await readCsvLines(dir, 'weekly-total');
+    assert.match(lines[1], /^2026-W06,2026-02-02,2026-02-08,61,/);
+    assert.match(lines[2], /^2026-W07,2026-02-09,2026-02-15,360,0\.1,2,0\.05$/);
+  });
+
+  it('should rank the days\' "(other)" rows last', async () => {
+    const dir = path.join(tmpDir, 'other');
+    const projects = [{ name: 'alpha', seconds: 60 }, { name: 'beta', seconds: 300 }, { name: 'gamma', seconds: 300 }];
+    const totalSeconds = 660;
+    await writeDays(createCsvSink(dir), [buildDayRows('2026-03-02', { totalSeconds, projects, languages: [] }, {
+      ...CONFIG, TOP_N_PROJECTS: 1, OTHER_BUCKET: true,
+    })], { rollups: ['yearly'] });
+    assert.deepEqual((await readCsvLines(dir, 'yearly-projects')).slice(1).map(l => l.split(',').slice(1, 4).join()), [
+      '1,beta,300',
+      '2,(other),360',
+    ]);
+  });
+
+  it('should drop names that no longer appear in a rebuilt period', async () => {
+    const dir = path.join(tmpDir, 'replace');
+    const sink = createCsvSink(dir);
+    await writeDays(sink, [day('2026-03-02', [{ name: 'alpha', seconds: 60 }, { name: 'beta', seconds: 30 }])], { rollups: ['yearly'] });
+    await writeDays(sink, [day('2026-03-02', [{ name: 'alpha', seconds: 90 }])], { rollups: ['yearly'] });
+    assert.deepEqual(await readCsvLines(dir, 'yearly-projects'), [
+      'period,rank,project,seconds,hours,active_days,average_hours,percent',
+      '2026,1,alpha,90,0.03,1,0.03,100',
+    ]);
+  });
+
+  it('should see pending rows in a dry run', async () => {
+    const dir = path.join(tmpDir, 'dry-run');
+    const sink = createCsvSink(dir);
+    await writeDays(sink, [day('2026-02-09', [{ name: 'alpha', seconds: 60 }])], { rollups: ['weekly'] });
+
+    const dry = createDryRunSink(sink);
+    await writeDays(dry, [day('2026-02-10', [{ name: 'alpha', seconds: 60 }])], { rollups: ['weekly'] });
+    assert.deepEqual(dry.changes.find(c => c.table === 'weekly-total'), {
+      table: 'weekly-total', added: 0, changed: 1, removed: 0, unchanged: 0,
+    });
+    assert.equal((await readCsvLines(dir, 'weekly-total')).length, 2);
+    assert.match((await readCsvLines(dir, 'weekly-total'))[1], /,60,0\.02,1,0\.02$/);
+  });
+
+  it('should rebuild every period with recomputeRollups', async () => {
+    const dir = path.join(tmpDir, 'recompute');
+    const sink = createCsvSink(dir);
+    await writeDays(sink, [day('2025-12-31', [{ name: 'alpha', seconds: 60 }]), day('2026-01-02', [{ name: 'alpha', seconds: 60 }])]);
+    await assert.rejects(fs.access(path.join(dir, 'weekly-total.csv')), { code: 'ENOENT' });
+
+    const config = { ...getConfig({ requireApi: false, env: { WAKAPI_OUT_DIR: dir } }), JSON_OUTPUT: true };
+    const result = await recomputeRollups(config, sink);
+    assert.equal(result.days, 2);
+    assert.deepEqual((await readCsvLines(dir, 'weekly-total')).slice(1).map(l => l.split(',')[0]), ['2026-W01']);
+    assert.deepEqual((await readCsvLines(dir, 'yearly-total')).slice(1).map(l => l.split(',')[0]), ['2025', '2026']);
+  });
+
+  it('should do nothing without rollups or dates', async () => {
+    assert.deepEqual(await writeRollups(createCsvSink(path.join(tmpDir, 'none')), new Set(), ['weekly']), {});
+    assert.deepEqual(await writeRollups(createCsvSink(path.join(tmpDir, 'none')), new Set(['2026-02-14']), []), {});
+  });
+});
+
+describe('WAKAPI_ROLLUPS', () => {
+  const env = { WAKAPI_OUT_DIR: '/out' };
+
+  it('should accept 1 for all kinds or a list', () => {
+    assert.deepEqual(getConfig({ requireApi: false, env }).ROLLUPS, []);
+    assert.deepEqual(getConfig({ requireApi: false, env: { ...env, WAKAPI_ROLLUPS: '1' } }).ROLLUPS, ['weekly', 'monthly', 'yearly']);
+    assert.deepEqual(getConfig({ requireApi: false, env: { ...env, WAKAPI_ROLLUPS: 'off' } }).ROLLUPS, []);
+    assert.deepEqual(getConfig({ requireApi: false, env: { ...env, WAKAPI_ROLLUPS: 'weekly, yearly' } }).ROLLUPS, ['weekly', 'yearly']);
+  });
+
+  it('should reject unknown kinds', () => {
+    assert.throws(() => getConfig({ requireApi: false, env: { ...env, WAKAPI_ROLLUPS: 'daily' } }), {
+      name: 'ConfigError', message: /Unknown WAKAPI_ROLLUPS: daily/,
+    });
+  });
+});
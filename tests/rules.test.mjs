@@ -0,0 +1,113 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { loadRules, mapName, applyRules } from '../scripts/lib/rules.mjs';
+import { buildDayRows, getConfig } from '../scripts/wakapi-daily-summary.mjs';
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wakapi-rules-'));
+});
+
+after(async () => {
+  if (tmpDir) await fs.rm(tmpDir, { recursive: true });
+});
+
+async function rulesFile(name, rules) {
+  const file = path.join(tmpDir, `${name}.json`);
+  await fs.writeFile(file, JSON.stringify(rules));
+  return file;
+}
+
+// ── loading ────────────────────────────────────────────────────
+
+describe('loadRules', () => {
+  it('should reject invalid rules with a ConfigError', async () => {
+    for (const [rules, message] of [
+      [[], /must hold an object/],
+      [{ editors: [] }, /unknown key\(s\) editors/],
+      [{ projects: { exact: 'a' } }, /"projects" must be an array/],
+      [{ projects: [{ rename: 'b' }] }, /projects rule 1 needs exactly one of exact, glob, regex/],
+      [{ projects: [{ exact: 'a', glob: 'a*', rename: 'b' }] }, /needs exactly one of exact, glob, regex/],
+      [{ languages: [{ exact: 'a' }] }, /languages rule 1 needs exactly one of rename, group, exclude/],
+      [{ projects: [{ exact: 'a', rename: 'b', exclude: true }] }, /needs exactly one of rename, group, exclude/],
+      [{ projects: [{ exact: 'a', group: '' }] }, /invalid "group"/],
+      [{ projects: [{ regex: '(', rename: 'b' }] }, /invalid regex/],
+    ]) {
+      const file = await rulesFile('invalid', rules);
+      assert.throws(() => loadRules(file), { name: 'ConfigError', message });
+    }
+    assert.throws(() => loadRules(path.join(tmpDir, 'missing.json')), { name: 'ConfigError', message: /ENOENT/ });
+  });
+
+  it('should be read by getConfig from WAKAPI_RULES', async () => {
+    const file = await rulesFile('config', { projects: [{ exact: 'a', exclude: true }] });
+    const env = { WAKAPI_OUT_DIR: '/out' };
+    assert.deepEqual(getConfig({ requireApi: false, env }).RULES, { projects: [], languages: [] });
+    const { RULES } = getConfig({ requireApi: false, env: { ...env, WAKAPI_RULES: file } });
+    assert.equal(RULES.projects.length, 1);
+    assert.equal(RULES.languages.length, 0);
+  });
+});
+
+// ── matching ───────────────────────────────────────────────────
+
+describe('mapName', () => {
+  it('should match whole names with the first matching rule', async () => {
+    const { projects } = loadRules(await rulesFile('match', {
+      projects: [
+        { exact: 'a.b', rename: 'exact' },
+        { glob: 'client-?', group: 'clients' },
+        { regex: '^(.+)-worktree-(\\d+)$', rename: '$1' },
+        { glob: 'secret*', ignore_case: true, exclude: true },
+        { glob: '*', rename: 'catch-all' },
+      ],
+    }));
+    assert.equal(mapName(projects, 'a.b'), 'exact');
+    assert.equal(mapName(projects, 'axb'), 'catch-all');
+    assert.equal(mapName(projects, 'client-1'), 'clients');
+    assert.equal(mapName(projects, 'client-12'), 'catch-all');
+    assert.equal(mapName(projects, 'api-worktree-3'), 'api');
+    assert.equal(mapName(projects, 'SECRET-ops'), null);
+    assert.equal(mapName([], 'kept'), 'kept');
+  });
+});
+
+describe('applyRules', () => {
+  const items = [
+    { name: 'client-a', seconds: 1800, percent: 30 },
+    { name: 'client-b', seconds: 1200, percent: 20 },
+    { name: 'secret', seconds: 2000, percent: 33.33 },
+    { name: 'alpha', seconds: 1000, percent: 16.67 },
+  ];
+
+  it('should merge and drop items, leaving percents to be recomputed', async () => {
+    const { projects } = loadRules(await rulesFile('apply', {
+      projects: [{ glob: 'client-*', group: 'clients' }, { exact: 'secret', exclude: true }],
+    }));
+    assert.deepEqual(applyRules(items, projects).map(x => [x.name, x.seconds, x.percent, x.sources]), [
+      ['clients', 3000, undefined, ['client-a', 'client-b']],
+      ['alpha', 1000, undefined, ['alpha']],
+    ]);
+  });
+
+  it('should keep the server list without rules', () => {
+    assert.equal(applyRules(items, []), items);
+  });
+
+  it('should rank the cleaned list in buildDayRows, keeping the server total', async () => {
+    const RULES = loadRules(await rulesFile('day', {
+      projects: [{ glob: 'client-*', group: 'clients' }, { exact: 'secret', exclude: true }],
+    }));
+    const day = buildDayRows('2026-02-14', { totalSeconds: 6000, projects: items, languages: [] }, {
+      TOP_N_PROJECTS: 1, TOP_N_LANGUAGES: 10, RULES,
+    });
+    assert.deepEqual(day.projects.map(r => [r.rank, r.project, r.seconds, r.percent]), [['1', 'clients', '3000', '75']]);
+    assert.equal(day.total[0].total_seconds, '6000');
+    assert.deepEqual(day.projectSources, { clients: ['client-a', 'client-b'], alpha: ['alpha'] });
+  });
+});
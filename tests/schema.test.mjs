@@ -0,0 +1,147 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { SchemaError, migrateRows } from '../scripts/lib/schema.mjs';
+import { createCsvSink, createJsonSink, createSqliteSink } from '../scripts/lib/storage.mjs';
+import {
+  buildDayRows,
+  writeDays,
+  parseCsvSimple,
+  upsertCsvByKeys,
+} from '../scripts/wakapi-daily-summary.mjs';
+
+// The layout the sync writes today, and a hypothetical next version of it.
+const TOTAL_HEADER = ['date', 'total_seconds', 'total_hours', 'projects_count', 'languages_count', 'projects_total_count', 'languages_total_count'];
+const NEXT_HEADER = ['date', 'total_seconds', 'total_hours', 'total_minutes', 'projects_count', 'languages_count', 'projects_total_count', 'languages_total_count', 'note'];
+const HISTORY = [
+  { header: ['date', 'total_seconds', 'total_hours', 'projects_count', 'languages_count'] },
+  { header: TOTAL_HEADER, up: (r) => ({ ...r, total_minutes: String(Math.round(Number(r.total_seconds) / 60)) }) },
+];
+
+const CONFIG = { TOP_N_PROJECTS: 10, TOP_N_LANGUAGES: 10 };
+
+const hasSqlite = await import('node:sqlite').then(() => true, () => false);
+
+// ── migrateRows ────────────────────────────────────────────
+
+describe('migrateRows', () => {
+  it('should pass rows through when the header is current', () => {
+    const rows = [{ date: '2026-02-14' }];
+    const result = migrateRows('x.csv', ['date'], rows, ['date'], []);
+    assert.equal(result.migrated, false);
+    assert.equal(result.rows, rows);
+  });
+
+  it('should chain migrations across several versions', () => {
+    const history = [
+      { header: ['date', 'secs'], up: (r) => ({ date: r.date, total_seconds: r.secs }) },
+      { header: ['date', 'total_seconds'] },
+    ];
+    const result = migrateRows('x.csv', ['date', 'secs'], [{ date: '2026-02-14', secs: '60' }], ['date', 'total_seconds', 'extra'], history);
+    assert.equal(result.fromVersion, 1);
+    assert.deepEqual(result.rows, [{ date: '2026-02-14', total_seconds: '60', extra: '' }]);
+  });
+
+  it('should throw SchemaError for an unknown layout', () => {
+    assert.throws(
+      () => migrateRows('x.csv', ['foo', 'bar'], [], ['date'], []),
+      (e) => e instanceof SchemaError && /Refusing to rewrite x\.csv/.test(e.message),
+    );
+  });
+});
+
+// ── upgrading files written by the current schema ─────────
+
+describe('schema upgrade of daily-total', () => {
+  let tmpDir;
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wakapi-schema-'));
+  });
+
+  after(async () => {
+    if (tmpDir) await fs.rm(tmpDir, { recursive: true });
+  });
+
+  it('should keep history, fill new columns and back up the old file (csv)', async () => {
+    const dir = path.join(tmpDir, 'csv');
+    const day = (date, totalSeconds) => buildDayRows(date, { totalSeconds, projects: [], languages: [] }, CONFIG);
+    await writeDays(createCsvSink(dir), [day('2026-02-13', 3600), day('2026-02-14', 1800)]);
+    const file = path.join(dir, 'daily-total.csv');
+    const original = await fs.readFile(file, 'utf8');
+
+    await createCsvSink(dir).upsert('daily-total', NEXT_HEADER, ['date'], [
+      { date: '2026-02-15', total_seconds: '60', total_hours: '0.02', total_minutes: '1', projects_count: '0', languages_count: '0', projects_total_count: '0', languages_total_count: '0', note: 'new' },
+    ], { history: HISTORY });
+
+    const { header, rows } = parseCsvSimple(await fs.readFile(file, 'utf8'));
+    assert.deepEqual(header, NEXT_HEADER);
+    assert.deepEqual(rows.map(r => [r.date, r.total_seconds, r.total_minutes, r.note]), [
+      ['2026-02-13', '3600', '60', ''],
+      ['2026-02-14', '1800', '30', ''],
+      ['2026-02-15', '60', '1', 'new'],
+    ]);
+
+    const backups = (await fs.readdir(dir)).filter(f => /^daily-total\.csv\.\d{8}T\d{6}Z\.bak$/.test(f));
+    assert.equal(backups.length, 1);
+    assert.equal(await fs.readFile(path.join(dir, backups[0]), 'utf8'), original);
+  });
+
+  it('should migrate NDJSON files the same way', async () => {
+    const dir = path.join(tmpDir, 'ndjson');
+    const sink = createJsonSink(dir, { lines: true });
+    await writeDays(sink, [buildDayRows('2026-02-13', { totalSeconds: 120, projects: [], languages: [] }, CONFIG)]);
+
+    const rows = await sink.read('daily-total', NEXT_HEADER, { history: HISTORY });
+    assert.deepEqual(rows, [{
+      date: '2026-02-13', total_seconds: '120', total_hours: '0.03', total_minutes: '2',
+      projects_count: '0', languages_count: '0', projects_total_count: '0', languages_total_count: '0', note: '',
+    }]);
+  });
+
+  it('should upgrade files written before the *_total_count columns', async () => {
+    const dir = path.join(tmpDir, 'total-count');
+    await fs.mkdir(dir);
+    await fs.writeFile(path.join(dir, 'daily-total.csv'),
+      'date,total_seconds,total_hours,projects_count,languages_count\n2026-02-12,60,0.02,1,1\n');
+    await writeDays(createCsvSink(dir), [buildDayRows('2026-02-13', { totalSeconds: 120, projects: [], languages: [] }, CONFIG)]);
+
+    const { header, rows } = parseCsvSimple(await fs.readFile(path.join(dir, 'daily-total.csv'), 'utf8'));
+    assert.deepEqual(header, TOTAL_HEADER);
+    assert.deepEqual(rows.map(r => [r.date, r.projects_count, r.projects_total_count]), [['2026-02-12', '1', ''], ['2026-02-13', '0', '0']]);
+  });
+
+  it('should read a SQLite table written before the *_total_count columns', { skip: !hasSqlite && 'node:sqlite requires Node.js 22.5+' }, async () => {
+    const file = path.join(tmpDir, 'total-count.sqlite');
+    const oldHeader = TOTAL_HEADER.slice(0, 5);
+    const old = await createSqliteSink(file);
+    await old.upsert('daily-total', oldHeader, ['date'], [
+      { date: '2026-02-12', total_seconds: '60', total_hours: '0.02', projects_count: '1', languages_count: '1' },
+    ]);
+    await old.close();
+
+    const sink = await createSqliteSink(file);
+    assert.deepEqual(await sink.read('daily-total', TOTAL_HEADER), [{
+      date: '2026-02-12', total_seconds: '60', total_hours: '0.02', projects_count: '1', languages_count: '1',
+      projects_total_count: '', languages_total_count: '',
+    }]);
+    await writeDays(sink, [buildDayRows('2026-02-13', { totalSeconds: 120, projects: [], languages: [] }, CONFIG)]);
+    const rows = await sink.read('daily-total', TOTAL_HEADER);
+    await sink.close();
+    assert.deepEqual(rows.map(r => [r.date, r.projects_count, r.projects_total_count]), [['2026-02-12', '1', ''], ['2026-02-13', '0', '0']]);
+  });
+
+  it('should refuse to touch a foreign file', async () => {
+    const file = path.join(tmpDir, 'foreign.csv');
+    await fs.writeFile(file, 'Name,Amount\nrent,1200\n', 'utf8');
+
+    await assert.rejects(
+      upsertCsvByKeys(file, TOTAL_HEADER, ['date'], [{ date: '2026-02-14', total_seconds: '1' }]),
+      { name: 'SchemaError' },
+    );
+    assert.equal(await fs.readFile(file, 'utf8'), 'Name,Amount\nrent,1200\n');
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { streaks, computeStats, statsRows } from '../scripts/lib/stats.mjs';
+import { getConfig } from '../scripts/wakapi-daily-summary.mjs';
+
+function totals(active, seconds = 3600) {
+  return active.map(date => ({ date, total_seconds: String(seconds) }));
+}
+
+// ── streaks ────────────────────────────────────────────────────
+
+describe('streaks', () => {
+  it('should count the run ending today, or yesterday while today is empty', () => {
+    const rows = totals(['2026-02-01', '2026-02-02', '2026-02-03', '2026-02-09', '2026-02-10']);
+    const longest = { longest: 3, longest_start: '2026-02-01', longest_end: '2026-02-03' };
+    assert.deepEqual(streaks(rows, '2026-02-10'), { current: 2, ...longest });
+    assert.deepEqual(streaks(rows, '2026-02-11'), { current: 2, ...longest });
+    assert.deepEqual(streaks(rows, '2026-02-12'), { current: 0, ...longest });
+  });
+
+  it('should break on zero days and ignore days after the date', () => {
+    const rows = [...totals(['2026-02-01', '2026-02-03']), { date: '2026-02-02', total_seconds: '0' }];
+    assert.equal(streaks(rows, '2026-02-03').current, 1);
+    assert.equal(streaks(rows, '2026-02-03').longest, 1);
+    assert.deepEqual(streaks(totals(['2026-02-05', '2026-02-06']), '2026-02-04'), {
+      current: 0, longest: 0, longest_start: null, longest_end: null,
+    });
+  });
+
+  it('should only count days that reach the minimum', () => {
+    const rows = [...totals(['2026-02-01', '2026-02-03'], 3600), ...totals(['2026-02-02'], 600)];
+    assert.equal(streaks(rows, '2026-02-03').longest, 3);
+    assert.equal(streaks(rows, '2026-02-03', { minSeconds: 900 }).longest, 1);
+  });
+});
+
+// ── statistics ─────────────────────────────────────────────────
+
+describe('computeStats', () => {
+  // Mon 2026-02-02 .. Sun 2026-02-08, then Mon 2026-02-09 (today).
+  const daily = [
+    ['2026-02-02', 3600], ['2026-02-03', 7200], ['2026-02-04', 0], ['2026-02-05', 1800],
+    ['2026-02-07', 10800], ['2026-02-08', 3600], ['2026-02-09', 900],
+  ].map(([date, seconds]) => ({ date, total_seconds: String(seconds) }));
+  const projects = [
+    { date: '2026-02-02', project: 'alpha', seconds: '3600' },
+    { date: '2026-02-03', project: 'beta', seconds: '7200' },
+    { date: '2026-02-08', project: 'alpha', seconds: '3600' },
+    { date: '2026-02-10', project: 'gamma', seconds: '60' },
+  ];
+  const stats = computeStats({ totals: daily, projects, asOf: '2026-02-09' });
+
+  it('should sum the days up to the date', () => {
+    assert.deepEqual([stats.days, stats.active_days, stats.total_hours], [7, 6, 7.75]);
+    assert.deepEqual(stats.streak, { min_minutes: 0, current: 3, longest: 3, longest_start: '2026-02-07', longest_end: '2026-02-09' });
+    assert.deepEqual(stats.best_day, { date: '2026-02-07', hours: 3 });
+  });
+
+  it('should average complete days only, missing days as zero', () => {
+    // 2026-02-02..08: 27000s over 7 days; 30 days reach back only to the first stored day.
+    assert.deepEqual(stats.rolling, { average_7d_hours: 1.07, average_30d_hours: 1.07 });
+    assert.deepEqual(stats.weekdays.map(w => [w.weekday, w.days, w.average_hours]), [
+      ['Mon', 1, 1], ['Tue', 1, 2], ['Wed', 1, 0], ['Thu', 1, 0.5], ['Fri', 1, 0], ['Sat', 1, 3], ['Sun', 1, 1],
+    ]);
+  });
+
+  it('should list first and last sighting per project', () => {
+    assert.deepEqual(stats.projects, [
+      { name: 'alpha', first_seen: '2026-02-02', last_seen: '2026-02-08', active_days: 2, hours: 2 },
+      { name: 'beta', first_seen: '2026-02-03', last_seen: '2026-02-03', active_days: 1, hours: 2 },
+    ]);
+  });
+
+  it('should apply the streak minimum to active days', () => {
+    const strict = computeStats({ totals: daily, projects, asOf: '2026-02-09', minSeconds: 3600 });
+    assert.equal(strict.active_days, 4);
+    assert.deepEqual([strict.streak.current, strict.streak.longest, strict.streak.longest_start], [2, 2, '2026-02-02']);
+  });
+
+  it('should handle an empty store', () => {
+    const empty = computeStats({ totals: [], projects: [], asOf: '2026-02-09' });
+    assert.deepEqual([empty.days, empty.best_day, empty.rolling.average_7d_hours], [0, null, 0]);
+  });
+
+  it('should flatten into metric,subject,value rows', () => {
+    const rows = statsRows(stats);
+    assert.deepEqual(rows.slice(0, 3), [['as_of', '', '2026-02-09'], ['days', '', '7'], ['active_days', '', '6']]);
+    assert.ok(rows.some(r => r.join() === 'average_hours,Sat,3'));
+    assert.ok(rows.some(r => r.join() === 'first_seen,alpha,2026-02-02'));
+    assert.ok(rows.every(r => r.length === 3 && r.every(v => typeof v === 'string')));
+  });
+});
+
+describe('WAKAPI_STATS', () => {
+  const env = { WAKAPI_OUT_DIR: '/out' };
+
+  it('should be off by default and validate the streak minimum', () => {
+    assert.equal(getConfig({ requireApi: false, env }).STATS, false);
+    assert.equal(getConfig({ requireApi: false, env: { ...env, WAKAPI_STATS: '1', WAKAPI_STREAK_MIN_MINUTES: '15' } }).STREAK_MIN_MINUTES, 15);
+    assert.throws(() => getConfig({ requireApi: false, env: { ...env, WAKAPI_STREAK_MIN_MINUTES: '-1' } }), {
+      name: 'ConfigError', message: /Invalid WAKAPI_STREAK_MIN_MINUTES/,
+    });
+  });
+});
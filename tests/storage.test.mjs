@@ -0,0 +1,271 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import {
+  createCsvSink,
+  createJsonSink,
+  createSqliteSink,
+  createDryRunSink,
+  openStorage,
+} from '../scripts/lib/storage.mjs';
+
+const hasSqlite = await import('node:sqlite').then(() => true, () => false);
+
+const HEADER = ['date', 'rank', 'project', 'seconds', 'hours', 'percent'];
+const KEYS = ['date', 'rank'];
+
+// Every sink must behave the same through the shared interface.
+function sinkContract(name, open, { skip } = {}) {
+  describe(`${name} sink`, { skip }, () => {
+    let tmpDir;
+    let sink;
+
+    before(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), `wakapi-storage-${name}-`));
+      sink = await open(tmpDir);
+    });
+
+    after(async () => {
+      if (sink) await sink.close();
+      if (tmpDir) await fs.rm(tmpDir, { recursive: true });
+    });
+
+    it('should return null for a missing table', async () => {
+      assert.equal(await sink.read('daily-top-projects', HEADER), null);
+    });
+
+    it('should insert and read back rows as strings', async () => {
+      await sink.upsert('daily-top-projects', HEADER, KEYS, [
+        { date: '2026-02-14', rank: '1', project: 'alpha', seconds: '3600', hours: '1', percent: '75.5' },
+        { date: '2026-02-14', rank: '2', project: 'beta', seconds: '1200', hours: '0.33', percent: '' },
+      ], { dates: new Set(['2026-02-14']) });
+
+      const rows = await sink.read('daily-top-projects', HEADER);
+      assert.deepEqual(rows, [
+        { date: '2026-02-14', rank: '1', project: 'alpha', seconds: '3600', hours: '1', percent: '75.5' },
+        { date: '2026-02-14', rank: '2', project: 'beta', seconds: '1200', hours: '0.33', percent: '' },
+      ]);
+    });
+
+    it('should update by key without touching other dates', async () => {
+      await sink.upsert('daily-top-projects', HEADER, KEYS, [
+        { date: '2026-02-13', rank: '1', project: 'gamma', seconds: '60', hours: '0.02', percent: '100' },
+      ]);
+      await sink.upsert('daily-top-projects', HEADER, KEYS, [
+        { date: '2026-02-13', rank: '1', project: 'delta', seconds: '90', hours: '0.03', percent: '100' },
+      ]);
+
+      const rows = await sink.read('daily-top-projects', HEADER);
+      assert.deepEqual(rows.map(r => [r.date, r.rank, r.project]), [
+        ['2026-02-13', '1', 'delta'],
+        ['2026-02-14', '1', 'alpha'],
+        ['2026-02-14', '2', 'beta'],
+      ]);
+    });
+
+    it('should replace every row of a re-synced date', async () => {
+      await sink.upsert('daily-top-projects', HEADER, KEYS, [
+        { date: '2026-02-14', rank: '1', project: 'beta', seconds: '4800', hours: '1.33', percent: '100' },
+      ], { dates: new Set(['2026-02-14']) });
+
+      const rows = await sink.read('daily-top-projects', HEADER);
+      assert.deepEqual(rows.filter(r => r.date === '2026-02-14').map(r => r.project), ['beta']);
+    });
+
+    it('should commit every table of a transaction together', async () => {
+      await sink.transaction(async () => {
+        await sink.upsert('daily-total', ['date', 'total_seconds'], ['date'], [{ date: '2026-02-16', total_seconds: '60' }]);
+        // Reads inside the transaction already see its own writes.
+        assert.deepEqual(await sink.read('daily-total', ['date', 'total_seconds']), [{ date: '2026-02-16', total_seconds: '60' }]);
+        await sink.upsert('daily-top-projects', HEADER, KEYS, [
+          { date: '2026-02-16', rank: '1', project: 'alpha', seconds: '60', hours: '0.02', percent: '100' },
+        ]);
+      });
+
+      assert.equal((await sink.read('daily-total', ['date', 'total_seconds'])).length, 1);
+      assert.ok((await sink.read('daily-top-projects', HEADER)).some(r => r.date === '2026-02-16'));
+    });
+
+    it('should roll back every table when a transaction fails', async () => {
+      const before = await sink.read('daily-top-projects', HEADER);
+      await assert.rejects(sink.transaction(async () => {
+        await sink.upsert('daily-total', ['date', 'total_seconds'], ['date'], [{ date: '2026-02-17', total_seconds: '1' }]);
+        await sink.upsert('daily-top-projects', HEADER, KEYS, [
+          { date: '2026-02-17', rank: '1', project: 'alpha', seconds: '1', hours: '0', percent: '100' },
+        ]);
+        throw new Error('network went away');
+      }), /network went away/);
+
+      assert.deepEqual(await sink.read('daily-total', ['date', 'total_seconds']), [{ date: '2026-02-16', total_seconds: '60' }]);
+      assert.deepEqual(await sink.read('daily-top-projects', HEADER), before);
+      assert.deepEqual((await fs.readdir(tmpDir)).filter(f => f.endsWith('.tmp')), []);
+    });
+  });
+}
+
+sinkContract('csv', async (dir) => createCsvSink(dir));
+sinkContract('ndjson', async (dir) => createJsonSink(dir, { lines: true }));
+sinkContract('json', async (dir) => createJsonSink(dir, { lines: false }));
+sinkContract('sqlite', async (dir) => createSqliteSink(path.join(dir, 'wakapi.sqlite')), {
+  skip: !hasSqlite && 'node:sqlite requires Node.js 22.5+',
+});
+
+describe('json sinks', () => {
+  let tmpDir;
+  const rows = [
+    { date: '2026-02-14', rank: '1', project: '007', seconds: '3600', hours: '1', percent: '' },
+  ];
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wakapi-json-'));
+  });
+
+  after(async () => {
+    if (tmpDir) await fs.rm(tmpDir, { recursive: true });
+  });
+
+  it('should write NDJSON with numbers and nulls', async () => {
+    await createJsonSink(tmpDir, { lines: true }).upsert('daily-top-projects', HEADER, KEYS, rows);
+    const content = await fs.readFile(path.join(tmpDir, 'daily-top-projects.ndjson'), 'utf8');
+    assert.equal(content, '{"date":"2026-02-14","rank":1,"project":"007","seconds":3600,"hours":1,"percent":null}\n');
+  });
+
+  it('should write a single JSON array document', async () => {
+    await createJsonSink(tmpDir, { lines: false }).upsert('daily-top-projects', HEADER, KEYS, rows);
+    const doc = JSON.parse(await fs.readFile(path.join(tmpDir, 'daily-top-projects.json'), 'utf8'));
+    assert.deepEqual(doc, [{ date: '2026-02-14', rank: 1, project: '007', seconds: 3600, hours: 1, percent: null }]);
+  });
+
+  it('should refuse a file with a foreign layout', async () => {
+    const sink = createJsonSink(tmpDir, { lines: true });
+    await assert.rejects(sink.read('daily-top-projects', ['date', 'rank', 'language']), { name: 'SchemaError' });
+  });
+});
+
+describe('sqlite sink schema', { skip: !hasSqlite && 'node:sqlite requires Node.js 22.5+' }, () => {
+  let tmpDir;
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wakapi-sqlite-schema-'));
+  });
+
+  after(async () => {
+    if (tmpDir) await fs.rm(tmpDir, { recursive: true });
+  });
+
+  it('should create typed tables with a primary key', async () => {
+    const file = path.join(tmpDir, 'wakapi.sqlite');
+    const sink = await createSqliteSink(file);
+    await sink.upsert('daily-total', ['date', 'total_seconds'], ['date'], [{ date: '2026-02-14', total_seconds: '3600' }]);
+    await sink.close();
+
+    const { DatabaseSync } = await import('node:sqlite');
+    const db = new DatabaseSync(file);
+    const cols = db.prepare('PRAGMA table_info(daily_total)').all();
+    assert.deepEqual(cols.map(c => [c.name, c.type, c.pk]), [['date', 'TEXT', 1], ['total_seconds', 'NUMERIC', 0]]);
+    assert.equal(db.prepare('SELECT total_seconds FROM daily_total').get().total_seconds, 3600);
+    db.close();
+  });
+
+  it('should add columns that appear in a newer header', async () => {
+    const sink = await createSqliteSink(path.join(tmpDir, 'wakapi.sqlite'));
+    await sink.upsert('daily-total', ['date', 'total_seconds', 'total_hours'], ['date'], [{ date: '2026-02-15', total_seconds: '7200', total_hours: '2' }]);
+    const rows = await sink.read('daily-total', ['date', 'total_seconds', 'total_hours']);
+    await sink.close();
+
+    assert.deepEqual(rows, [
+      { date: '2026-02-14', total_seconds: '3600', total_hours: '' },
+      { date: '2026-02-15', total_seconds: '7200', total_hours: '2' },
+    ]);
+  });
+});
+
+describe('openStorage', () => {
+  let tmpDir;
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wakapi-open-storage-'));
+  });
+
+  after(async () => {
+    if (tmpDir) await fs.rm(tmpDir, { recursive: true });
+  });
+
+  it('should default to a CSV sink in the output directory', async () => {
+    const storage = await openStorage(['csv'], { outDir: tmpDir });
+    await storage.upsert('daily-total', ['date', 'total_seconds'], ['date'], [{ date: '2026-02-14', total_seconds: '1' }]);
+    await storage.close();
+    assert.ok((await fs.readFile(path.join(tmpDir, 'daily-total.csv'), 'utf8')).includes('2026-02-14,1'));
+  });
+
+  it('should fan out to several sinks', { skip: !hasSqlite && 'node:sqlite requires Node.js 22.5+' }, async () => {
+    const storage = await openStorage(['csv', 'sqlite'], { outDir: tmpDir });
+    await storage.upsert('daily-total', ['date', 'total_seconds'], ['date'], [{ date: '2026-02-15', total_seconds: '2' }]);
+    await storage.close();
+
+    const sqlite = await createSqliteSink(path.join(tmpDir, 'wakapi.sqlite'));
+    assert.deepEqual(await sqlite.read('daily-total', ['date', 'total_seconds']), [{ date: '2026-02-15', total_seconds: '2' }]);
+    await sqlite.close();
+  });
+
+  it('should write several file formats side by side', async () => {
+    const storage = await openStorage(['csv', 'ndjson', 'json'], { outDir: tmpDir });
+    await storage.upsert('daily-top-projects', HEADER, KEYS, [
+      { date: '2026-02-14', rank: '1', project: 'alpha', seconds: '60', hours: '0.02', percent: '100' },
+    ]);
+    await storage.close();
+
+    const files = (await fs.readdir(tmpDir)).filter(f => f.startsWith('daily-top-projects')).sort();
+    assert.deepEqual(files, ['daily-top-projects.csv', 'daily-top-projects.json', 'daily-top-projects.ndjson']);
+  });
+
+  it('should roll back every sink when a fanned-out transaction fails', async () => {
+    const dir = path.join(tmpDir, 'fanout-rollback');
+    const storage = await openStorage(['csv', 'ndjson'], { outDir: dir });
+    await assert.rejects(storage.transaction(async () => {
+      await storage.upsert('daily-total', ['date', 'total_seconds'], ['date'], [{ date: '2026-02-14', total_seconds: '1' }]);
+      throw new Error('boom');
+    }), /boom/);
+    await storage.close();
+    assert.deepEqual(await fs.readdir(dir), []);
+  });
+
+  it('should reject unknown storage kinds', async () => {
+    await assert.rejects(openStorage(['parquet'], { outDir: tmpDir }), /Unknown storage: parquet/);
+  });
+});
+
+describe('createDryRunSink', () => {
+  let tmpDir;
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wakapi-dry-run-'));
+  });
+
+  after(async () => {
+    if (tmpDir) await fs.rm(tmpDir, { recursive: true });
+  });
+
+  it('should tally what an upsert would change without writing', async () => {
+    const csv = createCsvSink(tmpDir);
+    await csv.upsert('daily-top-projects', HEADER, KEYS, [
+      { date: '2026-02-14', rank: '1', project: 'alpha', seconds: '60', hours: '0.02', percent: '' },
+      { date: '2026-02-14', rank: '2', project: 'beta', seconds: '30', hours: '0.01', percent: '' },
+      { date: '2026-02-13', rank: '1', project: 'alpha', seconds: '10', hours: '0', percent: '' },
+    ]);
+    const before = await fs.readFile(path.join(tmpDir, 'daily-top-projects.csv'), 'utf8');
+
+    const dry = createDryRunSink(csv);
+    await dry.transaction(() => dry.upsert('daily-top-projects', HEADER, KEYS, [
+      { date: '2026-02-14', rank: '1', project: 'alpha', seconds: '90', hours: '0.03', percent: '' },
+      { date: '2026-02-15', rank: '1', project: 'gamma', seconds: '5', hours: '0', percent: '' },
+    ], { dates: new Set(['2026-02-14', '2026-02-15']) }));
+
+    assert.deepEqual(dry.changes, [{ table: 'daily-top-projects', added: 1, changed: 1, removed: 1, unchanged: 0 }]);
+    assert.equal(await fs.readFile(path.join(tmpDir, 'daily-top-projects.csv'), 'utf8'), before);
+    assert.equal((await dry.read('daily-top-projects', HEADER)).length, 3);
+  });
+});
@@ -1,8 +1,9 @@
-import { describe, it } from 'node:test';
+import { describe, it, before, after } from 'node:test';
 import assert from 'node:assert/strict';
 import fs from 'node:fs/promises';
 import os from 'node:os';
 import path from 'node:path';
+import http from 'node:http';
 
 import {
   csvEscape,
@@ -13,7 +14,32 @@ import {
   extractFromSummariesToday,
   toHours,
   ymdLocal,
+  ymdInZone,
+  isValidTimezone,
+  resolveTimezone,
   pickTop,
+  isYmd,
+  addDays,
+  eachDate,
+  chunkDateRange,
+  extractSummariesByDate,
+  buildDayRows,
+  dimensionTable,
+  projectLanguageRows,
+  isoInZone,
+  extractDurations,
+  bucketHourly,
+  buildSessions,
+  archiveHeartbeats,
+  readHeartbeatArchive,
+  totalFromHeartbeats,
+  heartbeatCheckRow,
+  recomputeHeartbeats,
+  readDailyTotals,
+  planCatchUp,
+  createCsvSink,
+  getConfig,
+  syncDay,
 } from '../scripts/wakapi-daily-summary.mjs';
 
 // ── csvEscape ──────────────────────────────────────────────
@@ -114,6 +140,155 @@ describe('ymdLocal', () => {
   });
 });
 
+describe('addDays across DST', () => {
+  it('should step calendar days regardless of 23h/25h local days', () => {
+    assert.deepEqual(eachDate('2026-03-07', '2026-03-09'), ['2026-03-07', '2026-03-08', '2026-03-09']);
+    assert.equal(addDays('2026-10-25', 1), '2026-10-26');
+  });
+});
+
+// ── timezones ──────────────────────────────────────────────
+
+describe('ymdInZone', () => {
+  it('should label an instant by the target zone, not the host', () => {
+    // 2026-02-14 16:30 UTC is already the 15th in Tokyo.
+    const instant = new Date('2026-02-14T16:30:00Z');
+    assert.equal(ymdInZone(instant, 'UTC'), '2026-02-14');
+    assert.equal(ymdInZone(instant, 'Asia/Tokyo'), '2026-02-15');
+    assert.equal(ymdInZone(instant, 'America/Los_Angeles'), '2026-02-14');
+  });
+
+  it('should handle the exact midnight boundary', () => {
+    assert.equal(ymdInZone(new Date('2026-02-14T14:59:59Z'), 'Asia/Tokyo'), '2026-02-14');
+    assert.equal(ymdInZone(new Date('2026-02-14T15:00:00Z'), 'Asia/Tokyo'), '2026-02-15');
+  });
+
+  it('should follow DST offsets (spring forward)', () => {
+    // New York switches from UTC-5 to UTC-4 on 2026-03-08.
+    assert.equal(ymdInZone(new Date('2026-03-08T04:59:00Z'), 'America/New_York'), '2026-03-07');
+    assert.equal(ymdInZone(new Date('2026-03-08T05:00:00Z'), 'America/New_York'), '2026-03-08');
+    assert.equal(ymdInZone(new Date('2026-03-09T03:59:00Z'), 'America/New_York'), '2026-03-08');
+    assert.equal(ymdInZone(new Date('2026-03-09T04:00:00Z'), 'America/New_York'), '2026-03-09');
+  });
+
+  it('should follow DST offsets (fall back)', () => {
+    // Berlin switches from UTC+2 to UTC+1 on 2026-10-25.
+    assert.equal(ymdInZone(new Date('2026-10-24T21:59:00Z'), 'Europe/Berlin'), '2026-10-24');
+    assert.equal(ymdInZone(new Date('2026-10-24T22:00:00Z'), 'Europe/Berlin'), '2026-10-25');
+    assert.equal(ymdInZone(new Date('2026-10-25T22:59:00Z'), 'Europe/Berlin'), '2026-10-25');
+    assert.equal(ymdInZone(new Date('2026-10-25T23:00:00Z'), 'Europe/Berlin'), '2026-10-26');
+  });
+});
+
+describe('isValidTimezone', () => {
+  it('should accept IANA names and reject garbage', () => {
+    assert.equal(isValidTimezone('Asia/Tokyo'), true);
+    assert.equal(isValidTimezone('UTC'), true);
+    assert.equal(isValidTimezone('Mars/Olympus'), false);
+  });
+});
+
+describe('resolveTimezone', () => {
+  let server;
+  let url;
+  let profile;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(profile));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('should return an explicit timezone without calling the API', async () => {
+    assert.equal(await resolveTimezone({ WAKAPI_URL: 'http://127.0.0.1:1', WAKAPI_API_KEY: 'k', TIMEZONE: 'Asia/Tokyo' }), 'Asia/Tokyo');
+  });
+
+  it('should read the timezone from the user profile in auto mode', async () => {
+    profile = { data: { timezone: 'Europe/Berlin' } };
+    assert.equal(await resolveTimezone({ WAKAPI_URL: url, WAKAPI_API_KEY: 'k', TIMEZONE: 'auto' }), 'Europe/Berlin');
+  });
+
+  it('should fall back to the host timezone when the profile has none', async () => {
+    profile = { data: {} };
+    const hostZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    assert.equal(await resolveTimezone({ WAKAPI_URL: url, WAKAPI_API_KEY: 'k', TIMEZONE: 'auto' }), hostZone);
+  });
+});
+
+// ── date ranges ────────────────────────────────────────────
+
+describe('isYmd', () => {
+  it('should accept valid calendar dates', () => {
+    assert.equal(isYmd('2026-02-14'), true);
+    assert.equal(isYmd('2024-02-29'), true);
+  });
+
+  it('should reject malformed or impossible dates', () => {
+    assert.equal(isYmd('2026-2-14'), false);
+    assert.equal(isYmd('2026-02-30'), false);
+    assert.equal(isYmd('2025-02-29'), false);
+    assert.equal(isYmd('today'), false);
+  });
+});
+
+describe('addDays / eachDate', () => {
+  it('should cross month and year boundaries', () => {
+    assert.equal(addDays('2026-01-31', 1), '2026-02-01');
+    assert.equal(addDays('2025-12-31', 1), '2026-01-01');
+    assert.equal(addDays('2026-03-01', -1), '2026-02-28');
+  });
+
+  it('should list every date inclusively', () => {
+    assert.deepEqual(eachDate('2026-02-27', '2026-03-02'), ['2026-02-27', '2026-02-28', '2026-03-01', '2026-03-02']);
+    assert.deepEqual(eachDate('2026-02-14', '2026-02-14'), ['2026-02-14']);
+    assert.deepEqual(eachDate('2026-02-15', '2026-02-14'), []);
+  });
+});
+
+describe('chunkDateRange', () => {
+  it('should split a range into inclusive chunks', () => {
+    assert.deepEqual(chunkDateRange('2026-01-01', '2026-01-10', 4), [
+      ['2026-01-01', '2026-01-04'],
+      ['2026-01-05', '2026-01-08'],
+      ['2026-01-09', '2026-01-10'],
+    ]);
+  });
+
+  it('should return a single chunk for short ranges', () => {
+    assert.deepEqual(chunkDateRange('2026-01-01', '2026-01-01', 31), [['2026-01-01', '2026-01-01']]);
+  });
+});
+
+describe('planCatchUp', () => {
+  const today = '2026-02-14';
+
+  it('should refresh the previous N days', () => {
+    assert.deepEqual(planCatchUp(['2026-02-13', '2026-02-14'], today, 2, 31), { from: '2026-02-12', to: '2026-02-13' });
+  });
+
+  it('should extend back to the day after the last written date', () => {
+    assert.deepEqual(planCatchUp(['2026-02-01', '2026-02-09'], today, 1, 31), { from: '2026-02-10', to: '2026-02-13' });
+  });
+
+  it('should ignore today when looking for the last written date', () => {
+    assert.deepEqual(planCatchUp(['2026-02-10', '2026-02-14'], today, 0, 31), { from: '2026-02-11', to: '2026-02-13' });
+  });
+
+  it('should cap the gap at maxDays', () => {
+    assert.deepEqual(planCatchUp(['2025-06-01'], today, 1, 7), { from: '2026-02-07', to: '2026-02-13' });
+  });
+
+  it('should return null when nothing needs refreshing', () => {
+    assert.equal(planCatchUp([], today, 0, 31), null);
+    assert.equal(planCatchUp(['2026-02-13'], today, 0, 31), null);
+  });
+});
+
 // ── pickTop ────────────────────────────────────────────────
 
 describe('pickTop', () => {
@@ -157,6 +332,23 @@ describe('extractTopFromStatusbarToday', () => {
     assert.equal(languages[0].name, 'Unknown');
   });
 
+  it('should round WakaTime fractional seconds and ignore its remainder field', () => {
+    // WakaTime items carry hours/minutes/seconds components next to total_seconds.
+    const statusbar = {
+      data: {
+        grand_total: { total_seconds: 5423.8, hours: 1, minutes: 30, digital: '1:30', text: '1 hr 30 mins' },
+        projects: [{ name: 'webapp', total_seconds: 5423.8, hours: 1, minutes: 30, seconds: 23, percent: 100 }],
+        languages: [{ name: 'Go', total_seconds: 61.2, seconds: 1, percent: 1.13 }],
+        machines: [{ name: 'laptop', machine_name_id: 'abc', total_seconds: 5423.8, percent: 100 }],
+      },
+    };
+    const { totalSeconds, projects, languages, dimensions } = extractTopFromStatusbarToday(statusbar);
+    assert.equal(totalSeconds, 5424);
+    assert.deepEqual(projects, [{ name: 'webapp', seconds: 5424, percent: 100 }]);
+    assert.deepEqual(languages, [{ name: 'Go', seconds: 61, percent: 1.13 }]);
+    assert.deepEqual(dimensions.machines, [{ name: 'laptop', seconds: 5424, percent: 100 }]);
+  });
+
   it('should handle missing projects/languages gracefully', () => {
     const statusbar = {
       data: {
@@ -170,6 +362,198 @@ describe('extractTopFromStatusbarToday', () => {
   });
 });
 
+// ── dimensions ─────────────────────────────────────────────
+
+describe('dimension breakdowns', () => {
+  it('should extract every dimension from a summaries day', () => {
+    const { dimensions } = extractFromSummariesToday({
+      data: [{
+        grand_total: { total_seconds: 100 },
+        editors: [{ name: 'VS Code', total_seconds: 100, percent: 100 }],
+        operating_systems: [{ name: 'Linux', total_seconds: 100, percent: 100 }],
+        machines: [{ name: 'laptop', total_seconds: 100, percent: 100 }],
+        branches: [{ name: 'main', total_seconds: 100, percent: 100 }],
+      }],
+    });
+    assert.equal(dimensions.editors[0].name, 'VS Code');
+    assert.equal(dimensions.operating_systems[0].seconds, 100);
+    assert.equal(dimensions.branches[0].name, 'main');
+    assert.deepEqual(dimensions.labels, []);
+  });
+
+  it('should extract dimensions from statusbar keys', () => {
+    const { dimensions } = extractTopFromStatusbarToday({
+      data: { grand_total: { total_seconds: 1 }, categories: [{ key: 'coding', total_seconds: 1 }] },
+    });
+    assert.equal(dimensions.categories[0].name, 'coding');
+  });
+
+  it('should name tables with hyphens', () => {
+    assert.equal(dimensionTable('editors'), 'daily-top-editors');
+    assert.equal(dimensionTable('operating_systems'), 'daily-top-operating-systems');
+  });
+});
+
+// ── projectLanguageRows ────────────────────────────────────
+
+describe('projectLanguageRows', () => {
+  it('should sort by seconds and drop empty languages', () => {
+    const rows = projectLanguageRows('2026-02-14', 'alpha', [
+      { name: 'Markdown', seconds: 60 },
+      { name: 'TypeScript', seconds: 3600 },
+      { name: 'JSON', seconds: 0 },
+    ]);
+    assert.deepEqual(rows, [
+      { date: '2026-02-14', project: 'alpha', language: 'TypeScript', seconds: '3600', hours: '1' },
+      { date: '2026-02-14', project: 'alpha', language: 'Markdown', seconds: '60', hours: '0.02' },
+    ]);
+  });
+
+  it('should handle a missing language list', () => {
+    assert.deepEqual(projectLanguageRows('2026-02-14', 'alpha', undefined), []);
+  });
+});
+
+// ── durations ──────────────────────────────────────────────
+
+describe('isoInZone', () => {
+  it('should include the zone offset', () => {
+    const instant = new Date('2026-02-14T00:30:00Z');
+    assert.equal(isoInZone(instant, 'Asia/Tokyo'), '2026-02-14T09:30:00+09:00');
+    assert.equal(isoInZone(instant, 'UTC'), '2026-02-14T00:30:00+00:00');
+    assert.equal(isoInZone(instant, 'America/New_York'), '2026-02-13T19:30:00-05:00');
+    assert.equal(isoInZone(instant, 'Asia/Kolkata'), '2026-02-14T06:00:00+05:30');
+  });
+});
+
+describe('extractDurations', () => {
+  it('should normalize and sort durations', () => {
+    const durations = extractDurations({
+      data: [
+        { project: 'b', time: 200, duration: 10 },
+        { project: 'a', time: 100, duration: 50 },
+        { project: 'c', time: 300, duration: 0 },
+      ],
+    });
+    assert.deepEqual(durations, [
+      { project: 'a', start: 100, seconds: 50 },
+      { project: 'b', start: 200, seconds: 10 },
+    ]);
+  });
+});
+
+describe('bucketHourly', () => {
+  const at = (iso) => Date.parse(iso) / 1000;
+
+  it('should always return 24 buckets', () => {
+    const { hourly } = bucketHourly('2026-02-14', [], 'UTC');
+    assert.equal(hourly.length, 24);
+    assert.ok(hourly.every(r => r.seconds === '0'));
+  });
+
+  it('should split a duration across local hour boundaries', () => {
+    const durations = [{ project: 'alpha', start: at('2026-02-14T00:45:00Z'), seconds: 1800 }];
+    const { hourly, hourlyProjects } = bucketHourly('2026-02-14', durations, 'Asia/Tokyo');
+    assert.equal(hourly[9].seconds, '900');
+    assert.equal(hourly[10].seconds, '900');
+    assert.deepEqual(hourlyProjects.map(r => [r.hour, r.project, r.seconds]), [['9', 'alpha', '900'], ['10', 'alpha', '900']]);
+  });
+
+  it('should respect half-hour offsets', () => {
+    // 00:20Z is 05:50 in Kolkata; the hour boundary is at 00:30Z.
+    const durations = [{ project: 'a', start: at('2026-02-14T00:20:00Z'), seconds: 1200 }];
+    const { hourly } = bucketHourly('2026-02-14', durations, 'Asia/Kolkata');
+    assert.equal(hourly[5].seconds, '600');
+    assert.equal(hourly[6].seconds, '600');
+  });
+
+  it('should drop pieces that fall on another local date', () => {
+    const durations = [{ project: 'a', start: at('2026-02-14T14:30:00Z'), seconds: 3600 }];
+    const { hourly } = bucketHourly('2026-02-14', durations, 'Asia/Tokyo');
+    assert.equal(hourly[23].seconds, '1800');
+    assert.equal(hourly.reduce((sum, r) => sum + Number(r.seconds), 0), 1800);
+  });
+});
+
+describe('buildSessions', () => {
+  it('should merge touching durations of the same project', () => {
+    const sessions = buildSessions('2026-02-14', [
+      { project: 'a', start: 1771027200, seconds: 600 },
+      { project: 'a', start: 1771027800, seconds: 300 },
+      { project: 'b', start: 1771028100, seconds: 60 },
+      { project: 'a', start: 1771030000, seconds: 100 },
+    ], 'UTC');
+    assert.deepEqual(sessions.map(s => [s.project, s.start, s.end, s.seconds]), [
+      ['a', '2026-02-14T00:00:00+00:00', '2026-02-14T00:15:00+00:00', '900'],
+      ['b', '2026-02-14T00:15:00+00:00', '2026-02-14T00:16:00+00:00', '60'],
+      ['a', '2026-02-14T00:46:40+00:00', '2026-02-14T00:48:20+00:00', '100'],
+    ]);
+  });
+});
+
+// ── heartbeats ─────────────────────────────────────────────
+
+describe('totalFromHeartbeats', () => {
+  it('should sum gaps up to the timeout', () => {
+    const heartbeats = [{ time: 0 }, { time: 60 }, { time: 120 }, { time: 1000 }, { time: 1030 }];
+    assert.equal(totalFromHeartbeats(heartbeats, 600), 150);
+    assert.equal(totalFromHeartbeats(heartbeats, 900), 1030);
+  });
+
+  it('should sort unordered heartbeats and handle empty input', () => {
+    assert.equal(totalFromHeartbeats([{ time: 120 }, { time: 0 }, { time: 60 }], 600), 120);
+    assert.equal(totalFromHeartbeats([], 600), 0);
+  });
+});
+
+describe('heartbeatCheckRow', () => {
+  it('should compare local and server totals', () => {
+    const row = heartbeatCheckRow('2026-02-14', '100', [{ time: 0 }, { time: 90 }], 600);
+    assert.deepEqual(row, { date: '2026-02-14', heartbeats: '2', server_seconds: '100', local_seconds: '90', diff_seconds: '-10' });
+  });
+
+  it('should leave server columns blank when unknown', () => {
+    const row = heartbeatCheckRow('2026-02-14', undefined, [], 600);
+    assert.equal(row.server_seconds, '');
+    assert.equal(row.diff_seconds, '');
+  });
+});
+
+describe('heartbeat archive', () => {
+  let tmpDir;
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wakapi-hb-'));
+  });
+
+  after(async () => {
+    if (tmpDir) await fs.rm(tmpDir, { recursive: true });
+  });
+
+  it('should merge runs without duplicating heartbeats', async () => {
+    await archiveHeartbeats(tmpDir, '2026-02-14', [{ id: 'b', time: 20 }, { id: 'a', time: 10 }]);
+    const merged = await archiveHeartbeats(tmpDir, '2026-02-14', [{ id: 'b', time: 20 }, { id: 'c', time: 30 }]);
+    assert.deepEqual(merged.map(h => h.id), ['a', 'b', 'c']);
+
+    const file = path.join(tmpDir, 'heartbeats', '2026-02-14.ndjson');
+    const archived = await readHeartbeatArchive(file);
+    assert.deepEqual(archived, merged);
+    assert.equal((await fs.readFile(file, 'utf8')).split('\n').length, 4);
+  });
+
+  it('should recompute the cross-check offline', async () => {
+    const header = ['date', 'total_seconds', 'total_hours', 'projects_count', 'languages_count'];
+    await upsertCsvByKeys(path.join(tmpDir, 'daily-total.csv'), header, ['date'], [
+      { date: '2026-02-14', total_seconds: '25', total_hours: '0.01', projects_count: '1', languages_count: '1' },
+    ]);
+
+    await recomputeHeartbeats({ OUT_DIR: tmpDir, HEARTBEAT_TIMEOUT: 600 }, createCsvSink(tmpDir));
+
+    const { rows } = parseCsvSimple(await fs.readFile(path.join(tmpDir, 'daily-heartbeat-check.csv'), 'utf8'));
+    assert.deepEqual(rows, [{ date: '2026-02-14', heartbeats: '3', server_seconds: '25', local_seconds: '20', diff_seconds: '-5' }]);
+  });
+});
+
 // ── extractFromSummariesToday ──────────────────────────────
 
 describe('extractFromSummariesToday', () => {
@@ -194,6 +578,85 @@ describe('extractFromSummariesToday', () => {
   });
 });
 
+// ── extractSummariesByDate ─────────────────────────────────
+
+describe('extractSummariesByDate', () => {
+  it('should key days by range.date in the server timezone', () => {
+    const summaries = {
+      data: [
+        { grand_total: { total_seconds: 60 }, projects: [], languages: [], range: { date: '2026-01-05T00:00:00+09:00' } },
+        { grand_total: { total_seconds: 120 }, projects: [], languages: [], range: { date: '2026-01-06T00:00:00+09:00' } },
+      ],
+    };
+    const byDate = extractSummariesByDate(summaries, '2026-01-05');
+    assert.deepEqual([...byDate.keys()], ['2026-01-05', '2026-01-06']);
+    assert.equal(byDate.get('2026-01-06').totalSeconds, 120);
+  });
+
+  it('should fall back to position when range is missing', () => {
+    const summaries = { data: [{ grand_total: { total_seconds: 1 } }, { grand_total: { total_seconds: 2 } }] };
+    const byDate = extractSummariesByDate(summaries, '2026-01-31');
+    assert.equal(byDate.get('2026-02-01').totalSeconds, 2);
+  });
+});
+
+// ── buildDayRows ───────────────────────────────────────────
+
+describe('buildDayRows', () => {
+  const config = { TOP_N_PROJECTS: 1, TOP_N_LANGUAGES: 10 };
+
+  it('should rank and truncate by seconds', () => {
+    const day = buildDayRows('2026-02-14', {
+      totalSeconds: 3600,
+      projects: [{ name: 'small', seconds: 600 }, { name: 'big', seconds: 3000, percent: 83.3 }],
+      languages: [{ name: 'Go', seconds: '3600' }],
+    }, config);
+    assert.equal(day.total[0].total_hours, '1');
+    assert.equal(day.total[0].projects_count, '1');
+    assert.deepEqual(day.projects.map(r => r.project), ['big']);
+    assert.equal(day.projects[0].percent, '83.3');
+    assert.equal(day.languages[0].seconds, '3600');
+    assert.equal(day.languages[0].percent, '100');
+  });
+
+  it('should sum the rest into an "(other)" row and count every item', () => {
+    const day = buildDayRows('2026-02-14', {
+      totalSeconds: 4000,
+      projects: [{ name: 'a', seconds: 2000 }, { name: 'b', seconds: 1000 }, { name: 'c', seconds: 1000 }],
+      languages: [{ name: 'Go', seconds: 4000, percent: 100 }],
+    }, { ...config, OTHER_BUCKET: true });
+    assert.deepEqual(day.projects.map(r => [r.rank, r.project, r.seconds, r.percent]), [
+      ['1', 'a', '2000', '50'],
+      ['2', '(other)', '2000', '50'],
+    ]);
+    assert.deepEqual(day.languages.map(r => r.language), ['Go']);
+    const { projects_count, projects_total_count, languages_count, languages_total_count } = day.total[0];
+    assert.deepEqual([projects_count, projects_total_count, languages_count, languages_total_count], ['1', '3', '1', '1']);
+  });
+
+  it('should rank only the selected dimensions', () => {
+    const day = buildDayRows('2026-02-14', {
+      totalSeconds: 3600,
+      projects: [],
+      languages: [],
+      dimensions: {
+        editors: [{ name: 'VS Code', seconds: 600 }, { name: 'Neovim', seconds: 3000, percent: 83.3 }],
+        machines: [{ name: 'laptop', seconds: 3600 }],
+      },
+    }, { ...config, DIMENSIONS: ['editors'], TOP_N_DIMENSIONS: 5 });
+    assert.deepEqual(Object.keys(day.dimensions), ['editors']);
+    assert.deepEqual(day.dimensions.editors.map(r => [r.rank, r.name]), [['1', 'Neovim'], ['2', 'VS Code']]);
+    assert.equal(day.dimensions.editors[0].hours, '0.83');
+  });
+
+  it('should produce a zero total row for an empty day', () => {
+    const day = buildDayRows('2026-02-14', { totalSeconds: 0, projects: [], languages: [] }, config);
+    assert.equal(day.total[0].total_seconds, '0');
+    assert.deepEqual(day.projects, []);
+    assert.deepEqual(day.languages, []);
+  });
+});
+
 // ── upsertCsvByKeys (integration) ─────────────────────────
 
 describe('upsertCsvByKeys', () => {
@@ -259,8 +722,138 @@ describe('upsertCsvByKeys', () => {
     assert.equal(rank2.project, 'project-b');
   });
 
+  it('should drop replaced rows before merging', async () => {
+    const file = path.join(tmpDir, 'ranked.csv');
+    const header = ['date', 'rank', 'project'];
+
+    await upsertCsvByKeys(file, header, ['date', 'rank'], [
+      { date: '2026-02-14', rank: '1', project: 'project-d' },
+    ], { replace: r => r.date === '2026-02-14' });
+
+    const { rows: parsed } = parseCsvSimple(await fs.readFile(file, 'utf8'));
+    assert.equal(parsed.length, 1);
+    assert.equal(parsed[0].project, 'project-d');
+  });
+
+  it('readDailyTotals should map dates to stored totals', async () => {
+    const header = ['date', 'total_seconds', 'total_hours', 'projects_count', 'languages_count'];
+    await upsertCsvByKeys(path.join(tmpDir, 'daily-total.csv'), header, ['date'], [
+      { date: '2026-02-13', total_seconds: '60', total_hours: '0.02', projects_count: '1', languages_count: '1' },
+    ]);
+
+    const totals = await readDailyTotals(createCsvSink(tmpDir));
+    assert.equal(totals.get('2026-02-13'), '60');
+    assert.equal((await readDailyTotals(createCsvSink(path.join(tmpDir, 'missing')))).size, 0);
+  });
+
   // Cleanup
   it('cleanup tmp', async () => {
     if (tmpDir) await fs.rm(tmpDir, { recursive: true });
   });
 });
+
+// ── syncDay ────────────────────────────────────────────────
+
+describe('syncDay', () => {
+  // Answers like Wakapi for the paths below and records every request.
+  function fakeFetch(requests) {
+    const day = {
+      grand_total: { total_seconds: 5400 },
+      projects: [{ name: 'alpha', total_seconds: 3600 }, { name: 'beta', total_seconds: 1800 }],
+      languages: [{ name: 'Go', total_seconds: 5400 }],
+    };
+    return async (url, { headers }) => {
+      const u = new URL(url);
+      requests.push({ path: u.pathname, query: u.search, auth: headers.Authorization });
+      let body = { error: 'not found' };
+      if (u.pathname.endsWith('/users/current')) body = { data: { timezone: 'Asia/Tokyo' } };
+      if (u.pathname.endsWith('/statusbar/today')) body = { data: day };
+      if (u.pathname.endsWith('/summaries')) {
+        body = { data: [{ ...day, range: { date: `${u.searchParams.get('start')}T00:00:00+09:00` } }] };
+      }
+      return new Response(JSON.stringify(body), { status: body.error ? 404 : 200 });
+    };
+  }
+
+  // Minimal in-memory sink with the storage interface.
+  function memorySink() {
+    const tables = {};
+    return {
+      tables,
+      async upsert(table, header, keyCols, rows) {
+        tables[table] = [...(tables[table] || []), ...rows];
+      },
+      async read(table) {
+        return tables[table] ?? null;
+      },
+      transaction: (fn) => fn(),
+      async close() {},
+    };
+  }
+
+  const config = getConfig({ env: { WAKAPI_URL: 'https://wakapi.test', WAKAPI_API_KEY: 'k', WAKAPI_OUT_DIR: '/unused' } });
+  // 2026-02-14 23:30 UTC is already 2026-02-15 in Tokyo.
+  const now = () => new Date('2026-02-14T23:30:00Z');
+
+  it('should sync today from the statusbar with injected fetch, clock and sink', async () => {
+    const requests = [];
+    const sink = memorySink();
+    const result = await syncDay({ config, fetch: fakeFetch(requests), now, sink });
+
+    assert.deepEqual(result, {
+      date: '2026-02-15',
+      total_seconds: 5400,
+      total_hours: 1.5,
+      projects_count: 2,
+      languages_count: 1,
+      projects_total_count: 2,
+      languages_total_count: 1,
+      timezone: 'Asia/Tokyo',
+      source: '/api/v1/users/current/statusbar/today',
+      fallback: false,
+      projects: [{ name: 'alpha', seconds: 3600 }, { name: 'beta', seconds: 1800 }],
+      languages: [{ name: 'Go', seconds: 5400 }],
+      rows: { 'daily-total': 1, 'daily-top-projects': 2, 'daily-top-languages': 1 },
+    });
+    assert.deepEqual(requests.map(r => r.path), ['/api/v1/users/current', '/api/v1/users/current/statusbar/today']);
+    assert.ok(requests.every(r => r.auth === 'Basic aw=='));
+    assert.equal(sink.tables['daily-total'][0].total_seconds, '5400');
+  });
+
+  it('should sync a finished day from summaries', async () => {
+    const requests = [];
+    const result = await syncDay({ date: '2026-02-10', config, fetch: fakeFetch(requests), now, sink: memorySink() });
+    assert.equal(result.source, '/api/v1/users/current/summaries');
+    assert.equal(result.total_seconds, 5400);
+    assert.match(requests.at(-1).query, /start=2026-02-10&end=2026-02-10&timezone=Asia%2FTokyo/);
+  });
+
+  it('should reject missing config, bad dates and future dates', async () => {
+    await assert.rejects(syncDay({}), { name: 'ConfigError', message: /config is required/ });
+    await assert.rejects(syncDay({ date: '2026-2-1', config, sink: memorySink() }), /invalid date/);
+    await assert.rejects(syncDay({ date: '2026-02-16', config, fetch: fakeFetch([]), now, sink: memorySink() }), {
+      name: 'ConfigError', message: /2026-02-16 is in the future \(today is 2026-02-15 in Asia\/Tokyo\)/,
+    });
+  });
+
+  it('should open, lock and close the configured storage without a sink', async () => {
+    const outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wakapi-syncday-'));
+    try {
+      const fileConfig = { ...config, OUT_DIR: outDir, TIMEZONE: 'UTC' };
+      const result = await syncDay({ date: '2026-02-13', config: fileConfig, fetch: fakeFetch([]), now });
+      assert.equal(result.rows['daily-top-projects'], 2);
+      assert.deepEqual((await fs.readdir(outDir)).sort(), ['daily-top-languages.csv', 'daily-top-projects.csv', 'daily-total.csv']);
+    } finally {
+      await fs.rm(outDir, { recursive: true });
+    }
+  });
+});
+
+describe('type declarations', () => {
+  it('should declare every export of the module', async () => {
+    const dts = await fs.readFile(new URL('../scripts/wakapi-daily-summary.d.mts', import.meta.url), 'utf8');
+    const declared = [...dts.matchAll(/^export function (\w+)/gm)].map(m => m[1]).sort();
+    const exported = Object.keys(await import('../scripts/wakapi-daily-summary.mjs')).sort();
+    assert.deepEqual(declared, exported);
+  });
+});